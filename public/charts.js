@@ -0,0 +1,135 @@
+// Small SVG charts shared by dashboard.html and admin.html (no chart library).
+// renderChart(container, { title, labels, series:[{ name, values, color }], kind:'line'|'bar', format })
+// Null values leave gaps; the last value of the first series is shown next to the title.
+(function(){
+  const W = 600, H = 160, PAD = { top: 10, right: 10, bottom: 22, left: 48 };
+  const NS = 'http://www.w3.org/2000/svg';
+
+  function node(name, attrs){
+    const n = document.createElementNS(NS, name);
+    Object.entries(attrs).forEach(([k, v]) => n.setAttribute(k, v));
+    return n;
+  }
+
+  function renderChart(container, { title, labels, series, kind = 'line', format = (v) => String(v) }){
+    container.innerHTML = '';
+    const values = series.flatMap(s => s.values).filter(v => v !== null && v !== undefined);
+    const head = document.createElement('div');
+    head.className = 'flex items-baseline justify-between text-xs text-zinc-400';
+    const t = document.createElement('span');
+    t.textContent = title;
+    const last = [...series[0].values].reverse().find(v => v !== null && v !== undefined);
+    const v = document.createElement('span');
+    v.className = 'text-sm font-semibold text-zinc-100';
+    v.textContent = last === undefined ? '—' : format(last);
+    head.append(t, v);
+    container.appendChild(head);
+    if(!values.length){
+      const empty = document.createElement('div');
+      empty.className = 'mt-2 text-xs text-zinc-500';
+      empty.textContent = 'Sem dados no período.';
+      container.appendChild(empty);
+      return;
+    }
+
+    let min = Math.min(...values), max = Math.max(...values);
+    if(kind === 'bar') min = Math.min(0, min);
+    if(min === max){ max += Math.abs(max) * 0.1 || 1; min -= kind === 'bar' ? 0 : Math.abs(min) * 0.1 || 1; }
+    const iw = W - PAD.left - PAD.right, ih = H - PAD.top - PAD.bottom;
+    const n = labels.length;
+    const x = (i) => PAD.left + (n === 1 ? iw / 2 : i * iw / (n - 1));
+    const y = (val) => PAD.top + ih - (val - min) / (max - min) * ih;
+
+    const svg = node('svg', { viewBox: `0 0 ${W} ${H}`, class: 'mt-1 w-full h-auto' });
+    [min, (min + max) / 2, max].forEach(val => {
+      svg.appendChild(node('line', { x1: PAD.left, x2: W - PAD.right, y1: y(val), y2: y(val), stroke: '#27272a' }));
+      const label = node('text', { x: PAD.left - 6, y: y(val) + 4, 'text-anchor': 'end', 'font-size': 10, fill: '#71717a' });
+      label.textContent = format(val);
+      svg.appendChild(label);
+    });
+    [0, Math.floor((n - 1) / 2), n - 1].filter((i, k, a) => a.indexOf(i) === k).forEach(i => {
+      const label = node('text', { x: x(i), y: H - 6, 'text-anchor': i === 0 ? 'start' : i === n - 1 ? 'end' : 'middle', 'font-size': 10, fill: '#71717a' });
+      label.textContent = labels[i];
+      svg.appendChild(label);
+    });
+
+    series.forEach(s => {
+      const color = s.color || '#e4e4e7';
+      if(kind === 'bar'){
+        const bw = Math.max(1, iw / n * 0.7);
+        s.values.forEach((val, i) => {
+          if(val === null || val === undefined) return;
+          svg.appendChild(node('rect', { x: x(i) - bw / 2, y: y(Math.max(val, 0)), width: bw, height: Math.abs(y(val) - y(0)), fill: color }));
+        });
+        return;
+      }
+      let d = '';
+      s.values.forEach((val, i) => {
+        if(val === null || val === undefined){ d += ' '; return; }
+        d += `${d && !d.endsWith(' ') ? 'L' : 'M'}${x(i).toFixed(1)},${y(val).toFixed(1)}`;
+      });
+      svg.appendChild(node('path', { d: d.trim(), fill: 'none', stroke: color, 'stroke-width': 2, 'stroke-dasharray': s.dashed ? '4 3' : '' }));
+    });
+    container.appendChild(svg);
+
+    if(series.length > 1){
+      const legend = document.createElement('div');
+      legend.className = 'flex gap-3 text-xs text-zinc-400';
+      series.forEach(s => {
+        const item = document.createElement('span');
+        item.textContent = `${s.dashed ? '┄' : '—'} ${s.name}`;
+        item.style.color = s.color;
+        legend.appendChild(item);
+      });
+      container.appendChild(legend);
+    }
+  }
+
+  // Charts + "why the grade changed" for a /history response; the same markup in the dashboard and the admin drawer.
+  const fmtInt = (v) => Math.round(v).toLocaleString('pt-PT');
+  const fmtPct = (v) => `${(v * 100).toFixed(1)}%`;
+  const fmtDelta = (v) => `${v > 0 ? '+' : ''}${v}`;
+  const COMPONENT_LABELS = { er: 'Engajamento', reach: 'Alcance', consistency: 'Constância', niche: 'Nicho', fraud: 'Autenticidade' };
+
+  function renderHistory(container, h){
+    container.innerHTML = '';
+    const labels = h.series.map(p => h.interval === 'month' ? p.bucket.slice(0, 7) : p.bucket.slice(5));
+    const box = () => { const d = document.createElement('div'); d.className = 'rounded-xl border border-zinc-800 p-3'; container.appendChild(d); return d; };
+    renderChart(box(), { title: 'Seguidores', labels, series: [{ name: 'Seguidores', values: h.series.map(p => p.followers), color: '#e4e4e7' }], format: fmtInt });
+    renderChart(box(), { title: `Engajamento (média móvel ${h.window} dias)`, labels, format: fmtPct, series: [
+      { name: `Móvel ${h.window}d`, values: h.series.map(p => p.er_rolling), color: '#a5b4fc' },
+      { name: 'No período', values: h.series.map(p => p.er), color: '#71717a', dashed: true }
+    ] });
+    renderChart(box(), { title: 'Publicações por período', labels, kind: 'bar', series: [{ name: 'Posts + reels', values: h.series.map(p => p.contents), color: '#52525b' }], format: fmtInt });
+    renderChart(box(), { title: 'Score', labels, series: [{ name: 'Score', values: h.series.map(p => p.score?.score_total ?? null), color: '#86efac' }], format: (v) => Math.round(v) });
+
+    const changes = box();
+    const t = document.createElement('div');
+    t.className = 'text-xs text-zinc-400';
+    t.textContent = 'Por que o score mudou';
+    changes.appendChild(t);
+    const ul = document.createElement('ul');
+    ul.className = 'mt-2 space-y-2 text-xs text-zinc-300';
+    if(!h.changes.length){
+      const li = document.createElement('li');
+      li.className = 'text-zinc-500';
+      li.textContent = 'Nenhuma mudança de score no período.';
+      ul.appendChild(li);
+    }
+    h.changes.forEach(c => {
+      const li = document.createElement('li');
+      const grade = c.grade.changed ? ` · nota ${c.grade.from} → ${c.grade.to}` : '';
+      const profile = typeof c.scoring_version === 'object' ? ` · perfil ${c.scoring_version.from} → ${c.scoring_version.to}` : '';
+      li.textContent = `${c.at.slice(0, 10)}: ${c.score.from} → ${c.score.to} (${fmtDelta(c.score.delta)})${grade}${profile}`;
+      const parts = document.createElement('div');
+      parts.className = 'text-zinc-500';
+      parts.textContent = c.components.map(x => `${COMPONENT_LABELS[x.component] || x.component} ${fmtDelta(x.delta)}`).join(' · ');
+      li.appendChild(parts);
+      ul.appendChild(li);
+    });
+    changes.appendChild(ul);
+  }
+
+  window.renderChart = renderChart;
+  window.renderHistory = renderHistory;
+})();
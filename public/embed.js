@@ -0,0 +1,116 @@
+/*
+ * Formulário "Quero ser influencer" embutido em sites de parceiros.
+ *
+ *   <script src="https://SEU-DOMINIO/embed.js" data-partner="pk_..." data-mode="modal" async></script>
+ *
+ * Atributos:
+ *   data-partner      chave pública do parceiro (admin > Parceiros); a origem do site precisa estar cadastrada
+ *   data-mode         inline (padrão: iframe no lugar do script ou em data-target) | modal (botão que abre o formulário)
+ *   data-target       seletor CSS do container do modo inline
+ *   data-theme        dark | light (padrão: tema do parceiro)
+ *   data-accent       cor de destaque #rrggbb (padrão: tema do parceiro)
+ *   data-button-text  texto do botão do modo modal
+ *
+ * UTMs da página, referrer e URL de origem vão junto com o lead. Depois do cadastro o próprio formulário mostra o
+ * botão que abre a conexão das redes na janela principal (o login oficial das plataformas não abre dentro de iframe).
+ * A página recebe só o evento "influencer:lead" (document), sem dados do creator.
+ */
+(function () {
+  var script = document.currentScript;
+  if (!script) return;
+  var base = new URL(script.src, location.href).origin;
+  var data = script.dataset;
+  var mode = data.mode === 'modal' ? 'modal' : 'inline';
+
+  function formUrl() {
+    var qs = new URLSearchParams({ embed: '1', mode: mode, origin: location.origin, landing: location.href, ref: document.referrer || '' });
+    if (data.partner) qs.set('partner', data.partner);
+    if (data.theme) qs.set('theme', data.theme);
+    if (data.accent) qs.set('accent', data.accent);
+    var page = new URLSearchParams(location.search);
+    ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'].forEach(function (k) {
+      if (page.get(k)) qs.set(k, page.get(k));
+    });
+    return base + '/index.html?' + qs.toString();
+  }
+
+  function createFrame() {
+    var iframe = document.createElement('iframe');
+    iframe.src = formUrl();
+    iframe.title = 'Cadastro de influencer';
+    iframe.setAttribute('loading', 'lazy');
+    iframe.style.cssText = 'width:100%;height:720px;border:0;display:block;border-radius:16px;background:transparent;';
+    return iframe;
+  }
+
+  var frames = [];
+  var overlay = null;
+
+  function closeModal() {
+    if (!overlay) return;
+    overlay.remove();
+    overlay = null;
+    document.body.style.overflow = '';
+  }
+
+  function openModal() {
+    if (overlay) return;
+    overlay = document.createElement('div');
+    overlay.style.cssText = 'position:fixed;inset:0;z-index:2147483000;background:rgba(0,0,0,.6);display:flex;align-items:flex-start;justify-content:center;overflow:auto;padding:24px 12px;';
+    var box = document.createElement('div');
+    box.style.cssText = 'position:relative;width:100%;max-width:760px;';
+    var close = document.createElement('button');
+    close.type = 'button';
+    close.setAttribute('aria-label', 'Fechar');
+    close.textContent = '×';
+    close.style.cssText = 'position:absolute;top:8px;right:12px;z-index:1;border:0;background:transparent;color:#a1a1aa;font-size:28px;line-height:1;cursor:pointer;';
+    close.addEventListener('click', closeModal);
+    var iframe = createFrame();
+    frames.push(iframe);
+    box.appendChild(close);
+    box.appendChild(iframe);
+    overlay.appendChild(box);
+    overlay.addEventListener('click', function (e) { if (e.target === overlay) closeModal(); });
+    document.body.appendChild(overlay);
+    document.body.style.overflow = 'hidden';
+  }
+
+  // Mensagens do formulário: altura do conteúdo, lead criado e fechar
+  window.addEventListener('message', function (e) {
+    if (e.origin !== base || !e.data || typeof e.data.type !== 'string') return;
+    var iframe = frames.filter(function (f) { return f.contentWindow === e.source; })[0];
+    if (!iframe) return;
+    if (e.data.type === 'funnel:resize' && e.data.height > 0) iframe.style.height = Math.ceil(e.data.height) + 'px';
+    if (e.data.type === 'funnel:lead') document.dispatchEvent(new CustomEvent('influencer:lead'));
+    if (e.data.type === 'funnel:close') closeModal();
+  });
+
+  document.addEventListener('keydown', function (e) { if (e.key === 'Escape') closeModal(); });
+
+  function mount() {
+    if (mode === 'modal') {
+      var button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = data.buttonText || 'Quero ser influencer da marca';
+      button.style.cssText = 'display:inline-flex;align-items:center;justify-content:center;border:0;border-radius:12px;padding:12px 20px;cursor:pointer;font:inherit;font-weight:600;'
+        + 'background:' + (data.accent || '#000') + ';color:#fff;';
+      button.addEventListener('click', openModal);
+      place(button);
+      return;
+    }
+    var iframe = createFrame();
+    frames.push(iframe);
+    place(iframe);
+  }
+
+  // No lugar do script (ou em data-target); script no <head> vai para o fim do <body>
+  function place(el) {
+    var target = data.target && document.querySelector(data.target);
+    if (target) target.appendChild(el);
+    else if (script.parentNode && script.parentNode !== document.head) script.parentNode.insertBefore(el, script);
+    else document.body.appendChild(el);
+  }
+
+  if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', mount);
+  else mount();
+})();
@@ -1,13 +1,26 @@
 import Database from 'better-sqlite3';
-import fs from 'fs';
 import path from 'path';
+import { migrateUp } from './migrate.js';
 
 const DB_PATH = process.env.DB_PATH || path.join(process.cwd(), 'data.sqlite');
-const SCHEMA_PATH = path.join(process.cwd(), 'db', 'schema.sql');
 
-export function openDb() {
+// Case- and accent-insensitive form of a text ("Álvaro" -> "alvaro"). SQLite's lower() only folds ASCII, so
+// searches use the fold() SQL function registered below and fold the search term with this same function.
+export function foldText(v) {
+  return v === null || v === undefined ? v : String(v).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+export function registerSqlFunctions(db) {
+  db.function('fold', { deterministic: true }, foldText);
+}
+
+// Pending migrations run on open unless { migrate: false } (scripts/migrate.js status only reads).
+export function openDb({ migrate = true } = {}) {
   const db = new Database(DB_PATH);
-  const schema = fs.readFileSync(SCHEMA_PATH, 'utf-8');
-  db.exec(schema);
+  db.pragma('journal_mode = WAL');
+  registerSqlFunctions(db);
+  if (migrate) {
+    for (const m of migrateUp(db)) console.log(`migration applied: ${m.version}_${m.name}`);
+  }
   return db;
 }
@@ -0,0 +1,79 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Versioned migrations: db/migrations/NNN_name.sql, applied in order, each in its own transaction and recorded in
+// schema_migrations with a checksum of the file. Applied files must not be edited — add a new migration instead.
+// 001_initial uses CREATE ... IF NOT EXISTS, so databases created before migrations existed adopt it as a baseline.
+
+export const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+const FILE_RE = /^(\d{3,})_([a-z0-9_]+)\.sql$/;
+
+function nowIso() { return new Date().toISOString(); }
+
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql).digest('hex');
+}
+
+function ensureTable(db) {
+  db.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    checksum TEXT NOT NULL,
+    applied_at TEXT NOT NULL
+  )`);
+}
+
+// [{ version, name, file, sql, checksum }] sorted by version
+export function listMigrations(dir = MIGRATIONS_DIR) {
+  const seen = new Set();
+  return fs.readdirSync(dir).filter(f => f.endsWith('.sql')).sort().map(file => {
+    const m = file.match(FILE_RE);
+    if (!m) throw new Error(`invalid migration file name: ${file} (expected NNN_name.sql)`);
+    if (seen.has(m[1])) throw new Error(`duplicate migration version: ${m[1]}`);
+    seen.add(m[1]);
+    const sql = fs.readFileSync(path.join(dir, file), 'utf-8');
+    return { version: m[1], name: m[2], file, sql, checksum: checksum(sql) };
+  });
+}
+
+// Every known migration with its state: applied | pending | changed (file edited after it ran) | missing (no file)
+export function migrationStatus(db, dir = MIGRATIONS_DIR) {
+  ensureTable(db);
+  const applied = new Map(db.prepare('SELECT * FROM schema_migrations').all().map(r => [r.version, r]));
+  const rows = listMigrations(dir).map(m => {
+    const a = applied.get(m.version);
+    applied.delete(m.version);
+    return {
+      version: m.version,
+      name: m.name,
+      state: !a ? 'pending' : a.checksum === m.checksum ? 'applied' : 'changed',
+      applied_at: a?.applied_at || null
+    };
+  });
+  for (const a of applied.values()) rows.push({ version: a.version, name: a.name, state: 'missing', applied_at: a.applied_at });
+  return rows.sort((x, y) => x.version.localeCompare(y.version));
+}
+
+// Applies pending migrations in order and returns the ones applied. A failing migration rolls back on its own and
+// stops the run; the ones before it stay applied.
+export function migrateUp(db, dir = MIGRATIONS_DIR) {
+  ensureTable(db);
+  const done = new Set(db.prepare('SELECT version FROM schema_migrations').all().map(r => r.version));
+  const record = db.prepare('INSERT INTO schema_migrations (version, name, checksum, applied_at) VALUES (?, ?, ?, ?)');
+  const applied = [];
+  for (const m of listMigrations(dir)) {
+    if (done.has(m.version)) continue;
+    try {
+      db.transaction(() => {
+        db.exec(m.sql);
+        record.run(m.version, m.name, m.checksum, nowIso());
+      })();
+    } catch (e) {
+      throw new Error(`migration ${m.file} failed: ${e.message}`);
+    }
+    applied.push({ version: m.version, name: m.name });
+  }
+  return applied;
+}
@@ -0,0 +1,485 @@
+CREATE TABLE IF NOT EXISTS creators (
+  id TEXT PRIMARY KEY,
+  full_name TEXT NOT NULL,
+  email TEXT NOT NULL UNIQUE,
+  phone TEXT,
+  country TEXT NOT NULL,
+  city TEXT,
+  declared_category TEXT,
+  status TEXT NOT NULL DEFAULT 'lead',
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS consent_records (
+  id TEXT PRIMARY KEY,
+  creator_id TEXT NOT NULL,
+  consent_type TEXT NOT NULL,
+  granted INTEGER NOT NULL,
+  text_version TEXT NOT NULL,
+  text_hash TEXT NOT NULL,
+  ip_address TEXT,
+  user_agent TEXT,
+  granted_at TEXT NOT NULL,
+  revoked_at TEXT,
+  revoke_reason TEXT,
+  FOREIGN KEY (creator_id) REFERENCES creators(id)
+);
+
+CREATE TABLE IF NOT EXISTS consent_texts (
+  version TEXT NOT NULL,
+  language TEXT NOT NULL,
+  text TEXT NOT NULL,
+  text_hash TEXT NOT NULL,
+  published_at TEXT NOT NULL,
+  PRIMARY KEY (version, language)
+);
+
+CREATE TABLE IF NOT EXISTS connected_accounts (
+  id TEXT PRIMARY KEY,
+  creator_id TEXT NOT NULL,
+  platform TEXT NOT NULL,
+  ig_user_id TEXT,
+  username TEXT,
+  account_type TEXT NOT NULL DEFAULT 'unknown',
+  scopes TEXT,
+  access_token_enc TEXT,
+  token_expires_at TEXT,
+  connected_at TEXT NOT NULL,
+  disconnected_at TEXT,
+  status TEXT NOT NULL DEFAULT 'active',
+  last_sync_at TEXT,
+  FOREIGN KEY (creator_id) REFERENCES creators(id)
+);
+
+CREATE TABLE IF NOT EXISTS profile_snapshots (
+  id TEXT PRIMARY KEY,
+  account_id TEXT NOT NULL,
+  snapshot_date TEXT NOT NULL,
+  followers_count INTEGER,
+  follows_count INTEGER,
+  media_count INTEGER,
+  bio_text TEXT,
+  website TEXT,
+  is_verified INTEGER,
+  created_at TEXT NOT NULL,
+  FOREIGN KEY (account_id) REFERENCES connected_accounts(id)
+);
+
+CREATE TABLE IF NOT EXISTS media_captions (
+  account_id TEXT NOT NULL,
+  media_id TEXT NOT NULL,
+  posted_at TEXT NOT NULL,
+  caption TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  PRIMARY KEY (account_id, media_id),
+  FOREIGN KEY (account_id) REFERENCES connected_accounts(id)
+);
+
+CREATE TABLE IF NOT EXISTS content_metrics_daily (
+  id TEXT PRIMARY KEY,
+  account_id TEXT NOT NULL,
+  day TEXT NOT NULL,
+  posts_count INTEGER NOT NULL DEFAULT 0,
+  reels_count INTEGER NOT NULL DEFAULT 0,
+  likes_total INTEGER,
+  comments_total INTEGER,
+  shares_total INTEGER,
+  saves_total INTEGER,
+  views_total INTEGER,
+  reach_total INTEGER,
+  impressions_total INTEGER,
+  profile_visits_total INTEGER,
+  website_clicks_total INTEGER,
+  created_at TEXT NOT NULL,
+  FOREIGN KEY (account_id) REFERENCES connected_accounts(id)
+);
+
+CREATE TABLE IF NOT EXISTS creator_scores (
+  id TEXT PRIMARY KEY,
+  creator_id TEXT NOT NULL,
+  score_total INTEGER NOT NULL,
+  grade TEXT NOT NULL,
+  er_score INTEGER NOT NULL,
+  reach_score INTEGER NOT NULL,
+  consistency_score INTEGER NOT NULL,
+  niche_score INTEGER NOT NULL,
+  fraud_penalty INTEGER NOT NULL,
+  scoring_version TEXT NOT NULL,
+  computed_at TEXT NOT NULL,
+  FOREIGN KEY (creator_id) REFERENCES creators(id)
+);
+
+CREATE TABLE IF NOT EXISTS scoring_profiles (
+  id TEXT PRIMARY KEY,
+  key TEXT NOT NULL,
+  version INTEGER NOT NULL,
+  country TEXT,
+  niche TEXT,
+  config TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'draft',
+  created_at TEXT NOT NULL,
+  created_by TEXT,
+  UNIQUE (key, version)
+);
+
+CREATE TABLE IF NOT EXISTS score_explanations (
+  score_id TEXT PRIMARY KEY,
+  creator_id TEXT NOT NULL,
+  profile_id TEXT,
+  scoring_version TEXT NOT NULL,
+  inputs TEXT NOT NULL,
+  components TEXT NOT NULL,
+  FOREIGN KEY (score_id) REFERENCES creator_scores(id)
+);
+
+CREATE TABLE IF NOT EXISTS fraud_flags (
+  id TEXT PRIMARY KEY,
+  creator_id TEXT NOT NULL,
+  account_id TEXT NOT NULL,
+  flag TEXT NOT NULL,
+  severity TEXT NOT NULL,
+  evidence TEXT NOT NULL,
+  model_version TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'open',
+  active INTEGER NOT NULL DEFAULT 1,
+  override_severity TEXT,
+  review_note TEXT,
+  reviewed_by TEXT,
+  reviewed_at TEXT,
+  first_detected_at TEXT NOT NULL,
+  detected_at TEXT NOT NULL,
+  UNIQUE (creator_id, account_id, flag),
+  FOREIGN KEY (creator_id) REFERENCES creators(id)
+);
+
+CREATE TABLE IF NOT EXISTS niche_classification (
+  id TEXT PRIMARY KEY,
+  creator_id TEXT NOT NULL,
+  primary_niche TEXT NOT NULL,
+  secondary_niches TEXT,
+  confidence REAL NOT NULL,
+  evidence_keywords TEXT,
+  model_version TEXT NOT NULL,
+  computed_at TEXT NOT NULL,
+  FOREIGN KEY (creator_id) REFERENCES creators(id)
+);
+
+CREATE TABLE IF NOT EXISTS niche_evidence (
+  classification_id TEXT PRIMARY KEY,
+  creator_id TEXT NOT NULL,
+  evidence TEXT NOT NULL,
+  FOREIGN KEY (classification_id) REFERENCES niche_classification(id)
+);
+
+CREATE TABLE IF NOT EXISTS niche_taxonomies (
+  version TEXT PRIMARY KEY,
+  terms TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'draft',
+  created_at TEXT NOT NULL,
+  created_by TEXT
+);
+
+CREATE TABLE IF NOT EXISTS creator_segments (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  filters TEXT NOT NULL,
+  created_by TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS brands (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  type TEXT NOT NULL,
+  niches TEXT NOT NULL,
+  cities TEXT NOT NULL,
+  budget_min REAL,
+  budget_max REAL,
+  currency TEXT NOT NULL DEFAULT 'EUR',
+  min_grade TEXT NOT NULL DEFAULT 'C',
+  audience TEXT NOT NULL,
+  contact_email TEXT,
+  notes TEXT,
+  status TEXT NOT NULL DEFAULT 'active',
+  created_by TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS brand_targets (
+  id TEXT PRIMARY KEY,
+  creator_id TEXT NOT NULL,
+  target_type TEXT NOT NULL,
+  segment TEXT NOT NULL,
+  suggested_brands TEXT NOT NULL,
+  generated_at TEXT NOT NULL,
+  FOREIGN KEY (creator_id) REFERENCES creators(id)
+);
+
+CREATE TABLE IF NOT EXISTS campaigns (
+  id TEXT PRIMARY KEY,
+  brand_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  brief TEXT NOT NULL,
+  budget REAL,
+  currency TEXT NOT NULL DEFAULT 'EUR',
+  starts_on TEXT NOT NULL,
+  ends_on TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'draft',
+  created_by TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  FOREIGN KEY (brand_id) REFERENCES brands(id)
+);
+
+CREATE TABLE IF NOT EXISTS campaign_invitations (
+  id TEXT PRIMARY KEY,
+  campaign_id TEXT NOT NULL,
+  creator_id TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'invited',
+  fee REAL,
+  message TEXT,
+  invited_by TEXT,
+  invited_at TEXT NOT NULL,
+  responded_at TEXT,
+  decline_reason TEXT,
+  updated_at TEXT NOT NULL,
+  UNIQUE (campaign_id, creator_id),
+  FOREIGN KEY (campaign_id) REFERENCES campaigns(id),
+  FOREIGN KEY (creator_id) REFERENCES creators(id)
+);
+
+CREATE TABLE IF NOT EXISTS campaign_deliverables (
+  id TEXT PRIMARY KEY,
+  invitation_id TEXT NOT NULL,
+  campaign_id TEXT NOT NULL,
+  creator_id TEXT NOT NULL,
+  kind TEXT NOT NULL,
+  description TEXT,
+  due_date TEXT NOT NULL,
+  post_url TEXT,
+  status TEXT NOT NULL DEFAULT 'pending',
+  submitted_at TEXT,
+  reviewed_at TEXT,
+  review_note TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  FOREIGN KEY (invitation_id) REFERENCES campaign_invitations(id)
+);
+
+CREATE TABLE IF NOT EXISTS media_kits (
+  creator_id TEXT PRIMARY KEY,
+  slug TEXT UNIQUE,
+  fields TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'draft',
+  published_at TEXT,
+  unpublished_at TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  FOREIGN KEY (creator_id) REFERENCES creators(id)
+);
+
+CREATE TABLE IF NOT EXISTS export_templates (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  columns TEXT NOT NULL,
+  format TEXT NOT NULL DEFAULT 'csv',
+  segment_id TEXT,
+  filters TEXT NOT NULL DEFAULT '{}',
+  created_by TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+  id TEXT PRIMARY KEY,
+  url TEXT NOT NULL,
+  events TEXT NOT NULL,
+  description TEXT,
+  secret_enc TEXT NOT NULL,
+  active INTEGER NOT NULL DEFAULT 1,
+  created_by TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id TEXT PRIMARY KEY,
+  endpoint_id TEXT NOT NULL,
+  event TEXT NOT NULL,
+  creator_id TEXT,
+  payload TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_status_code INTEGER,
+  last_error TEXT,
+  delivered_at TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS crm_sync (
+  creator_id TEXT PRIMARY KEY,
+  remote_id TEXT,
+  last_hash TEXT,
+  last_synced_at TEXT,
+  last_error TEXT,
+  updated_at TEXT NOT NULL,
+  FOREIGN KEY (creator_id) REFERENCES creators(id)
+);
+
+CREATE TABLE IF NOT EXISTS account_credentials (
+  account_id TEXT PRIMARY KEY,
+  refresh_token_enc TEXT,
+  access_expires_at TEXT,
+  updated_at TEXT NOT NULL,
+  FOREIGN KEY (account_id) REFERENCES connected_accounts(id)
+);
+
+CREATE TABLE IF NOT EXISTS partners (
+  id TEXT PRIMARY KEY,
+  key TEXT NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  brand_id TEXT,
+  allowed_origins TEXT NOT NULL,
+  theme TEXT NOT NULL,
+  active INTEGER NOT NULL DEFAULT 1,
+  created_by TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  FOREIGN KEY (brand_id) REFERENCES brands(id)
+);
+
+CREATE TABLE IF NOT EXISTS lead_attribution (
+  creator_id TEXT PRIMARY KEY,
+  partner_id TEXT,
+  partner_key TEXT,
+  utm_source TEXT,
+  utm_medium TEXT,
+  utm_campaign TEXT,
+  utm_term TEXT,
+  utm_content TEXT,
+  referrer TEXT,
+  landing_url TEXT,
+  embed_mode TEXT,
+  created_at TEXT NOT NULL,
+  FOREIGN KEY (creator_id) REFERENCES creators(id),
+  FOREIGN KEY (partner_id) REFERENCES partners(id)
+);
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id TEXT PRIMARY KEY,
+  actor_type TEXT NOT NULL,
+  actor_id TEXT NOT NULL,
+  action TEXT NOT NULL,
+  target_type TEXT NOT NULL,
+  target_id TEXT NOT NULL,
+  metadata TEXT,
+  created_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS deletion_requests (
+  id TEXT PRIMARY KEY,
+  creator_id TEXT NOT NULL,
+  requested_at TEXT NOT NULL,
+  status TEXT NOT NULL,
+  completed_at TEXT,
+  notes TEXT,
+  FOREIGN KEY (creator_id) REFERENCES creators(id)
+);
+
+CREATE TABLE IF NOT EXISTS oauth_states (
+  nonce TEXT PRIMARY KEY,
+  creator_id TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  used_at TEXT
+);
+
+CREATE TABLE IF NOT EXISTS creator_sessions (
+  id TEXT PRIMARY KEY,
+  creator_id TEXT NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  user_agent TEXT,
+  created_at TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  revoked_at TEXT,
+  FOREIGN KEY (creator_id) REFERENCES creators(id)
+);
+
+CREATE TABLE IF NOT EXISTS login_codes (
+  id TEXT PRIMARY KEY,
+  creator_id TEXT NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  code_hash TEXT NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  used_at TEXT,
+  FOREIGN KEY (creator_id) REFERENCES creators(id)
+);
+
+CREATE TABLE IF NOT EXISTS admin_users (
+  id TEXT PRIMARY KEY,
+  email TEXT NOT NULL UNIQUE,
+  name TEXT,
+  role TEXT NOT NULL,
+  password_hash TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  disabled_at TEXT
+);
+
+CREATE TABLE IF NOT EXISTS admin_api_keys (
+  id TEXT PRIMARY KEY,
+  admin_id TEXT NOT NULL,
+  name TEXT,
+  key_prefix TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  created_at TEXT NOT NULL,
+  last_used_at TEXT,
+  revoked_at TEXT,
+  FOREIGN KEY (admin_id) REFERENCES admin_users(id)
+);
+
+CREATE TABLE IF NOT EXISTS admin_sessions (
+  id TEXT PRIMARY KEY,
+  admin_id TEXT NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  created_at TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  revoked_at TEXT,
+  FOREIGN KEY (admin_id) REFERENCES admin_users(id)
+);
+
+CREATE TABLE IF NOT EXISTS jobs (
+  id TEXT PRIMARY KEY,
+  type TEXT NOT NULL,
+  payload TEXT NOT NULL,
+  creator_id TEXT,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  run_at TEXT NOT NULL,
+  locked_at TEXT,
+  last_error TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  finished_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_creators_status ON creators(status);
+CREATE INDEX IF NOT EXISTS idx_scores_creator ON creator_scores(creator_id, computed_at);
+CREATE INDEX IF NOT EXISTS idx_accounts_creator ON connected_accounts(creator_id, status);
+CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status, run_at);
+CREATE INDEX IF NOT EXISTS idx_jobs_creator ON jobs(creator_id, status);
+CREATE INDEX IF NOT EXISTS idx_accounts_ig_user ON connected_accounts(platform, ig_user_id);
+CREATE INDEX IF NOT EXISTS idx_login_codes_creator ON login_codes(creator_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_consents_creator ON consent_records(creator_id, consent_type, granted_at);
+CREATE INDEX IF NOT EXISTS idx_invitations_creator ON campaign_invitations(creator_id);
+CREATE INDEX IF NOT EXISTS idx_deliverables_campaign ON campaign_deliverables(campaign_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint ON webhook_deliveries(endpoint_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_lead_attribution_partner ON lead_attribution(partner_id);
+CREATE INDEX IF NOT EXISTS idx_audit_action ON audit_log(action, created_at);
@@ -0,0 +1,10 @@
+-- Failed admin password logins, read by the per-email / per-IP throttle in lib/admin-auth.js.
+CREATE TABLE admin_login_failures (
+  id TEXT PRIMARY KEY,
+  email TEXT NOT NULL,
+  ip_address TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX idx_admin_login_failures_email ON admin_login_failures(email, created_at);
+CREATE INDEX idx_admin_login_failures_ip ON admin_login_failures(ip_address, created_at);
@@ -9,15 +9,44 @@ import { nanoid } from 'nanoid';
 import { z } from 'zod';
 
 import { openDb } from './db/db.js';
-import { encryptToken, decryptToken } from './lib/crypto.js';
-import { buildAuthUrl, exchangeCodeForToken, fetchMe } from './lib/meta.js';
-import { classifyNiche, buildBrandTargets, computeErScore, computeConsistencyScore, computeNicheScore, computeReachScore, computeFraudPenalty, computeTotalScore, grade } from './lib/scoring.js';
+import { assertEncryptionConfig } from './lib/crypto.js';
+import { getProvider, providerForSlug, creatorPlatforms } from './lib/providers.js';
+import { storeCollection, readStoredMetrics, readStoredCaptions, combineMetrics } from './lib/collector.js';
+import { enqueueJob, hasOpenJob, listJobs, retryJob, cancelJob, startWorker } from './lib/jobs.js';
+import { createOAuthState, consumeOAuthState, STATE_COOKIE } from './lib/oauth-state.js';
+import { SESSION_COOKIE, sessionTtlMs, createSession, getSession, revokeSession, issueLoginCode, consumeLoginToken, consumeLoginCode } from './lib/creator-auth.js';
+import { sendMail, assertMailConfig } from './lib/mailer.js';
+import { ADMIN_SESSION_COOKIE, ROLES, can, createAdminUser, authenticatePassword, hashPassword, loginRetryAfter, recordLoginFailure, clearLoginFailures, createAdminSession, revokeAdminSession, revokeAdminSessions, createApiKey, revokeApiKey, rotateApiKey, listApiKeys, resolveAdmin } from './lib/admin-auth.js';
+import { CONSENT_TYPES, LANGUAGES, seedConsentTexts, languageForCountry, currentVersion, missingLanguages, currentText, publishConsentText, listConsentTexts, recordConsent, revokeConsent, consentStatus, hasValidConsent, consentHistory } from './lib/consent.js';
+import { revokeAccountAccess, processDeletionRequest, listDeletionRequests, exportCreatorData, exportToZip } from './lib/privacy.js';
+import { isExpired, markAccountStatus, saveTokens, refreshAccountToken, currentAccessToken, listExpiringAccounts } from './lib/tokens.js';
+import { BrandSchema, listBrands, getBrand, createBrand, updateBrand, buildBrandTargets, refreshAllBrandTargets, rankBrandsForCreator, rankCreatorsForBrand } from './lib/brands.js';
+import { CreatorFilterSchema, CreatorQuerySchema, queryCreators, queryAllCreators, resolveFilters, listSegments, getSegment, createSegment, updateSegment, deleteSegment } from './lib/creator-query.js';
+import { CampaignSchema, DeliverableSchema, createCampaign, updateCampaign, setCampaignStatus, listCampaigns, getCampaign, inviteCreators, getInvitation, respondToInvitation, withdrawInvitation, addDeliverable, getDeliverable, submitDeliverable, reviewDeliverable, creatorCampaigns } from './lib/campaigns.js';
+import { TaxonomySchema, classifyNiche, seedTaxonomy, activeTaxonomy, listTaxonomies, createTaxonomy, activateTaxonomy, saveClassification, getNicheEvidence } from './lib/niche.js';
+import { ScoringConfigSchema, seedScoringProfiles, listProfiles, getProfile, createProfileVersion, activateProfile, recordScore, rescoreLatest, getExplanation, dryRun } from './lib/scoring-profiles.js';
+import { SEVERITIES, analyzeFraud, fraudPenalty, listFlags, reviewFlag } from './lib/fraud.js';
+import { HistoryQuerySchema, creatorHistory } from './lib/history.js';
+import { PartnerSchema, AttributionSchema, listPartners, getPartner, partnerByKey, createPartner, updatePartner, recordAttribution, getAttribution } from './lib/partners.js';
+import { FunnelQuerySchema, funnelReport } from './lib/funnel.js';
+import { EXPORT_COLUMNS, DEFAULT_COLUMNS, EXPORT_FORMATS, ExportTemplateSchema, listTemplates, getTemplate, createTemplate, updateTemplate, deleteTemplate, exportRows, templateFilters, renderExport } from './lib/exports.js';
+import { WEBHOOK_EVENTS, WebhookEndpointSchema, listEndpoints, getEndpoint, createEndpoint, updateEndpoint, rotateEndpointSecret, deleteEndpoint, queueWebhookEvent, queueTestDelivery, deliverWebhook, listDeliveries, redeliver } from './lib/webhooks.js';
+import { crmConfigured, syncCreators, remoteContactId, deleteRemoteContact, crmSyncStatus } from './lib/crm.js';
+import { MEDIA_KIT_FIELDS, MediaKitFieldsSchema, getMediaKitSettings, setMediaKitFields, publishMediaKit, unpublishMediaKit, rotateMediaKitSlug, buildMediaKit, publicMediaKit, renderMediaKitPdf } from './lib/media-kit.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Chaves de criptografia dos tokens inválidas derrubam o boot, não o primeiro callback OAuth
+assertEncryptionConfig();
+// Idem para o transporte de e-mail (em produção o 'log' precisa ser pedido explicitamente)
+assertMailConfig();
+
 const app = express();
 const db = openDb();
+seedConsentTexts(db);
+seedScoringProfiles(db);
+seedTaxonomy(db);
 
 app.use(helmet({
   contentSecurityPolicy: false // MVP para permitir Tailwind CDN
@@ -26,27 +55,79 @@ app.use(cors({ origin: true, credentials: true }));
 app.use(express.json({ limit: '1mb' }));
 app.use(cookieParser());
 
+// Formulário embutido (public/embed.js): o iframe só é liberado para as origens cadastradas do parceiro
+app.get(['/', '/index.html'], (req, res, next) => {
+  if (!req.query.embed) return next();
+  const partner = partnerByKey(db, req.query.partner?.toString());
+  res.removeHeader('X-Frame-Options');
+  res.setHeader('Content-Security-Policy', `frame-ancestors 'self'${partner ? ' ' + partner.allowed_origins.join(' ') : ''}`);
+  next();
+});
+
 // Serve frontend
 app.use(express.static(path.join(__dirname, '..', 'public')));
 
 // Helpers
 function nowIso() { return new Date().toISOString(); }
-function adminAuth(req, res, next) {
-  const token = req.headers['x-admin-token'];
-  if (!token || token !== process.env.ADMIN_TOKEN) return res.status(401).json({ error: 'unauthorized' });
+// Admin: sessão (cookie) ou API key (header x-admin-key); cada rota exige uma permissão do papel
+function adminAuth(permission) {
+  return (req, res, next) => {
+    const admin = resolveAdmin(db, { sessionToken: req.cookies?.[ADMIN_SESSION_COOKIE], apiKey: req.headers['x-admin-key']?.toString() });
+    if (!admin) return res.status(401).json({ error: 'unauthorized' });
+    if (permission && !can(admin.role, permission)) return res.status(403).json({ error: 'forbidden', permission });
+    req.admin = admin;
+    next();
+  };
+}
+function adminActor(req) {
+  return { actor_type:'admin', actor_id:req.admin.id };
+}
+// Sessão do creator (cookie httpOnly). Em rotas /:id só o dono passa.
+function creatorAuth(req, res, next) {
+  const session = getSession(db, req.cookies?.[SESSION_COOKIE]);
+  if (!session) return res.status(401).json({ error: 'unauthorized' });
+  if (req.params.id && req.params.id !== session.creator_id) return res.status(403).json({ error: 'forbidden' });
+  req.creator_id = session.creator_id;
   next();
 }
+function startSession(req, res, creator_id) {
+  const token = createSession(db, creator_id, { user_agent: req.headers['user-agent'] || null });
+  res.cookie(SESSION_COOKIE, token, { httpOnly: true, sameSite: 'lax', secure: req.secure, maxAge: sessionTtlMs(), path: '/' });
+}
+async function sendLoginEmail(creator) {
+  const login = issueLoginCode(db, creator.id);
+  if (!login) return false;
+  const base = process.env.BASE_URL || 'http://localhost:' + (process.env.PORT || 8080);
+  const link = `${base}/api/auth/magic?token=${encodeURIComponent(login.token)}`;
+  await sendMail({
+    to: creator.email,
+    subject: 'Seu acesso ao dashboard',
+    text: `Olá ${creator.full_name},\n\nAcesse seu dashboard: ${link}\n\nOu use o código: ${login.code}\n\nO link e o código valem por 15 minutos. Se não foi você, ignore este e-mail.`
+  });
+  return true;
+}
 function logAudit({ actor_type, actor_id, action, target_type, target_id, metadata }) {
   const stmt = db.prepare(`INSERT INTO audit_log (id, actor_type, actor_id, action, target_type, target_id, metadata, created_at)
                            VALUES (?, ?, ?, ?, ?, ?, ?, ?)`);
   stmt.run(nanoid(), actor_type, actor_id, action, target_type, target_id, metadata ? JSON.stringify(metadata) : null, nowIso());
 }
 
-// Consent text versioning
-const CONSENT_VERSION = 'v1.0-2026-01-31';
-const CONSENT_TEXT = `Ao conectar seu Instagram por login oficial, você autoriza a coleta e análise de métricas e informações do seu perfil, apenas na medida necessária, para: (1) validar autenticidade, (2) gerar o Creator Fit Score, (3) criar seu Media Kit e (4) recomendar categorias de marcas compatíveis. Não acessamos mensagens privadas. Você pode desconectar a conta e revogar esta autorização a qualquer momento.`;
-import crypto from 'crypto';
-const CONSENT_HASH = crypto.createHash('sha256').update(CONSENT_TEXT).digest('hex');
+// Eventos do funil para integrações: webhooks assinados + upsert no CRM (ambos via fila de jobs)
+function notifyIntegrations(event, creator_id, data = {}) {
+  queueWebhookEvent(db, event, { creator_id, data });
+  scheduleCrmSync(creator_id);
+}
+function scheduleCrmSync(creator_id) {
+  if (!crmConfigured() || hasOpenJob(db, { type:'crm_sync', creator_id })) return;
+  enqueueJob(db, { type:'crm_sync', payload:{ creator_ids:[creator_id] }, creator_id });
+}
+
+function requestMeta(req) {
+  return {
+    ip_address: (req.headers['x-forwarded-for'] || req.socket.remoteAddress || '').toString(),
+    user_agent: req.headers['user-agent'] || null
+  };
+}
 
 // ---- API
 
@@ -58,11 +139,14 @@ const LeadSchema = z.object({
   country: z.enum(['ES','PT']),
   city: z.string().optional().nullable(),
   declared_category: z.string().optional().nullable(),
+  language: z.enum(LANGUAGES).optional(),
   consents: z.object({
     metrics_check: z.boolean(),
     share_with_brands: z.boolean().optional().default(false),
     marketing_contact: z.boolean().optional().default(false)
-  })
+  }),
+  // Parceiro (embed), UTMs e referrer de onde o lead veio
+  attribution: AttributionSchema.optional().default({})
 });
 
 app.post('/api/lead', (req, res) => {
@@ -76,231 +160,1416 @@ app.post('/api/lead', (req, res) => {
   const ts = nowIso();
 
   try {
-    db.prepare(`INSERT INTO creators (id, full_name, email, phone, country, city, declared_category, status, created_at, updated_at)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
-      .run(id, data.full_name, data.email.toLowerCase(), data.phone || null, data.country, data.city || null, data.declared_category || null, 'lead', ts, ts);
+    // Tudo ou nada: se o consentimento falhar, o e-mail não fica preso num creator sem consentimento (409 no retry)
+    const language = data.language || languageForCountry(data.country);
+    const partner = db.transaction(() => {
+      db.prepare(`INSERT INTO creators (id, full_name, email, phone, country, city, declared_category, status, created_at, updated_at)
+                  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+        .run(id, data.full_name, data.email.toLowerCase(), data.phone || null, data.country, data.city || null, data.declared_category || null, 'lead', ts, ts);
+      for (const [k, v] of Object.entries(data.consents)) {
+        recordConsent(db, { creator_id:id, consent_type:k, granted:v, language, ...requestMeta(req) });
+      }
+      return recordAttribution(db, id, data.attribution);
+    })();
 
-    const ua = req.headers['user-agent'] || null;
-    const ip = (req.headers['x-forwarded-for'] || req.socket.remoteAddress || '').toString();
+    logAudit({ actor_type:'system', actor_id:'api', action:'LEAD_CREATED', target_type:'creator', target_id:id, metadata:{ email:data.email, country:data.country, partner_id:partner?.id || null, utm_source:data.attribution.utm_source }});
 
-    const insertConsent = db.prepare(`INSERT INTO consent_records
-      (id, creator_id, consent_type, granted, text_version, text_hash, ip_address, user_agent, granted_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`);
-
-    for (const [k, v] of Object.entries(data.consents)) {
-      insertConsent.run(nanoid(), id, k, v ? 1 : 0, CONSENT_VERSION, CONSENT_HASH, ip, ua, ts);
-    }
-
-    logAudit({ actor_type:'system', actor_id:'api', action:'LEAD_CREATED', target_type:'creator', target_id:id, metadata:{ email:data.email, country:data.country }});
-    return res.json({ creator_id: id, next: `/connect.html?creator_id=${encodeURIComponent(id)}` });
+    // O navegador que criou o lead já fica logado; o e-mail permite voltar de outro dispositivo
+    startSession(req, res, id);
+    // Dentro de um iframe o cookie costuma ser bloqueado (terceiros) e o OAuth não abre em frame: o formulário
+    // embutido mostra um link target=_top com um magic link de uso único (emitido antes do e-mail, cujo código segue
+    // valendo). O link só vai para o nosso iframe, nunca para o JavaScript do site do parceiro
+    const login = data.attribution.embed_mode && data.attribution.embed_mode !== 'page' ? issueLoginCode(db, id) : null;
+    sendLoginEmail({ id, email: data.email.toLowerCase(), full_name: data.full_name }).catch(e => console.error('login email failed:', e.message));
+    const handoff_url = login ? `/api/auth/magic?token=${encodeURIComponent(login.token)}&next=connect` : null;
+    return res.json({ creator_id: id, next: '/connect.html', handoff_url });
   } catch (e) {
     if (String(e).includes('UNIQUE')) return res.status(409).json({ error: 'email already exists' });
     return res.status(500).json({ error: 'internal_error' });
   }
 });
 
-// Consent text (for UI)
+// Tema e nome do parceiro para o formulário embutido (a chave pk_ é pública)
+app.get('/api/embed/partners/:key', (req, res) => {
+  const partner = partnerByKey(db, req.params.key);
+  if (!partner) return res.status(404).json({ error: 'not_found' });
+  res.json({ name: partner.name, theme: partner.theme });
+});
+
+// Consent text (for UI) — versão vigente no idioma pedido (?lang=pt|es|en)
 app.get('/api/consent-text', (req, res) => {
-  res.json({ version: CONSENT_VERSION, hash: CONSENT_HASH, text: CONSENT_TEXT });
+  const t = currentText(db, req.query.lang?.toString());
+  if (!t) return res.status(404).json({ error: 'not_found' });
+  res.json({ version: t.version, language: t.language, hash: t.text_hash, text: t.text });
 });
 
-// 2) OAuth start
-app.get('/api/oauth/meta/start', (req, res) => {
-  const creator_id = req.query.creator_id?.toString();
-  if (!creator_id) return res.status(400).send('missing creator_id');
+// Creator login (magic link ou código de 6 dígitos)
+const LoginRequestSchema = z.object({ email: z.string().email() });
+const LoginVerifySchema = z.object({ email: z.string().email(), code: z.string().regex(/^\d{6}$/) });
+
+app.post('/api/auth/request', async (req, res) => {
+  const parsed = LoginRequestSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const creator = db.prepare('SELECT id, email, full_name FROM creators WHERE email=?').get(parsed.data.email.toLowerCase());
+  // Resposta igual exista ou não o e-mail (evita enumeração)
+  if (creator) {
+    try {
+      if (await sendLoginEmail(creator)) {
+        logAudit({ actor_type:'creator', actor_id:creator.id, action:'LOGIN_REQUESTED', target_type:'creator', target_id:creator.id });
+      }
+    } catch (e) {
+      console.error('login email failed:', e.message);
+    }
+  }
+  res.json({ ok: true });
+});
+
+app.post('/api/auth/verify', (req, res) => {
+  const parsed = LoginVerifySchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const creator = db.prepare('SELECT id FROM creators WHERE email=?').get(parsed.data.email.toLowerCase());
+  if (!creator || !consumeLoginCode(db, creator.id, parsed.data.code)) return res.status(401).json({ error: 'invalid_code' });
+  startSession(req, res, creator.id);
+  logAudit({ actor_type:'creator', actor_id:creator.id, action:'LOGIN', target_type:'creator', target_id:creator.id, metadata:{ method:'code' }});
+  res.json({ ok: true, creator_id: creator.id });
+});
+
+// Magic link em dois passos: o GET (que scanners de e-mail abrem sozinhos) só mostra a confirmação; o POST dela consome
+// o link. Assim nem o link nem o código de 6 dígitos, que vivem na mesma linha de login_codes, se gastam antes do clique.
+app.get('/api/auth/magic', (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  res.sendFile(path.join(__dirname, '..', 'public', 'magic.html'));
+});
+
+app.post('/api/auth/magic', express.urlencoded({ extended: false }), (req, res) => {
+  const creator_id = consumeLoginToken(db, req.body?.token?.toString() || '');
+  if (!creator_id) return res.redirect(303, '/dashboard.html?login=expired');
+  startSession(req, res, creator_id);
+  logAudit({ actor_type:'creator', actor_id:creator_id, action:'LOGIN', target_type:'creator', target_id:creator_id, metadata:{ method:'magic_link' }});
+  // next=connect: vindo do formulário embutido, segue direto para a conexão das redes
+  res.redirect(303, req.body.next === 'connect' ? '/connect.html' : '/dashboard.html');
+});
+
+app.get('/api/auth/me', creatorAuth, (req, res) => {
+  res.json({ creator_id: req.creator_id });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  revokeSession(db, req.cookies?.[SESSION_COOKIE]);
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+  res.json({ ok: true });
+});
+
+// 2) OAuth start (exige sessão do creator; evita conectar uma conta ao cadastro de outra pessoa)
+// :provider = meta (Instagram), tiktok ou youtube; um creator pode vincular várias plataformas
+app.get('/api/oauth/:provider/start', (req, res) => {
+  const provider = providerForSlug(req.params.provider);
+  if (!provider) return res.status(404).send('unknown provider');
+  if (!provider.configured()) return res.status(503).send(`${provider.label} não está configurado neste servidor.`);
+  const session = getSession(db, req.cookies?.[SESSION_COOKIE]);
+  if (!session) return res.redirect('/dashboard.html?login=required');
+  const creator_id = session.creator_id;
+  if (req.query.creator_id && req.query.creator_id.toString() !== creator_id) return res.status(403).send('forbidden');
 
   const creator = db.prepare('SELECT id, status FROM creators WHERE id = ?').get(creator_id);
   if (!creator) return res.status(404).send('creator not found');
 
-  const state = JSON.stringify({ creator_id, nonce: nanoid() });
+  const { state, nonce, maxAge } = createOAuthState(db, creator_id);
+  // sameSite=lax: o cookie volta no redirect top-level vindo do provedor; o path separa o nonce de cada provedor
+  res.cookie(STATE_COOKIE, nonce, { httpOnly: true, sameSite: 'lax', secure: req.secure, maxAge, path: `/api/oauth/${provider.slug}` });
 
-  // Scopes: você ajusta conforme seu app Meta aprovar
-  const scopes = [
-    'public_profile'
-    // Adicione permissões IG conforme sua configuração na plataforma Meta
-  ];
-
-  const url = buildAuthUrl({ state, scopes });
-  logAudit({ actor_type:'creator', actor_id:creator_id, action:'OAUTH_START', target_type:'creator', target_id:creator_id, metadata:{}});
+  // Scopes de cada provedor ficam em lib/providers.js (Meta), lib/tiktok.js e lib/youtube.js
+  const url = provider.authUrl(state);
+  logAudit({ actor_type:'creator', actor_id:creator_id, action:'OAUTH_START', target_type:'creator', target_id:creator_id, metadata:{ platform:provider.id }});
   res.redirect(url);
 });
 
 // 3) OAuth callback
-app.get('/api/oauth/meta/callback', async (req, res) => {
+app.get('/api/oauth/:provider/callback', async (req, res) => {
+  const provider = providerForSlug(req.params.provider);
+  if (!provider) return res.status(404).send('unknown provider');
   const { code, state, error, error_description } = req.query;
   if (error) return res.status(400).send(`OAuth error: ${error} ${error_description || ''}`);
 
   if (!code || !state) return res.status(400).send('Missing code/state');
 
-  let st;
-  try { st = JSON.parse(state.toString()); } catch { return res.status(400).send('Bad state'); }
+  const st = consumeOAuthState(db, state.toString(), req.cookies?.[STATE_COOKIE]);
+  res.clearCookie(STATE_COOKIE, { path: `/api/oauth/${provider.slug}` });
+  if (!st.ok) {
+    const ip = (req.headers['x-forwarded-for'] || req.socket.remoteAddress || '').toString();
+    logAudit({ actor_type:'anonymous', actor_id:ip || 'unknown', action:'OAUTH_STATE_REJECTED', target_type:'creator', target_id:st.creator_id || 'unknown', metadata:{ reason:st.reason, platform:provider.id, user_agent:req.headers['user-agent'] || null }});
+    return res.status(400).send('Invalid or expired state. Start the connection again.');
+  }
   const creator_id = st.creator_id;
 
   try {
-    const token = await exchangeCodeForToken(code.toString());
-    const me = await fetchMe(token.access_token);
+    const linked = await provider.connect(code.toString());
+    if (!linked) return res.status(400).send(provider.noAccountMessage);
 
-    // Upsert connected account
-    const account_id = nanoid();
+    // Upsert connected account (uma linha por creator + plataforma + id externo; reconexão do mesmo creator atualiza a existente).
+    // Se a conta já pertenceu a outro cadastro (inativa), nasce uma linha nova: snapshots, métricas e flags antigos
+    // continuam com o dono anterior e não entram no score de quem conectou agora.
     const ts = nowIso();
-    const enc = encryptToken(token.access_token);
+    const taken = db.prepare("SELECT id FROM connected_accounts WHERE platform=? AND ig_user_id=? AND creator_id<>? AND status='active'")
+      .get(provider.id, linked.external_id, creator_id);
+    if (taken) {
+      logAudit({ actor_type:'creator', actor_id:creator_id, action:'OAUTH_ACCOUNT_CONFLICT', target_type:'account', target_id:taken.id, metadata:{ platform:provider.id, external_id:linked.external_id }});
+      return res.status(409).send(`Esta conta ${provider.label} já está conectada a outro cadastro.`);
+    }
+    const existing = db.prepare('SELECT id FROM connected_accounts WHERE platform=? AND ig_user_id=? AND creator_id=? ORDER BY connected_at DESC')
+      .get(provider.id, linked.external_id, creator_id);
 
-    db.prepare(`INSERT INTO connected_accounts (id, creator_id, platform, ig_user_id, username, account_type, scopes, access_token_enc, token_expires_at, connected_at, status)
-                VALUES (?, ?, 'instagram', ?, ?, ?, ?, ?, ?, ?, 'active')`)
-      .run(account_id, creator_id, me.id?.toString() || null, null, 'unknown', null, enc, token.expires_in ? new Date(Date.now()+token.expires_in*1000).toISOString() : null, ts);
+    const account_id = existing?.id || nanoid();
+    db.transaction(() => {
+      if (existing) {
+        db.prepare(`UPDATE connected_accounts SET username=?, scopes=?, connected_at=?, disconnected_at=NULL, status='active'
+                    WHERE id=?`)
+          .run(linked.username, linked.scopes, ts, account_id);
+      } else {
+        db.prepare(`INSERT INTO connected_accounts (id, creator_id, platform, ig_user_id, username, account_type, scopes, connected_at, status)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'active')`)
+          .run(account_id, creator_id, provider.id, linked.external_id, linked.username, linked.account_type, linked.scopes, ts);
+      }
+      saveTokens(db, account_id, provider.id, linked.tokens);
+    })();
 
-    db.prepare(`UPDATE creators SET status='connected', updated_at=? WHERE id=?`).run(ts, creator_id);
+    db.prepare(`UPDATE creators SET status='connected', updated_at=? WHERE id=? AND status IN ('lead','revoked')`).run(ts, creator_id);
 
-    logAudit({ actor_type:'creator', actor_id:creator_id, action:'OAUTH_CONNECTED', target_type:'account', target_id:account_id, metadata:{ me }});
+    logAudit({ actor_type:'creator', actor_id:creator_id, action:'OAUTH_CONNECTED', target_type:'account', target_id:account_id, metadata:{ platform:provider.id, me:linked.me }});
 
-    // MVP: roda qualificação imediatamente
-    await runQualification({ creator_id, account_id });
+    // Qualificação roda em background (sobre todas as contas ativas); o dashboard mostra "processando" até o job terminar
+    enqueueJob(db, { type:'qualify', payload:{ creator_id }, creator_id });
 
-    return res.redirect(`/dashboard.html?creator_id=${encodeURIComponent(creator_id)}`);
+    // Sessão nova após o callback (o state assinado prova que o fluxo começou neste navegador)
+    startSession(req, res, creator_id);
+    return res.redirect('/dashboard.html');
   } catch (e) {
     console.error(e);
     return res.status(500).send('OAuth callback failed. Check server logs.');
   }
 });
 
-// Qualification pipeline (MVP)
-// NOTA: Sem scraping. Se métricas avançadas não estiverem disponíveis via API, mantém score com proxies/limitado.
-async function runQualification({ creator_id, account_id }) {
+// Qualification pipeline
+// NOTA: Sem scraping. Coleta via APIs oficiais (Instagram Graph, TikTok, YouTube Data); o score lê apenas o que foi gravado
+// em profile_snapshots/content_metrics_daily e combina todas as contas ativas do creator.
+async function runQualification({ creator_id }) {
   const ts = nowIso();
 
-  // snapshot mínimo (sem IG insights neste starter)
-  const creator = db.prepare('SELECT declared_category FROM creators WHERE id=?').get(creator_id);
-
-  db.prepare(`INSERT INTO profile_snapshots (id, account_id, snapshot_date, created_at)
-              VALUES (?, ?, ?, ?)`)
-    .run(nanoid(), account_id, new Date().toISOString().slice(0,10), ts);
-
-  // Aggregates dummy (0). Você pluga os seus collectors aqui quando tiver permissões IG.
-  const day = new Date().toISOString().slice(0,10);
-  db.prepare(`INSERT INTO content_metrics_daily (id, account_id, day, posts_count, reels_count, likes_total, comments_total, created_at)
-              VALUES (?, ?, ?, ?, ?, ?, ?, ?)`)
-    .run(nanoid(), account_id, day, 0, 0, 0, 0, ts);
-
-  // Classify niche (bio não disponível no starter; usa declared_category)
-  const niche = classifyNiche({ bio: "", declared: creator?.declared_category || "" });
-  db.prepare(`INSERT INTO niche_classification (id, creator_id, primary_niche, secondary_niches, confidence, evidence_keywords, model_version, computed_at)
-              VALUES (?, ?, ?, ?, ?, ?, ?, ?)`)
-    .run(nanoid(), creator_id, niche.primary_niche, JSON.stringify(niche.secondary_niches), niche.confidence, JSON.stringify(niche.evidence_keywords), 'dict-v1', ts);
-
-  // Score (limited)
-  const followers = 1000; // placeholder — quando tiver endpoint, substitua
-  const likes = 50;
-  const comments = 5;
-  const contentCount30d = 8;
-
-  const er = (likes + comments) / followers;
-  const erScore = computeErScore(er);
-  const consistencyScore = computeConsistencyScore(contentCount30d / 4);
-  const nicheScore = computeNicheScore(niche.confidence);
-  const reachAvailable = false;
-  const reachScore = computeReachScore({ reachAvailable, ratio: 0 }) ?? 0;
-  const fraudPenalty = computeFraudPenalty({ er, followers, contentCount30d });
-  const total = computeTotalScore({ erScore, reachScore, consistencyScore, nicheScore, fraudPenalty, reachAvailable });
-  const g = grade(total);
-
-  db.prepare(`INSERT INTO creator_scores (id, creator_id, score_total, grade, er_score, reach_score, consistency_score, niche_score, fraud_penalty, scoring_version, computed_at)
-              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
-    .run(nanoid(), creator_id, total, g, erScore, reachScore, consistencyScore, nicheScore, fraudPenalty, 'score-v1', ts);
-
-  // Brand targets
-  const targets = buildBrandTargets(niche.primary_niche);
-  db.prepare(`INSERT INTO brand_targets (id, creator_id, target_type, segment, suggested_brands, generated_at)
-              VALUES (?, ?, ?, ?, ?, ?)`)
-    .run(nanoid(), creator_id, 'local', niche.primary_niche, JSON.stringify(targets.local), ts);
-  db.prepare(`INSERT INTO brand_targets (id, creator_id, target_type, segment, suggested_brands, generated_at)
-              VALUES (?, ?, ?, ?, ?, ?)`)
-    .run(nanoid(), creator_id, 'ecommerce', niche.primary_niche, JSON.stringify(targets.ecommerce), ts);
-
-  db.prepare(`UPDATE creators SET status='qualified', updated_at=? WHERE id=?`).run(ts, creator_id);
-
-  logAudit({ actor_type:'system', actor_id:'pipeline', action:'QUALIFIED', target_type:'creator', target_id:creator_id, metadata:{ grade:g, score:total, niche:niche.primary_niche }});
+  // Sem metrics_check válido (revogado ou texto antigo) não processa
+  if (!hasValidConsent(db, creator_id, 'metrics_check')) {
+    logAudit({ actor_type:'system', actor_id:'pipeline', action:'QUALIFICATION_SKIPPED', target_type:'creator', target_id:creator_id, metadata:{ reason:'consent' }});
+    return;
+  }
+
+  const creator = db.prepare('SELECT declared_category, country FROM creators WHERE id=?').get(creator_id);
+  const accounts = db.prepare("SELECT id, platform, ig_user_id, token_expires_at FROM connected_accounts WHERE creator_id=? AND status='active'").all(creator_id);
+
+  // Coleta conta a conta: token inválido tira só aquela conta de 'active'; erro transitório re-tenta o job inteiro
+  const collected = [];
+  for (const account of accounts) {
+    if (isExpired(account)) { flagAccountToken(creator_id, account.id, 'expired', 'token_expires_at passed'); continue; }
+    const provider = getProvider(account.platform);
+    const token = await currentAccessToken(db, account.id);
+    if (token.status !== 'active') { flagAccountToken(creator_id, account.id, token.status, token.error); continue; }
+    try {
+      storeCollection(db, account.id, await provider.collect(token.access_token, account.ig_user_id));
+    } catch (e) {
+      if (provider.isAuthError(e)) { flagAccountToken(creator_id, account.id, 'needs_reauth', e.message); continue; }
+      throw e;
+    }
+    collected.push(account);
+  }
+  if (!collected.length) return; // desconectadas enquanto o job esperava, ou todas precisam de reconexão
+
+  const perAccount = collected.map(a => readStoredMetrics(db, a.id));
+  const m = combineMetrics(perAccount);
+
+  // Classify niche (bios + legendas recentes de todas as contas + declared_category, taxonomia ativa)
+  const captions = collected.flatMap(a => readStoredCaptions(db, a.id));
+  const niche = classifyNiche({ bio: m.bio, captions, declared: creator?.declared_category || '' }, activeTaxonomy(db));
+  saveClassification(db, { id: nanoid(), creator_id, result: niche, computed_at: ts });
+
+  // Flags de autenticidade sobre o histórico gravado de cada conta (respeita revisões do admin)
+  for (const a of collected) analyzeFraud(db, { creator_id, account_id: a.id });
+  const fraud = fraudPenalty(db, creator_id);
+  // Score: ER e alcance por conteúdo nos últimos 30 dias, ponderados pelo volume de cada plataforma
+  const inputs = {
+    er: m.er,
+    contentsPerWeek: m.contentCount30d / 4,
+    nicheConfidence: niche.confidence,
+    reachAvailable: m.reachAvailable,
+    reachRatio: m.reachRatio,
+    fraudPenalty: fraud.penalty,
+    fraudFlags: fraud.flags.map(f => `${f.flag}:${f.severity}`)
+  };
+
+  // Perfil de scoring mais específico para país/nicho; a versão fica gravada junto com a explicação
+  const sc = recordScore(db, { creator_id, inputs, country: creator?.country, niche: niche.primary_niche });
+  const total = sc.score_total;
+  const g = sc.grade;
+
+  // Brand targets: ranking do catálogo de marcas (nicho, cidade, score, flags de fraude)
+  buildBrandTargets(db, creator_id);
+
+  // Re-sync não rebaixa quem já está em share_enabled
+  db.prepare(`UPDATE creators SET status='qualified', updated_at=? WHERE id=? AND status IN ('lead','connected')`).run(ts, creator_id);
+  const markSynced = db.prepare('UPDATE connected_accounts SET last_sync_at=? WHERE id=?');
+  for (const a of collected) markSynced.run(ts, a.id);
+
+  const platforms = collected.map(a => a.platform);
+  logAudit({ actor_type:'system', actor_id:'pipeline', action:'QUALIFIED', target_type:'creator', target_id:creator_id, metadata:{ grade:g, score:total, niche:niche.primary_niche, platforms }});
+  notifyIntegrations('QUALIFIED', creator_id, { grade:g, score:total, niche:niche.primary_niche, platforms });
+}
+
+// Token inválido/expirado: a conta sai de 'active' e o dashboard oferece reconexão via /api/oauth/:provider/start
+function flagAccountToken(creator_id, account_id, status, reason) {
+  markAccountStatus(db, account_id, status);
+  logAudit({ actor_type:'system', actor_id:'tokens', action: status === 'expired' ? 'TOKEN_EXPIRED' : 'TOKEN_NEEDS_REAUTH', target_type:'account', target_id:account_id, metadata:{ creator_id, reason }});
 }
 
 // Creator overview
-app.get('/api/creator/:id/overview', (req, res) => {
+app.get('/api/creator/:id/overview', creatorAuth, (req, res) => {
   const creator_id = req.params.id;
   const creator = db.prepare('SELECT * FROM creators WHERE id=?').get(creator_id);
   if (!creator) return res.status(404).json({ error: 'not_found' });
 
   const score = db.prepare('SELECT * FROM creator_scores WHERE creator_id=? ORDER BY computed_at DESC LIMIT 1').get(creator_id);
-  const niche = db.prepare('SELECT * FROM niche_classification WHERE creator_id=? ORDER BY computed_at DESC LIMIT 1').get(creator_id);
+  const lastNiche = db.prepare('SELECT * FROM niche_classification WHERE creator_id=? ORDER BY computed_at DESC LIMIT 1').get(creator_id);
+  const niche = lastNiche ? { ...lastNiche, evidence: getNicheEvidence(db, lastNiche.id) } : null;
   const brands = db.prepare('SELECT * FROM brand_targets WHERE creator_id=? ORDER BY generated_at DESC').all(creator_id);
   const consents = db.prepare('SELECT consent_type, granted, revoked_at FROM consent_records WHERE creator_id=?').all(creator_id);
+  const processing = !score && hasOpenJob(db, { type:'qualify', creator_id });
+  // Métricas por plataforma; reconnect_url aponta para a primeira conta que perdeu o token
+  const platforms = creatorPlatforms(db, creator_id);
+  const reconnect_url = platforms.flatMap(p => p.accounts).find(a => a.reconnect_url)?.reconnect_url || null;
 
-  res.json({ creator, score, niche, brands, consents });
+  const consent = consentStatus(db, creator_id);
+  const explanation = score ? getExplanation(db, score.id)?.components || null : null;
+
+  res.json({ creator, score, explanation, niche, brands, consents, consent, processing, reconnect_url, platforms });
+});
+
+// Plataformas disponíveis e contas vinculadas (connect.html)
+app.get('/api/creator/:id/platforms', creatorAuth, (req, res) => {
+  res.json({ rows: creatorPlatforms(db, req.params.id) });
+});
+
+// Histórico (seguidores, ER, cadência, score) por dia/semana/mês
+app.get('/api/creator/:id/history', creatorAuth, (req, res) => {
+  const parsed = HistoryQuerySchema.safeParse(req.query);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const history = creatorHistory(db, req.params.id, parsed.data);
+  if (!history) return res.status(404).json({ error: 'not_found' });
+  res.json(history);
 });
 
-// Share enable
-app.post('/api/creator/:id/share-enable', (req, res) => {
+// Share enable (registra o consentimento share_with_brands na versão vigente)
+app.post('/api/creator/:id/share-enable', creatorAuth, (req, res) => {
   const creator_id = req.params.id;
+  if (!hasValidConsent(db, creator_id, 'metrics_check')) return res.status(409).json({ error: 'reconsent_required' });
+  const creator = db.prepare('SELECT country FROM creators WHERE id=?').get(creator_id);
   const ts = nowIso();
+  if (!hasValidConsent(db, creator_id, 'share_with_brands')) {
+    recordConsent(db, { creator_id, consent_type:'share_with_brands', granted:true, language:languageForCountry(creator.country), ...requestMeta(req) });
+  }
   db.prepare("UPDATE creators SET status='share_enabled', updated_at=? WHERE id=?").run(ts, creator_id);
   logAudit({ actor_type:'creator', actor_id:creator_id, action:'SHARE_ENABLED', target_type:'creator', target_id:creator_id });
+  notifyIntegrations('SHARE_ENABLED', creator_id);
   res.json({ ok: true });
 });
 
+// Consent lifecycle
+const ConsentGrantSchema = z.object({
+  consent_types: z.array(z.enum(CONSENT_TYPES)).min(1),
+  language: z.enum(LANGUAGES).optional()
+});
+const ConsentRevokeSchema = z.object({ reason: z.string().max(500).optional().nullable() });
+
+app.get('/api/creator/:id/consents', creatorAuth, (req, res) => {
+  res.json({ ...consentStatus(db, req.params.id), history: consentHistory(db, req.params.id) });
+});
+
+// Concede (ou renova na versão vigente, no caso de re-consentimento)
+app.post('/api/creator/:id/consents', creatorAuth, (req, res) => {
+  const parsed = ConsentGrantSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const creator_id = req.params.id;
+  const creator = db.prepare('SELECT country FROM creators WHERE id=?').get(creator_id);
+  const language = parsed.data.language || languageForCountry(creator.country);
+  for (const type of parsed.data.consent_types) {
+    recordConsent(db, { creator_id, consent_type:type, granted:true, language, ...requestMeta(req) });
+  }
+  logAudit({ actor_type:'creator', actor_id:creator_id, action:'CONSENT_GRANTED', target_type:'creator', target_id:creator_id, metadata:{ types:parsed.data.consent_types, version:currentText(db, language)?.version }});
+  scheduleCrmSync(creator_id);
+
+  // Retoma o processamento que ficou bloqueado aguardando o consentimento
+  const account = db.prepare("SELECT id FROM connected_accounts WHERE creator_id=? AND status='active' LIMIT 1").get(creator_id);
+  if (parsed.data.consent_types.includes('metrics_check') && account && !hasOpenJob(db, { type:'qualify', creator_id })) {
+    enqueueJob(db, { type:'qualify', payload:{ creator_id }, creator_id });
+  }
+  res.json(consentStatus(db, creator_id));
+});
+
+app.post('/api/creator/:id/consents/:type/revoke', creatorAuth, (req, res) => {
+  const creator_id = req.params.id;
+  const type = req.params.type;
+  if (!CONSENT_TYPES.includes(type)) return res.status(400).json({ error: 'invalid consent type' });
+  const parsed = ConsentRevokeSchema.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  if (!revokeConsent(db, { creator_id, consent_type:type, reason:parsed.data.reason || null })) return res.status(409).json({ error: 'consent not active' });
+
+  // Sem share_with_brands o perfil deixa de ser compartilhado
+  if (type === 'share_with_brands') {
+    const r = db.prepare("UPDATE creators SET status='qualified', updated_at=? WHERE id=? AND status='share_enabled'").run(nowIso(), creator_id);
+    if (r.changes) {
+      logAudit({ actor_type:'creator', actor_id:creator_id, action:'SHARE_DISABLED', target_type:'creator', target_id:creator_id });
+      notifyIntegrations('SHARE_DISABLED', creator_id);
+    }
+    if (unpublishMediaKit(db, creator_id)) logAudit({ actor_type:'creator', actor_id:creator_id, action:'MEDIA_KIT_UNPUBLISHED', target_type:'creator', target_id:creator_id, metadata:{ reason:'consent_revoked' }});
+  }
+  logAudit({ actor_type:'creator', actor_id:creator_id, action:'CONSENT_REVOKED', target_type:'creator', target_id:creator_id, metadata:{ type, reason:parsed.data.reason || null }});
+  // O CRM precisa apagar e-mail/telefone quando marketing_contact sai
+  scheduleCrmSync(creator_id);
+  res.json(consentStatus(db, creator_id));
+});
+
 // Disconnect
-app.post('/api/creator/:id/disconnect', (req, res) => {
+app.post('/api/creator/:id/disconnect', creatorAuth, (req, res) => {
   const creator_id = req.params.id;
   const ts = nowIso();
+  const accounts = db.prepare("SELECT id FROM connected_accounts WHERE creator_id=? AND status='active'").all(creator_id);
   db.prepare("UPDATE connected_accounts SET status='revoked', disconnected_at=? WHERE creator_id=? AND status='active'").run(ts, creator_id);
   db.prepare("UPDATE creators SET status='revoked', updated_at=? WHERE id=?").run(ts, creator_id);
+  // Revogação na plataforma (Meta, TikTok, Google) em background, com retry; o token local é apagado quando ela termina
+  for (const a of accounts) enqueueJob(db, { type:'revoke_account', payload:{ creator_id, account_id:a.id }, creator_id });
   logAudit({ actor_type:'creator', actor_id:creator_id, action:'DISCONNECT', target_type:'creator', target_id:creator_id });
+  notifyIntegrations('DISCONNECT', creator_id);
+  if (unpublishMediaKit(db, creator_id)) logAudit({ actor_type:'creator', actor_id:creator_id, action:'MEDIA_KIT_UNPUBLISHED', target_type:'creator', target_id:creator_id, metadata:{ reason:'disconnect' }});
   res.json({ ok: true });
 });
 
-// Deletion request
-app.post('/api/creator/:id/delete', (req, res) => {
+// Campanhas do creator: convites (aceitar/recusar) e entregas (URL do post)
+app.get('/api/creator/:id/campaigns', creatorAuth, (req, res) => {
+  res.json({ rows: creatorCampaigns(db, req.params.id) });
+});
+
+const InvitationResponseSchema = z.object({ reason: z.string().max(500).optional() });
+
+function respondInvitation(accept) {
+  return (req, res) => {
+    const creator_id = req.params.id;
+    const inv = getInvitation(db, req.params.invitationId);
+    if (!inv || inv.creator_id !== creator_id) return res.status(404).json({ error: 'not_found' });
+    const parsed = InvitationResponseSchema.safeParse(req.body || {});
+    if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+    const r = respondToInvitation(db, inv.id, { accept, reason: parsed.data.reason });
+    if (!r.ok) return res.status(409).json({ error: r.reason });
+    logAudit({ actor_type:'creator', actor_id:creator_id, action: accept ? 'INVITATION_ACCEPTED' : 'INVITATION_DECLINED', target_type:'campaign_invitation', target_id:inv.id,
+      metadata:{ campaign_id:inv.campaign_id, from:r.from, to:r.to, reason:parsed.data.reason || null }});
+    res.json({ ok: true, status: r.to });
+  };
+}
+app.post('/api/creator/:id/invitations/:invitationId/accept', creatorAuth, respondInvitation(true));
+app.post('/api/creator/:id/invitations/:invitationId/decline', creatorAuth, respondInvitation(false));
+
+app.post('/api/creator/:id/deliverables/:deliverableId/submit', creatorAuth, (req, res) => {
   const creator_id = req.params.id;
+  const d = getDeliverable(db, req.params.deliverableId);
+  if (!d || d.creator_id !== creator_id) return res.status(404).json({ error: 'not_found' });
+  const parsed = z.object({ post_url: z.string().url().max(500) }).safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const r = submitDeliverable(db, d.id, parsed.data.post_url);
+  if (!r.ok) return res.status(409).json({ error: r.reason });
+  logAudit({ actor_type:'creator', actor_id:creator_id, action:'DELIVERABLE_SUBMITTED', target_type:'campaign_deliverable', target_id:d.id,
+    metadata:{ campaign_id:d.campaign_id, from:r.from, to:r.to, post_url:parsed.data.post_url }});
+  res.json({ ok: true, status: r.to });
+});
+
+// Media kit: o creator escolhe os campos; publicar exige share_with_brands e gera um slug público
+function mediaKitUrl(slug) {
+  const base = process.env.BASE_URL || 'http://localhost:' + (process.env.PORT || 8080);
+  return slug ? `${base}/kit/${slug}` : null;
+}
+function mediaKitResponse(creator_id) {
+  const settings = getMediaKitSettings(db, creator_id);
+  return {
+    ...settings,
+    url: mediaKitUrl(settings.slug),
+    available_fields: MEDIA_KIT_FIELDS,
+    can_publish: hasValidConsent(db, creator_id, 'share_with_brands'),
+    preview: buildMediaKit(db, creator_id, settings.fields)
+  };
+}
+function sendMediaKitPdf(res, kit, name) {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${name}.pdf"`);
+  res.setHeader('Cache-Control', 'no-store');
+  res.send(renderMediaKitPdf(kit));
+}
+
+app.get('/api/creator/:id/media-kit', creatorAuth, (req, res) => {
+  res.json(mediaKitResponse(req.params.id));
+});
+
+app.patch('/api/creator/:id/media-kit', creatorAuth, (req, res) => {
+  const parsed = MediaKitFieldsSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const settings = setMediaKitFields(db, req.params.id, parsed.data.fields);
+  logAudit({ actor_type:'creator', actor_id:req.params.id, action:'MEDIA_KIT_UPDATED', target_type:'creator', target_id:req.params.id, metadata:{ fields:settings.fields }});
+  res.json(mediaKitResponse(req.params.id));
+});
+
+app.post('/api/creator/:id/media-kit/publish', creatorAuth, (req, res) => {
+  const r = publishMediaKit(db, req.params.id);
+  if (!r.ok) return res.status(409).json({ error: r.reason });
+  logAudit({ actor_type:'creator', actor_id:req.params.id, action:'MEDIA_KIT_PUBLISHED', target_type:'creator', target_id:req.params.id, metadata:{ fields:r.settings.fields }});
+  res.json(mediaKitResponse(req.params.id));
+});
+
+app.post('/api/creator/:id/media-kit/unpublish', creatorAuth, (req, res) => {
+  if (unpublishMediaKit(db, req.params.id)) logAudit({ actor_type:'creator', actor_id:req.params.id, action:'MEDIA_KIT_UNPUBLISHED', target_type:'creator', target_id:req.params.id });
+  res.json(mediaKitResponse(req.params.id));
+});
+
+// Novo slug: o link anterior deixa de funcionar na hora
+app.post('/api/creator/:id/media-kit/rotate', creatorAuth, (req, res) => {
+  if (!rotateMediaKitSlug(db, req.params.id)) return res.status(409).json({ error: 'media kit not published' });
+  logAudit({ actor_type:'creator', actor_id:req.params.id, action:'MEDIA_KIT_SLUG_ROTATED', target_type:'creator', target_id:req.params.id });
+  res.json(mediaKitResponse(req.params.id));
+});
+
+// PDF com os campos escolhidos (também antes de publicar, para o creator revisar)
+app.get('/api/creator/:id/media-kit.pdf', creatorAuth, (req, res) => {
+  const settings = getMediaKitSettings(db, req.params.id);
+  sendMediaKitPdf(res, buildMediaKit(db, req.params.id, settings.fields), 'media-kit');
+});
+
+// Media kit público (sem login). Sem cache: despublicar ou revogar o consentimento vale na hora.
+function publicKit(req, res, next) {
+  const kit = publicMediaKit(db, req.params.slug);
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('X-Robots-Tag', 'noindex');
+  if (!kit) return res.status(404).json({ error: 'not_found' });
+  req.kit = kit;
+  next();
+}
+app.get('/kit/:slug', (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  res.sendFile(path.join(__dirname, '..', 'public', 'kit.html'));
+});
+app.get('/api/kit/:slug', publicKit, (req, res) => res.json(req.kit));
+app.get('/api/kit/:slug/pdf', publicKit, (req, res) => sendMediaKitPdf(res, req.kit, `media-kit-${req.params.slug}`));
+
+// Deletion request (processada pela fila de compliance; prazo GDPR de 30 dias)
+app.post('/api/creator/:id/delete', creatorAuth, (req, res) => {
+  const creator_id = req.params.id;
+  const open = db.prepare("SELECT id FROM deletion_requests WHERE creator_id=? AND status IN ('requested','processing','failed')").get(creator_id);
+  if (open) return res.json({ ok: true, request_id: open.id });
+  const id = nanoid();
   const ts = nowIso();
   db.prepare("INSERT INTO deletion_requests (id, creator_id, requested_at, status) VALUES (?, ?, ?, ?)")
-    .run(nanoid(), creator_id, ts, 'requested');
+    .run(id, creator_id, ts, 'requested');
   logAudit({ actor_type:'creator', actor_id:creator_id, action:'DELETE_REQUESTED', target_type:'creator', target_id:creator_id });
-  res.json({ ok: true });
+  res.json({ ok: true, request_id: id });
+});
+
+// Portabilidade: tudo que guardamos sobre o creator (?format=zip para arquivo ZIP)
+async function sendCreatorExport(res, creator_id, format) {
+  const data = exportCreatorData(db, creator_id);
+  if (!data) return res.status(404).json({ error: 'not_found' });
+  if (format === 'zip') {
+    let buf;
+    try {
+      buf = await exportToZip(data);
+    } catch (e) {
+      console.error('export zip failed:', e.message);
+      return res.status(500).json({ error: 'internal_error' });
+    }
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="dados-${creator_id}.zip"`);
+    return res.send(buf);
+  }
+  res.setHeader('Content-Disposition', `attachment; filename="dados-${creator_id}.json"`);
+  res.json(data);
+}
+
+app.get('/api/creator/:id/export', creatorAuth, async (req, res) => {
+  logAudit({ actor_type:'creator', actor_id:req.params.id, action:'DATA_EXPORTED', target_type:'creator', target_id:req.params.id });
+  await sendCreatorExport(res, req.params.id, req.query.format?.toString());
 });
 
 // ---- Admin
-app.get('/api/admin/creators', adminAuth, (req, res) => {
-  const grade = req.query.grade?.toString();
-  const city = req.query.city?.toString();
-  let q = `SELECT c.*, s.score_total, s.grade, n.primary_niche
-           FROM creators c
-           LEFT JOIN (SELECT creator_id, score_total, grade, MAX(computed_at) AS computed_at FROM creator_scores GROUP BY creator_id) s
-           ON c.id = s.creator_id
-           LEFT JOIN (SELECT creator_id, primary_niche, MAX(computed_at) AS computed_at FROM niche_classification GROUP BY creator_id) n
-           ON c.id = n.creator_id
-           WHERE 1=1`;
-  const params = [];
-  if (city) { q += " AND c.city = ?"; params.push(city); }
-  if (grade) { q += " AND s.grade = ?"; params.push(grade); }
-  q += " ORDER BY c.created_at DESC LIMIT 500";
-  const rows = db.prepare(q).all(...params);
-  logAudit({ actor_type:'admin', actor_id:'admin', action:'ADMIN_LIST', target_type:'creator', target_id:'*' });
+// Admin login / identidade
+const AdminLoginSchema = z.object({ email: z.string().email(), password: z.string().min(1) });
+const AdminUserSchema = z.object({
+  email: z.string().email(),
+  name: z.string().optional().nullable(),
+  role: z.enum(ROLES),
+  password: z.string().min(12).optional().nullable()
+});
+const AdminUserPatchSchema = z.object({
+  name: z.string().optional().nullable(),
+  role: z.enum(ROLES).optional(),
+  password: z.string().min(12).optional(),
+  disabled: z.boolean().optional()
+});
+
+// Login por senha com limite de falhas por e-mail e por IP (lib/admin-auth.js); bloqueado responde 429 antes de checar a senha
+app.post('/api/admin/login', async (req, res) => {
+  const parsed = AdminLoginSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const attempt = { email: parsed.data.email, ip: (req.headers['x-forwarded-for'] || req.socket.remoteAddress || '').toString() };
+  const retryAfter = loginRetryAfter(db, attempt);
+  if (retryAfter) {
+    logAudit({ actor_type:'anonymous', actor_id:parsed.data.email.toLowerCase(), action:'ADMIN_LOGIN_THROTTLED', target_type:'admin', target_id:'*', metadata:{ ip:attempt.ip }});
+    res.setHeader('Retry-After', String(retryAfter));
+    return res.status(429).json({ error: 'too_many_attempts', retry_after: retryAfter });
+  }
+  let user;
+  try {
+    user = await authenticatePassword(db, parsed.data.email, parsed.data.password);
+  } catch (e) {
+    console.error('admin login failed:', e.message);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+  if (!user) {
+    recordLoginFailure(db, attempt);
+    logAudit({ actor_type:'anonymous', actor_id:parsed.data.email.toLowerCase(), action:'ADMIN_LOGIN_FAILED', target_type:'admin', target_id:'*' });
+    return res.status(401).json({ error: 'invalid_credentials' });
+  }
+  clearLoginFailures(db, user.email);
+  const { token, maxAge } = createAdminSession(db, user.id);
+  res.cookie(ADMIN_SESSION_COOKIE, token, { httpOnly: true, sameSite: 'strict', secure: req.secure, maxAge, path: '/' });
+  logAudit({ actor_type:'admin', actor_id:user.id, action:'ADMIN_LOGIN', target_type:'admin', target_id:user.id });
+  res.json({ ok: true, admin: { id: user.id, email: user.email, name: user.name, role: user.role } });
+});
+
+app.post('/api/admin/logout', (req, res) => {
+  revokeAdminSession(db, req.cookies?.[ADMIN_SESSION_COOKIE]);
+  res.clearCookie(ADMIN_SESSION_COOKIE, { path: '/' });
+  res.json({ ok: true });
+});
+
+app.get('/api/admin/me', adminAuth(), (req, res) => {
+  res.json({ admin: req.admin });
+});
+
+app.get('/api/admin/users', adminAuth('admins:manage'), (req, res) => {
+  const rows = db.prepare('SELECT id, email, name, role, created_at, updated_at, disabled_at FROM admin_users ORDER BY created_at').all();
+  res.json({ rows });
+});
+
+app.post('/api/admin/users', adminAuth('admins:manage'), async (req, res) => {
+  const parsed = AdminUserSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  try {
+    const id = await createAdminUser(db, parsed.data);
+    logAudit({ ...adminActor(req), action:'ADMIN_USER_CREATED', target_type:'admin', target_id:id, metadata:{ email:parsed.data.email, role:parsed.data.role }});
+    res.json({ id });
+  } catch (e) {
+    if (String(e).includes('UNIQUE')) return res.status(409).json({ error: 'email already exists' });
+    return res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+app.patch('/api/admin/users/:id', adminAuth('admins:manage'), async (req, res) => {
+  const parsed = AdminUserPatchSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const user = db.prepare('SELECT * FROM admin_users WHERE id=?').get(req.params.id);
+  if (!user) return res.status(404).json({ error: 'not_found' });
+  const d = parsed.data;
+  if (user.id === req.admin.id && (d.disabled || (d.role && d.role !== 'owner'))) return res.status(409).json({ error: 'cannot demote or disable yourself' });
+
+  let password_hash = user.password_hash;
+  try {
+    if (d.password) password_hash = await hashPassword(d.password);
+  } catch (e) {
+    console.error('admin password hash failed:', e.message);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+
+  const ts = nowIso();
+  db.prepare(`UPDATE admin_users SET name=?, role=?, password_hash=?, disabled_at=?, updated_at=? WHERE id=?`)
+    .run(d.name !== undefined ? d.name : user.name, d.role || user.role, password_hash,
+      d.disabled === undefined ? user.disabled_at : (d.disabled ? ts : null), ts, user.id);
+  if (d.disabled) db.prepare('UPDATE admin_api_keys SET revoked_at=? WHERE admin_id=? AND revoked_at IS NULL').run(ts, user.id);
+  // Senha nova derruba as sessões abertas com a antiga (menos a de quem trocou a própria senha)
+  const sessions_revoked = d.password
+    ? revokeAdminSessions(db, user.id, { keepToken: user.id === req.admin.id ? req.cookies?.[ADMIN_SESSION_COOKIE] : null })
+    : 0;
+  logAudit({ ...adminActor(req), action:'ADMIN_USER_UPDATED', target_type:'admin', target_id:user.id, metadata:{ role:d.role, disabled:d.disabled, password_changed:!!d.password, sessions_revoked }});
+  res.json({ ok: true });
+});
+
+// API keys: cada admin gerencia as próprias; owner vê e revoga todas
+function ownKeyOrOwner(req, keyId) {
+  const key = db.prepare('SELECT id, admin_id FROM admin_api_keys WHERE id=?').get(keyId);
+  if (!key) return null;
+  if (key.admin_id !== req.admin.id && !can(req.admin.role, 'admins:manage')) return null;
+  return key;
+}
+
+app.get('/api/admin/keys', adminAuth(), (req, res) => {
+  const all = can(req.admin.role, 'admins:manage') && req.query.all === '1';
+  res.json({ rows: listApiKeys(db, all ? {} : { admin_id: req.admin.id }) });
+});
+
+app.post('/api/admin/keys', adminAuth(), (req, res) => {
+  const name = req.body?.name ? String(req.body.name).slice(0, 100) : null;
+  const k = createApiKey(db, req.admin.id, { name });
+  logAudit({ ...adminActor(req), action:'ADMIN_KEY_CREATED', target_type:'admin_key', target_id:k.id, metadata:{ prefix:k.prefix }});
+  res.json(k); // a chave em texto só aparece aqui
+});
+
+app.post('/api/admin/keys/:id/rotate', adminAuth(), (req, res) => {
+  if (!ownKeyOrOwner(req, req.params.id)) return res.status(404).json({ error: 'not_found' });
+  const k = rotateApiKey(db, req.params.id);
+  if (!k) return res.status(409).json({ error: 'key already revoked' });
+  logAudit({ ...adminActor(req), action:'ADMIN_KEY_ROTATED', target_type:'admin_key', target_id:req.params.id, metadata:{ new_key_id:k.id, prefix:k.prefix }});
+  res.json(k);
+});
+
+app.post('/api/admin/keys/:id/revoke', adminAuth(), (req, res) => {
+  if (!ownKeyOrOwner(req, req.params.id)) return res.status(404).json({ error: 'not_found' });
+  if (!revokeApiKey(db, req.params.id)) return res.status(409).json({ error: 'key already revoked' });
+  logAudit({ ...adminActor(req), action:'ADMIN_KEY_REVOKED', target_type:'admin_key', target_id:req.params.id });
+  res.json({ ok: true });
+});
+
+// Lista paginada (cursor) com filtros; ?segment=<id> aplica um segmento salvo (filtros explícitos sobrepõem)
+app.get('/api/admin/creators', adminAuth('creators:read'), (req, res) => {
+  const parsed = CreatorQuerySchema.safeParse(req.query);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const filters = resolveFilters(db, parsed.data);
+  if (!filters) return res.status(400).json({ error: 'segment not found' });
+  const { sort, order, limit, cursor } = parsed.data;
+  const page = queryCreators(db, { ...filters, sort, order, limit, cursor });
+  if (!cursor) logAudit({ ...adminActor(req), action:'ADMIN_LIST', target_type:'creator', target_id:'*', metadata:{ filters, segment:parsed.data.segment || null }});
+  res.json({ ...page, filters });
+});
+
+// Detalhe do creator (gaveta do admin)
+app.get('/api/admin/creators/:id', adminAuth('creators:read'), (req, res) => {
+  const creator = db.prepare('SELECT * FROM creators WHERE id=?').get(req.params.id);
+  if (!creator) return res.status(404).json({ error: 'not_found' });
+  const score = db.prepare('SELECT * FROM creator_scores WHERE creator_id=? ORDER BY computed_at DESC, rowid DESC LIMIT 1').get(creator.id);
+  const niche = db.prepare('SELECT * FROM niche_classification WHERE creator_id=? ORDER BY computed_at DESC, rowid DESC LIMIT 1').get(creator.id);
+  const accounts = db.prepare(`SELECT id, platform, username, account_type, status, token_expires_at, connected_at, disconnected_at, last_sync_at
+                               FROM connected_accounts WHERE creator_id=? ORDER BY connected_at DESC`).all(creator.id);
+  const invitations = db.prepare(`SELECT i.id, i.status, i.invited_at, c.id AS campaign_id, c.name AS campaign_name
+                                  FROM campaign_invitations i JOIN campaigns c ON c.id = i.campaign_id WHERE i.creator_id=? ORDER BY i.invited_at DESC`).all(creator.id);
+  const kit = getMediaKitSettings(db, creator.id);
+  logAudit({ ...adminActor(req), action:'ADMIN_VIEW', target_type:'creator', target_id:creator.id });
+  res.json({
+    creator,
+    score,
+    explanation: score ? getExplanation(db, score.id)?.components || null : null,
+    niche: niche ? { ...niche, evidence: getNicheEvidence(db, niche.id) } : null,
+    accounts,
+    platforms: creatorPlatforms(db, creator.id),
+    attribution: getAttribution(db, creator.id),
+    consent: consentStatus(db, creator.id),
+    fraud_flags: listFlags(db, { creator_id: creator.id }),
+    invitations,
+    media_kit: { status: kit.status, url: mediaKitUrl(kit.slug), fields: kit.fields }
+  });
+});
+
+app.get('/api/admin/creators/:id/history', adminAuth('creators:read'), (req, res) => {
+  const parsed = HistoryQuerySchema.safeParse(req.query);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const history = creatorHistory(db, req.params.id, parsed.data);
+  if (!history) return res.status(404).json({ error: 'not_found' });
+  res.json(history);
+});
+
+// Segmentos salvos (filtros reutilizáveis na lista, exports e convites de campanha)
+const SegmentSchema = z.object({ name: z.string().min(2).max(80), filters: CreatorFilterSchema });
+
+app.get('/api/admin/segments', adminAuth('creators:read'), (req, res) => {
+  res.json({ rows: listSegments(db) });
+});
+
+app.post('/api/admin/segments', adminAuth('segments:write'), (req, res) => {
+  const parsed = SegmentSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const segment = createSegment(db, { ...parsed.data, created_by: req.admin.id });
+  logAudit({ ...adminActor(req), action:'SEGMENT_CREATED', target_type:'segment', target_id:segment.id, metadata:{ name:segment.name, filters:segment.filters }});
+  res.json(segment);
+});
+
+app.patch('/api/admin/segments/:id', adminAuth('segments:write'), (req, res) => {
+  const parsed = SegmentSchema.partial().safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const segment = updateSegment(db, req.params.id, parsed.data);
+  if (!segment) return res.status(404).json({ error: 'not_found' });
+  logAudit({ ...adminActor(req), action:'SEGMENT_UPDATED', target_type:'segment', target_id:segment.id, metadata:{ name:segment.name, filters:segment.filters }});
+  res.json(segment);
+});
+
+app.delete('/api/admin/segments/:id', adminAuth('segments:write'), (req, res) => {
+  if (!deleteSegment(db, req.params.id)) return res.status(404).json({ error: 'not_found' });
+  logAudit({ ...adminActor(req), action:'SEGMENT_DELETED', target_type:'segment', target_id:req.params.id });
+  res.json({ ok: true });
+});
+
+// Jobs (fila de qualificação / re-sync)
+app.get('/api/admin/jobs', adminAuth('jobs:read'), (req, res) => {
+  const rows = listJobs(db, {
+    status: req.query.status?.toString(),
+    type: req.query.type?.toString(),
+    creator_id: req.query.creator_id?.toString()
+  });
   res.json({ rows });
 });
 
-app.get('/api/admin/export.csv', adminAuth, (req, res) => {
-  const rows = db.prepare(`SELECT c.id, c.full_name, c.email, c.phone, c.country, c.city, c.declared_category, c.status,
-                                  s.score_total, s.grade
-                           FROM creators c
-                           LEFT JOIN (SELECT creator_id, score_total, grade, MAX(computed_at) AS computed_at FROM creator_scores GROUP BY creator_id) s
-                           ON c.id = s.creator_id
-                           ORDER BY c.created_at DESC`).all();
-  const header = Object.keys(rows[0] || {id:''}).join(',');
-  const csv = [header, ...rows.map(r => Object.values(r).map(v => JSON.stringify(v ?? '')).join(','))].join('\n');
-  res.setHeader('Content-Type', 'text/csv');
-  res.send(csv);
+app.post('/api/admin/jobs/:id/retry', adminAuth('jobs:write'), (req, res) => {
+  if (!retryJob(db, req.params.id)) return res.status(409).json({ error: 'job not retryable' });
+  logAudit({ ...adminActor(req), action:'JOB_RETRY', target_type:'job', target_id:req.params.id });
+  res.json({ ok: true });
+});
+
+app.post('/api/admin/jobs/:id/cancel', adminAuth('jobs:write'), (req, res) => {
+  if (!cancelJob(db, req.params.id)) return res.status(409).json({ error: 'job not cancellable' });
+  logAudit({ ...adminActor(req), action:'JOB_CANCEL', target_type:'job', target_id:req.params.id });
+  res.json({ ok: true });
+});
+
+// Tokens que expiram em até ?days= dias (padrão 7), mais os já expirados / needs_reauth
+const ExpiringAccountsQuerySchema = z.object({
+  days: z.coerce.number().int().min(1).max(365).default(7)
+});
+
+app.get('/api/admin/accounts/expiring', adminAuth('accounts:read'), (req, res) => {
+  const parsed = ExpiringAccountsQuerySchema.safeParse(req.query);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  res.json({ rows: listExpiringAccounts(db, { withinDays: parsed.data.days }) });
+});
+
+// Compliance: fila de exclusões com contagem regressiva do SLA
+app.get('/api/admin/deletions', adminAuth('compliance:read'), (req, res) => {
+  res.json({ rows: listDeletionRequests(db, { status: req.query.status?.toString() }) });
+});
+
+app.post('/api/admin/deletions/:id/process', adminAuth('compliance:write'), (req, res) => {
+  const r = db.prepare("UPDATE deletion_requests SET status='processing' WHERE id=? AND status IN ('requested','failed')").run(req.params.id);
+  if (r.changes === 0) return res.status(409).json({ error: 'request not pending' });
+  enqueueJob(db, { type:'erasure', payload:{ request_id:req.params.id } });
+  logAudit({ ...adminActor(req), action:'ERASURE_STARTED', target_type:'deletion_request', target_id:req.params.id });
+  res.json({ ok: true });
+});
+
+app.get('/api/admin/creators/:id/export', adminAuth('compliance:read'), async (req, res) => {
+  logAudit({ ...adminActor(req), action:'DATA_EXPORTED', target_type:'creator', target_id:req.params.id });
+  await sendCreatorExport(res, req.params.id, req.query.format?.toString());
+});
+
+// Textos de consentimento versionados
+const ConsentTextSchema = z.object({
+  version: z.string().min(1).max(50),
+  language: z.enum(LANGUAGES),
+  text: z.string().min(20)
+});
+
+app.get('/api/admin/consent-texts', adminAuth('compliance:read'), (req, res) => {
+  res.json({ rows: listConsentTexts(db) });
+});
+
+// Uma versão nova só passa a valer (e força re-consentimento) quando tiver texto em todos os idiomas
+app.post('/api/admin/consent-texts', adminAuth('compliance:write'), (req, res) => {
+  const parsed = ConsentTextSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  try {
+    publishConsentText(db, parsed.data);
+  } catch (e) {
+    if (String(e).includes('UNIQUE') || String(e).includes('PRIMARY')) return res.status(409).json({ error: 'version/language already exists' });
+    return res.status(500).json({ error: 'internal_error' });
+  }
+  logAudit({ ...adminActor(req), action:'CONSENT_TEXT_PUBLISHED', target_type:'consent_text', target_id:`${parsed.data.version}/${parsed.data.language}` });
+  const missing_languages = missingLanguages(db, parsed.data.version);
+  res.json({ ok: true, current: currentVersion(db) === parsed.data.version, missing_languages });
+});
+
+app.get('/api/admin/creators/:id/consents', adminAuth('creators:read'), (req, res) => {
+  res.json({ ...consentStatus(db, req.params.id), history: consentHistory(db, req.params.id) });
+});
+
+// PDF do media kit publicado, para anexar a propostas (mesmas regras do link público)
+app.get('/api/admin/creators/:id/media-kit.pdf', adminAuth('creators:read'), (req, res) => {
+  const { slug } = getMediaKitSettings(db, req.params.id);
+  const kit = slug ? publicMediaKit(db, slug) : null;
+  if (!kit) return res.status(404).json({ error: 'media kit not published' });
+  logAudit({ ...adminActor(req), action:'MEDIA_KIT_DOWNLOADED', target_type:'creator', target_id:req.params.id });
+  sendMediaKitPdf(res, kit, `media-kit-${req.params.id}`);
+});
+
+// Scoring profiles (versionados; cada alteração cria uma versão nova em draft)
+const ScoringProfileSchema = z.object({
+  key: z.string().regex(/^[a-z0-9_-]{2,40}$/),
+  country: z.enum(['ES','PT']).optional().nullable(),
+  niche: z.string().min(2).max(40).optional().nullable(),
+  config: ScoringConfigSchema,
+  activate: z.boolean().optional().default(false)
+});
+const DryRunSchema = z.object({
+  profile_id: z.string().optional(),
+  config: ScoringConfigSchema.optional(),
+  country: z.enum(['ES','PT']).optional(),
+  niche: z.string().optional()
+}).refine(d => d.profile_id || d.config, { message: 'profile_id or config is required' });
+
+app.get('/api/admin/scoring/profiles', adminAuth('scoring:read'), (req, res) => {
+  res.json({ rows: listProfiles(db) });
+});
+
+app.post('/api/admin/scoring/profiles', adminAuth('scoring:write'), (req, res) => {
+  const parsed = ScoringProfileSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  let profile = createProfileVersion(db, { ...parsed.data, created_by: req.admin.id });
+  if (parsed.data.activate) profile = activateProfile(db, profile.id);
+  logAudit({ ...adminActor(req), action:'SCORING_PROFILE_CREATED', target_type:'scoring_profile', target_id:profile.id, metadata:{ key:profile.key, version:profile.version, activated:parsed.data.activate }});
+  res.json(profile);
+});
+
+app.post('/api/admin/scoring/profiles/:id/activate', adminAuth('scoring:write'), (req, res) => {
+  const profile = activateProfile(db, req.params.id);
+  if (!profile) return res.status(404).json({ error: 'not_found' });
+  logAudit({ ...adminActor(req), action:'SCORING_PROFILE_ACTIVATED', target_type:'scoring_profile', target_id:profile.id, metadata:{ key:profile.key, version:profile.version }});
+  res.json(profile);
+});
+
+// Dry-run: recalcula o último score de cada creator com outro perfil e mostra a mudança de notas, sem gravar
+app.post('/api/admin/scoring/dry-run', adminAuth('scoring:read'), (req, res) => {
+  const parsed = DryRunSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  let config = parsed.data.config;
+  if (parsed.data.profile_id) {
+    const p = getProfile(db, parsed.data.profile_id);
+    if (!p) return res.status(404).json({ error: 'profile not found' });
+    config = p.config;
+  }
+  res.json(dryRun(db, config, { country: parsed.data.country, niche: parsed.data.niche }));
+});
+
+// Fraude: flags por creator; revisar (confirmar/descartar/reclassificar) recalcula o score com a nova penalidade
+const FraudReviewSchema = z.object({
+  decision: z.enum(['open','confirmed','dismissed']),
+  severity: z.enum(SEVERITIES).nullable().optional(),
+  note: z.string().max(1000).optional()
+});
+
+// Parâmetros repetidos (?status=a&status=b) viram array no Express: o schema devolve 400 em vez de quebrar a query
+const FraudFlagsQuerySchema = z.object({
+  status: z.enum(['open','confirmed','dismissed']).optional(),
+  severity: z.enum(SEVERITIES).optional(),
+  creator_id: z.string().max(64).optional(),
+  all: z.enum(['0', '1']).optional()
+});
+
+app.get('/api/admin/fraud-flags', adminAuth('fraud:read'), (req, res) => {
+  const parsed = FraudFlagsQuerySchema.safeParse(req.query);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const { status, severity, creator_id, all } = parsed.data;
+  res.json({ rows: listFlags(db, { status, severity, creator_id, active: all !== '1' }) });
+});
+
+app.post('/api/admin/fraud-flags/:id/review', adminAuth('fraud:review'), (req, res) => {
+  const parsed = FraudReviewSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const flag = reviewFlag(db, req.params.id, { ...parsed.data, admin_id: req.admin.id });
+  if (!flag) return res.status(404).json({ error: 'not_found' });
+
+  const fraud = fraudPenalty(db, flag.creator_id);
+  const score = rescoreLatest(db, flag.creator_id, { fraudPenalty: fraud.penalty, fraudFlags: fraud.flags.map(f => `${f.flag}:${f.severity}`) });
+  if (score) buildBrandTargets(db, flag.creator_id);
+  logAudit({ ...adminActor(req), action:'FRAUD_FLAG_REVIEWED', target_type:'creator', target_id:flag.creator_id,
+    metadata:{ flag_id:flag.id, flag:flag.flag, decision:flag.status, severity:flag.override_severity, penalty:fraud.penalty, score:score?.score_total ?? null }});
+  res.json({ flag, fraud_penalty: fraud.penalty, score: score ? { score_total: score.score_total, grade: score.grade } : null });
+});
+
+// Taxonomias de nicho (dicionários EN/PT/ES com versão própria; a ativa vale para as próximas qualificações)
+app.get('/api/admin/niche/taxonomies', adminAuth('scoring:read'), (req, res) => {
+  res.json({ rows: listTaxonomies(db) });
+});
+
+app.post('/api/admin/niche/taxonomies', adminAuth('scoring:write'), (req, res) => {
+  const parsed = TaxonomySchema.extend({ activate: z.boolean().optional().default(false) }).safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  if (listTaxonomies(db).some(t => t.version === parsed.data.version)) return res.status(409).json({ error: 'version already exists' });
+  let taxonomy = createTaxonomy(db, { ...parsed.data, created_by: req.admin.id });
+  if (parsed.data.activate) taxonomy = activateTaxonomy(db, taxonomy.version);
+  logAudit({ ...adminActor(req), action:'NICHE_TAXONOMY_CREATED', target_type:'niche_taxonomy', target_id:taxonomy.version, metadata:{ niches:Object.keys(taxonomy.terms), activated:parsed.data.activate }});
+  res.json(taxonomy);
+});
+
+app.post('/api/admin/niche/taxonomies/:version/activate', adminAuth('scoring:write'), (req, res) => {
+  const taxonomy = activateTaxonomy(db, req.params.version);
+  if (!taxonomy) return res.status(404).json({ error: 'not_found' });
+  logAudit({ ...adminActor(req), action:'NICHE_TAXONOMY_ACTIVATED', target_type:'niche_taxonomy', target_id:taxonomy.version });
+  res.json(taxonomy);
+});
+
+// Testa a taxonomia ativa (ou outra versão) contra um texto, sem gravar
+app.post('/api/admin/niche/classify', adminAuth('scoring:read'), (req, res) => {
+  const parsed = z.object({ bio: z.string().max(5000).optional(), captions: z.array(z.string().max(5000)).max(100).optional(), declared: z.string().max(200).optional(), version: z.string().optional() }).safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const taxonomy = parsed.data.version ? listTaxonomies(db).find(t => t.version === parsed.data.version) : activeTaxonomy(db);
+  if (!taxonomy) return res.status(404).json({ error: 'taxonomy not found' });
+  res.json(classifyNiche(parsed.data, taxonomy));
+});
+
+// Catálogo de marcas; mudanças recalculam os brand_targets de todos os creators em background
+const BrandPatchSchema = BrandSchema.partial().extend({ status: z.enum(['active','archived']).optional() });
+
+function scheduleBrandRematch() {
+  if (!db.prepare(`SELECT 1 FROM jobs WHERE type='match_brands' AND status='pending' LIMIT 1`).get()) enqueueJob(db, { type:'match_brands' });
+}
+
+app.get('/api/admin/brands', adminAuth('brands:read'), (req, res) => {
+  res.json({ rows: listBrands(db, { status: req.query.status?.toString() || 'active' }) });
+});
+
+app.post('/api/admin/brands', adminAuth('brands:write'), (req, res) => {
+  const parsed = BrandSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const brand = createBrand(db, parsed.data, { created_by: req.admin.id });
+  scheduleBrandRematch();
+  logAudit({ ...adminActor(req), action:'BRAND_CREATED', target_type:'brand', target_id:brand.id, metadata:{ name:brand.name }});
+  res.json(brand);
+});
+
+app.get('/api/admin/brands/:id', adminAuth('brands:read'), (req, res) => {
+  const brand = getBrand(db, req.params.id);
+  if (!brand) return res.status(404).json({ error: 'not_found' });
+  res.json(brand);
+});
+
+app.patch('/api/admin/brands/:id', adminAuth('brands:write'), (req, res) => {
+  const parsed = BrandPatchSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const brand = updateBrand(db, req.params.id, parsed.data);
+  if (!brand) return res.status(404).json({ error: 'not_found' });
+  scheduleBrandRematch();
+  logAudit({ ...adminActor(req), action:'BRAND_UPDATED', target_type:'brand', target_id:brand.id, metadata:{ fields:Object.keys(parsed.data) }});
+  res.json(brand);
+});
+
+// Arquiva (não apaga: brand_targets e campanhas antigas continuam apontando para a marca)
+app.delete('/api/admin/brands/:id', adminAuth('brands:write'), (req, res) => {
+  const brand = updateBrand(db, req.params.id, { status: 'archived' });
+  if (!brand) return res.status(404).json({ error: 'not_found' });
+  scheduleBrandRematch();
+  logAudit({ ...adminActor(req), action:'BRAND_ARCHIVED', target_type:'brand', target_id:brand.id });
+  res.json({ ok: true });
+});
+
+app.get('/api/admin/brands/:id/matches', adminAuth('brands:read'), (req, res) => {
+  const rows = rankCreatorsForBrand(db, req.params.id, { limit: Math.min(Number(req.query.limit) || 50, 500) });
+  if (!rows) return res.status(404).json({ error: 'not_found' });
+  res.json({ rows });
+});
+
+app.get('/api/admin/creators/:id/brand-matches', adminAuth('brands:read'), (req, res) => {
+  const rows = rankBrandsForCreator(db, req.params.id, { includeIneligible: req.query.all === '1' });
+  if (!rows) return res.status(404).json({ error: 'not_found' });
+  res.json({ rows });
+});
+
+// Campanhas (brief, marca, orçamento, datas) → convites → entregas. Toda mudança de estado vai para o audit_log.
+const CampaignPatchSchema = z.object({
+  name: z.string().min(2).max(160).optional(),
+  brief: z.string().min(10).max(10000).optional(),
+  budget: z.number().min(0).nullable().optional(),
+  currency: z.string().length(3).optional(),
+  starts_on: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(),
+  ends_on: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(),
+  status: z.enum(['active','closed','cancelled']).optional()
+});
+// Shortlist: ids explícitos ou os mesmos filtros de GET /api/admin/creators
+const InviteSchema = z.object({
+  creator_ids: z.array(z.string()).max(500).optional(),
+  filter: CreatorFilterSchema.optional(),
+  segment: z.string().max(40).optional(),
+  fee: z.number().min(0).optional(),
+  message: z.string().max(2000).optional()
+}).refine(d => d.creator_ids?.length || d.filter || d.segment, { message: 'creator_ids, filter or segment is required' });
+const DeliverableReviewSchema = z.object({ decision: z.enum(['approved','rejected']), note: z.string().max(1000).optional() });
+
+async function notifyInvitation(creator_id, campaign) {
+  const creator = db.prepare('SELECT full_name, email FROM creators WHERE id=?').get(creator_id);
+  const base = process.env.BASE_URL || 'http://localhost:' + (process.env.PORT || 8080);
+  await sendMail({
+    to: creator.email,
+    subject: `Convite para a campanha ${campaign.name}`,
+    text: `Olá ${creator.full_name},\n\nVocê foi convidado(a) para a campanha "${campaign.name}" (${campaign.brand_name || 'marca'}), de ${campaign.starts_on} a ${campaign.ends_on}.\n\nVeja o brief e responda no seu dashboard: ${base}/dashboard.html`
+  });
+}
+
+app.get('/api/admin/campaigns', adminAuth('campaigns:read'), (req, res) => {
+  res.json({ rows: listCampaigns(db, { status: req.query.status?.toString() }) });
+});
+
+app.post('/api/admin/campaigns', adminAuth('campaigns:write'), (req, res) => {
+  const parsed = CampaignSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  if (!getBrand(db, parsed.data.brand_id)) return res.status(400).json({ error: 'brand not found' });
+  const campaign = createCampaign(db, parsed.data, { created_by: req.admin.id });
+  logAudit({ ...adminActor(req), action:'CAMPAIGN_CREATED', target_type:'campaign', target_id:campaign.id, metadata:{ brand_id:campaign.brand_id, name:campaign.name, to:'draft' }});
+  res.json(campaign);
+});
+
+app.get('/api/admin/campaigns/:id', adminAuth('campaigns:read'), (req, res) => {
+  const campaign = getCampaign(db, req.params.id);
+  if (!campaign) return res.status(404).json({ error: 'not_found' });
+  res.json(campaign);
+});
+
+app.patch('/api/admin/campaigns/:id', adminAuth('campaigns:write'), (req, res) => {
+  const parsed = CampaignPatchSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const { status, ...fields } = parsed.data;
+  if (!getCampaign(db, req.params.id)) return res.status(404).json({ error: 'not_found' });
+  if (status) {
+    const r = setCampaignStatus(db, req.params.id, status);
+    if (!r.ok) return res.status(409).json({ error: r.reason });
+    logAudit({ ...adminActor(req), action:'CAMPAIGN_STATUS_CHANGED', target_type:'campaign', target_id:req.params.id, metadata:{ from:r.from, to:r.to }});
+  }
+  if (Object.keys(fields).length) {
+    updateCampaign(db, req.params.id, fields);
+    logAudit({ ...adminActor(req), action:'CAMPAIGN_UPDATED', target_type:'campaign', target_id:req.params.id, metadata:{ fields:Object.keys(fields) }});
+  }
+  res.json(getCampaign(db, req.params.id));
+});
+
+app.post('/api/admin/campaigns/:id/invite', adminAuth('campaigns:write'), async (req, res) => {
+  const parsed = InviteSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const campaign = getCampaign(db, req.params.id);
+  if (!campaign) return res.status(404).json({ error: 'not_found' });
+  let ids = parsed.data.creator_ids;
+  if (!ids?.length) {
+    const filters = resolveFilters(db, { ...parsed.data.filter, segment: parsed.data.segment });
+    if (!filters) return res.status(400).json({ error: 'segment not found' });
+    ids = queryAllCreators(db, filters, { max: 500 }).map(c => c.id);
+  }
+  const result = inviteCreators(db, campaign.id, ids, { invited_by: req.admin.id, fee: parsed.data.fee ?? null, message: parsed.data.message ?? null });
+  for (const i of result.invited) {
+    logAudit({ ...adminActor(req), action:'CAMPAIGN_INVITED', target_type:'campaign_invitation', target_id:i.invitation_id, metadata:{ campaign_id:campaign.id, creator_id:i.creator_id, to:'invited' }});
+    try { await notifyInvitation(i.creator_id, campaign); } catch (e) { console.warn('invitation mail failed:', e.message); }
+  }
+  res.json(result);
+});
+
+app.post('/api/admin/invitations/:id/withdraw', adminAuth('campaigns:write'), (req, res) => {
+  const r = withdrawInvitation(db, req.params.id);
+  if (!r.ok) return res.status(r.reason === 'not_found' ? 404 : 409).json({ error: r.reason });
+  logAudit({ ...adminActor(req), action:'INVITATION_WITHDRAWN', target_type:'campaign_invitation', target_id:req.params.id, metadata:{ from:r.from, to:r.to }});
+  res.json({ ok: true, status: r.to });
+});
+
+app.post('/api/admin/invitations/:id/deliverables', adminAuth('campaigns:write'), (req, res) => {
+  const parsed = DeliverableSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const r = addDeliverable(db, req.params.id, parsed.data);
+  if (!r.ok) return res.status(r.reason === 'not_found' ? 404 : 409).json({ error: r.reason });
+  logAudit({ ...adminActor(req), action:'DELIVERABLE_CREATED', target_type:'campaign_deliverable', target_id:r.deliverable.id,
+    metadata:{ campaign_id:r.deliverable.campaign_id, creator_id:r.deliverable.creator_id, due_date:r.deliverable.due_date, to:'pending' }});
+  res.json(r.deliverable);
+});
+
+app.post('/api/admin/deliverables/:id/review', adminAuth('campaigns:write'), (req, res) => {
+  const parsed = DeliverableReviewSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const r = reviewDeliverable(db, req.params.id, { approved: parsed.data.decision === 'approved', note: parsed.data.note });
+  if (!r.ok) return res.status(r.reason === 'not_found' ? 404 : 409).json({ error: r.reason });
+  logAudit({ ...adminActor(req), action: r.to === 'approved' ? 'DELIVERABLE_APPROVED' : 'DELIVERABLE_REJECTED', target_type:'campaign_deliverable', target_id:req.params.id,
+    metadata:{ from:r.from, to:r.to, note:parsed.data.note || null }});
+  res.json({ ok: true, status: r.to });
+});
+
+// Exports: colunas escolhidas, CSV (RFC 4180) / XLSX / NDJSON; e-mail e telefone só com marketing_contact válido
+async function sendExport(req, res, { columns, format, filters, template_id = null, segment = null }) {
+  const { rows, masked } = exportRows(db, { columns, filters });
+  let out;
+  try {
+    out = await renderExport(rows, columns, format);
+  } catch (e) {
+    console.error('export failed:', e.message);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+  logAudit({ ...adminActor(req), action:'ADMIN_EXPORT', target_type:'creator', target_id:'*', metadata:{ rows:rows.length, masked_contacts:masked, format, columns, filters, segment, template_id }});
+  res.setHeader('Content-Type', out.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="creators-${nowIso().slice(0, 10)}.${out.extension}"`);
+  res.send(out.body);
+}
+
+// Aceita os mesmos filtros / ?segment= da lista
+app.get('/api/admin/export.csv', adminAuth('creators:export'), async (req, res) => {
+  const parsed = CreatorQuerySchema.safeParse(req.query);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const filters = resolveFilters(db, parsed.data);
+  if (!filters) return res.status(400).json({ error: 'segment not found' });
+  await sendExport(req, res, { columns: DEFAULT_COLUMNS, format: 'csv', filters, segment: parsed.data.segment || null });
+});
+
+// Export avulso: ?format=csv|xlsx|ndjson&columns=a,b,c + filtros da lista
+const ExportQuerySchema = z.object({
+  format: z.enum(EXPORT_FORMATS).default('csv'),
+  columns: z.preprocess(v => typeof v === 'string' ? v.split(',').map(s => s.trim()).filter(Boolean) : v, z.array(z.enum(Object.keys(EXPORT_COLUMNS))).min(1)).optional()
+});
+
+app.get('/api/admin/export', adminAuth('creators:export'), async (req, res) => {
+  const { format, columns, ...query } = req.query;
+  const opts = ExportQuerySchema.safeParse({ format, columns });
+  const parsed = CreatorQuerySchema.safeParse(query);
+  if (!opts.success) return res.status(400).json({ error: opts.error.flatten() });
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const filters = resolveFilters(db, parsed.data);
+  if (!filters) return res.status(400).json({ error: 'segment not found' });
+  await sendExport(req, res, { columns: opts.data.columns || DEFAULT_COLUMNS, format: opts.data.format, filters, segment: parsed.data.segment || null });
+});
+
+app.get('/api/admin/export-templates', adminAuth('creators:export'), (req, res) => {
+  res.json({ rows: listTemplates(db), columns: Object.keys(EXPORT_COLUMNS), formats: EXPORT_FORMATS });
+});
+
+app.post('/api/admin/export-templates', adminAuth('creators:export'), (req, res) => {
+  const parsed = ExportTemplateSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  if (parsed.data.segment_id && !getSegment(db, parsed.data.segment_id)) return res.status(400).json({ error: 'segment not found' });
+  const template = createTemplate(db, parsed.data, { created_by: req.admin.id });
+  logAudit({ ...adminActor(req), action:'EXPORT_TEMPLATE_CREATED', target_type:'export_template', target_id:template.id, metadata:{ name:template.name, columns:template.columns, format:template.format }});
+  res.json(template);
+});
+
+app.patch('/api/admin/export-templates/:id', adminAuth('creators:export'), (req, res) => {
+  const parsed = ExportTemplateSchema.partial().safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  if (parsed.data.segment_id && !getSegment(db, parsed.data.segment_id)) return res.status(400).json({ error: 'segment not found' });
+  const template = updateTemplate(db, req.params.id, parsed.data);
+  if (!template) return res.status(404).json({ error: 'not_found' });
+  logAudit({ ...adminActor(req), action:'EXPORT_TEMPLATE_UPDATED', target_type:'export_template', target_id:template.id, metadata:{ name:template.name, columns:template.columns, format:template.format }});
+  res.json(template);
+});
+
+app.delete('/api/admin/export-templates/:id', adminAuth('creators:export'), (req, res) => {
+  if (!deleteTemplate(db, req.params.id)) return res.status(404).json({ error: 'not_found' });
+  logAudit({ ...adminActor(req), action:'EXPORT_TEMPLATE_DELETED', target_type:'export_template', target_id:req.params.id });
+  res.json({ ok: true });
+});
+
+app.get('/api/admin/export-templates/:id/run', adminAuth('creators:export'), async (req, res) => {
+  const template = getTemplate(db, req.params.id);
+  if (!template) return res.status(404).json({ error: 'not_found' });
+  const filters = templateFilters(db, template);
+  if (!filters) return res.status(409).json({ error: 'segment not found' });
+  await sendExport(req, res, { columns: template.columns, format: template.format, filters, template_id: template.id, segment: template.segment_id });
+});
+
+// Webhooks de saída (owner configura; compliance acompanha as entregas)
+app.get('/api/admin/webhooks', adminAuth('integrations:read'), (req, res) => {
+  res.json({ rows: listEndpoints(db), events: WEBHOOK_EVENTS });
+});
+
+// O secret só aparece na criação e na rotação
+app.post('/api/admin/webhooks', adminAuth('integrations:write'), (req, res) => {
+  const parsed = WebhookEndpointSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const endpoint = createEndpoint(db, parsed.data, { created_by: req.admin.id });
+  logAudit({ ...adminActor(req), action:'WEBHOOK_CREATED', target_type:'webhook_endpoint', target_id:endpoint.id, metadata:{ url:endpoint.url, events:endpoint.events }});
+  res.json(endpoint);
+});
+
+app.patch('/api/admin/webhooks/:id', adminAuth('integrations:write'), (req, res) => {
+  const parsed = WebhookEndpointSchema.partial().safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const endpoint = updateEndpoint(db, req.params.id, parsed.data);
+  if (!endpoint) return res.status(404).json({ error: 'not_found' });
+  logAudit({ ...adminActor(req), action:'WEBHOOK_UPDATED', target_type:'webhook_endpoint', target_id:endpoint.id, metadata:{ url:endpoint.url, events:endpoint.events, active:endpoint.active }});
+  res.json(endpoint);
+});
+
+app.delete('/api/admin/webhooks/:id', adminAuth('integrations:write'), (req, res) => {
+  if (!deleteEndpoint(db, req.params.id)) return res.status(404).json({ error: 'not_found' });
+  logAudit({ ...adminActor(req), action:'WEBHOOK_DELETED', target_type:'webhook_endpoint', target_id:req.params.id });
+  res.json({ ok: true });
+});
+
+app.post('/api/admin/webhooks/:id/rotate-secret', adminAuth('integrations:write'), (req, res) => {
+  const endpoint = rotateEndpointSecret(db, req.params.id);
+  if (!endpoint) return res.status(404).json({ error: 'not_found' });
+  logAudit({ ...adminActor(req), action:'WEBHOOK_SECRET_ROTATED', target_type:'webhook_endpoint', target_id:endpoint.id });
+  res.json(endpoint);
+});
+
+app.post('/api/admin/webhooks/:id/test', adminAuth('integrations:write'), (req, res) => {
+  const delivery_id = queueTestDelivery(db, req.params.id);
+  if (!delivery_id) return res.status(404).json({ error: 'not_found' });
+  res.json({ ok: true, delivery_id });
+});
+
+app.get('/api/admin/webhooks/deliveries', adminAuth('integrations:read'), (req, res) => {
+  res.json({ rows: listDeliveries(db, { endpoint_id: req.query.endpoint_id?.toString(), status: req.query.status?.toString() }) });
+});
+
+app.post('/api/admin/webhooks/deliveries/:id/redeliver', adminAuth('integrations:write'), (req, res) => {
+  const r = redeliver(db, req.params.id);
+  if (!r) return res.status(404).json({ error: 'not_found' });
+  if (!r.ok) return res.status(409).json({ error: r.reason });
+  logAudit({ ...adminActor(req), action:'WEBHOOK_REDELIVERED', target_type:'webhook_delivery', target_id:req.params.id });
+  res.json({ ok: true });
+});
+
+// CRM: upsert por external_id (creator id); sync em lote por segmento/filtros
+const CrmSyncSchema = z.object({ filter: CreatorFilterSchema.optional(), segment: z.string().max(40).optional() });
+const CRM_SYNC_BATCH = 100;
+
+app.get('/api/admin/crm', adminAuth('integrations:read'), (req, res) => {
+  res.json(crmSyncStatus(db));
+});
+
+app.post('/api/admin/crm/sync', adminAuth('integrations:write'), (req, res) => {
+  if (!crmConfigured()) return res.status(409).json({ error: 'CRM_API_URL not configured' });
+  const parsed = CrmSyncSchema.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const filters = resolveFilters(db, { ...(parsed.data.filter || {}), segment: parsed.data.segment });
+  if (!filters) return res.status(400).json({ error: 'segment not found' });
+  const ids = queryAllCreators(db, filters).filter(c => c.status !== 'deleted').map(c => c.id);
+  let jobs = 0;
+  for (let i = 0; i < ids.length; i += CRM_SYNC_BATCH) {
+    enqueueJob(db, { type:'crm_sync', payload:{ creator_ids:ids.slice(i, i + CRM_SYNC_BATCH) } });
+    jobs++;
+  }
+  logAudit({ ...adminActor(req), action:'CRM_SYNC_QUEUED', target_type:'creator', target_id:'*', metadata:{ creators:ids.length, jobs, filters, segment:parsed.data.segment || null }});
+  res.json({ ok: true, creators: ids.length, jobs });
+});
+
+// Parceiros (sites que embutem o formulário) e funil de conversão
+const PartnerPatchSchema = PartnerSchema.partial();
+
+app.get('/api/admin/partners', adminAuth('brands:read'), (req, res) => {
+  res.json({ rows: listPartners(db) });
+});
+
+app.post('/api/admin/partners', adminAuth('brands:write'), (req, res) => {
+  const parsed = PartnerSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  if (parsed.data.brand_id && !getBrand(db, parsed.data.brand_id)) return res.status(400).json({ error: 'brand not found' });
+  const partner = createPartner(db, parsed.data, { created_by: req.admin.id });
+  logAudit({ ...adminActor(req), action:'PARTNER_CREATED', target_type:'partner', target_id:partner.id, metadata:{ name:partner.name }});
+  res.json(partner);
+});
+
+app.patch('/api/admin/partners/:id', adminAuth('brands:write'), (req, res) => {
+  const parsed = PartnerPatchSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  if (parsed.data.brand_id && !getBrand(db, parsed.data.brand_id)) return res.status(400).json({ error: 'brand not found' });
+  const partner = updatePartner(db, req.params.id, parsed.data);
+  if (!partner) return res.status(404).json({ error: 'not_found' });
+  logAudit({ ...adminActor(req), action:'PARTNER_UPDATED', target_type:'partner', target_id:partner.id, metadata:{ fields:Object.keys(parsed.data) }});
+  res.json(partner);
+});
+
+// Conversão e drop-off por etapa (lead -> connected -> qualified -> share_enabled), total, por parceiro e por período
+app.get('/api/admin/funnel', adminAuth('creators:read'), (req, res) => {
+  const parsed = FunnelQuerySchema.safeParse(req.query);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  if (parsed.data.from && parsed.data.to && parsed.data.from > parsed.data.to) return res.status(400).json({ error: 'from must be before to' });
+  res.json(funnelReport(db, parsed.data));
 });
 
 // Admin page route fallback
 app.get('/admin', (req,res)=>res.redirect('/admin.html'));
 
+// ---- Background jobs
+const jobHandlers = {
+  qualify: (payload) => runQualification(payload),
+  match_brands: () => { refreshAllBrandTargets(db); },
+  refresh_token: async ({ creator_id, account_id }) => {
+    const r = await refreshAccountToken(db, account_id);
+    if (r.status === 'active') {
+      logAudit({ actor_type:'system', actor_id:'tokens', action:'TOKEN_REFRESHED', target_type:'account', target_id:account_id, metadata:{ creator_id, expires_at:r.expires_at }});
+    } else if (r.status === 'expired' || r.status === 'needs_reauth') {
+      flagAccountToken(creator_id, account_id, r.status, r.error);
+    }
+  },
+  revoke_account: async ({ creator_id, account_id }) => {
+    const platform = db.prepare('SELECT platform FROM connected_accounts WHERE id=?').get(account_id)?.platform;
+    if (await revokeAccountAccess(db, account_id)) {
+      logAudit({ actor_type:'system', actor_id:'privacy', action:'META_REVOKED', target_type:'account', target_id:account_id, metadata:{ creator_id, platform }});
+    }
+  },
+  // Sem creator_id no job: a própria exclusão apaga os jobs do creator. Na última tentativa a exclusão local
+  // acontece mesmo com a plataforma fora do ar (a falha de revogação fica na prova); se ainda assim falhar, o pedido
+  // vira 'failed' — visível no painel e reprocessável — em vez de ficar preso em 'processing'.
+  erasure: async ({ request_id }, job) => {
+    const last = job.attempts >= job.max_attempts;
+    const request = db.prepare('SELECT creator_id FROM deletion_requests WHERE id=?').get(request_id);
+    const remote_id = request ? remoteContactId(db, request.creator_id) : null;
+    let proof;
+    try {
+      proof = await processDeletionRequest(db, request_id, { skipFailedRevocations: last });
+    } catch (e) {
+      if (last) {
+        db.prepare("UPDATE deletion_requests SET status='failed', notes=? WHERE id=? AND status='processing'").run(JSON.stringify({ error: e.message }), request_id);
+        logAudit({ actor_type:'system', actor_id:'privacy', action:'ERASURE_FAILED', target_type:'deletion_request', target_id:request_id, metadata:{ error:e.message }});
+      }
+      throw e;
+    }
+    if (proof) logAudit({ actor_type:'system', actor_id:'privacy', action:'ERASURE_COMPLETED', target_type:'deletion_request', target_id:request_id, metadata:{ meta_permissions_revoked:proof.meta_permissions_revoked, revocation_failed:proof.revocation_failed.length }});
+    // O contato no CRM também sai (job próprio, com retry)
+    if (proof && remote_id) enqueueJob(db, { type:'crm_delete', payload:{ remote_id } });
+  },
+  webhook_delivery: async ({ delivery_id }, job) => { await deliverWebhook(db, delivery_id, job); },
+  crm_sync: async ({ creator_ids }) => { await syncCreators(db, creator_ids); },
+  crm_delete: async ({ remote_id }) => { await deleteRemoteContact(remote_id); }
+};
+
+// Pedidos de exclusão não tratados manualmente são processados após ERASURE_AUTO_DAYS (padrão 7, dentro do SLA de 30)
+const ERASURE_AUTO_DAYS = Number(process.env.ERASURE_AUTO_DAYS || 7);
+function scheduleErasures() {
+  const cutoff = new Date(Date.now() - ERASURE_AUTO_DAYS * 86400000).toISOString();
+  const due = db.prepare("SELECT id FROM deletion_requests WHERE status IN ('requested','failed') AND requested_at <= ?").all(cutoff);
+  for (const d of due) {
+    db.prepare("UPDATE deletion_requests SET status='processing' WHERE id=?").run(d.id);
+    enqueueJob(db, { type:'erasure', payload:{ request_id:d.id } });
+  }
+}
+
+// Refresh proativo: contas ativas cujo token expira em até TOKEN_REFRESH_DAYS dias (no máximo 1 tentativa/dia por creator)
+const TOKEN_REFRESH_DAYS = Number(process.env.TOKEN_REFRESH_DAYS || 7);
+function scheduleTokenRefresh() {
+  const horizon = new Date(Date.now() + TOKEN_REFRESH_DAYS * 86400000).toISOString();
+  const dayAgo = new Date(Date.now() - 86400000).toISOString();
+  const due = db.prepare(`SELECT a.id, a.creator_id FROM connected_accounts a
+                          WHERE a.status='active' AND a.token_expires_at IS NOT NULL AND a.token_expires_at < ?
+                            AND NOT EXISTS (SELECT 1 FROM jobs j WHERE j.type='refresh_token' AND j.creator_id=a.creator_id
+                                            AND (j.status IN ('pending','running') OR j.created_at >= ?))`).all(horizon, dayAgo);
+  for (const a of due) {
+    enqueueJob(db, { type:'refresh_token', payload:{ creator_id:a.creator_id, account_id:a.id }, creator_id:a.creator_id });
+  }
+}
+
+// Re-sync: enfileira um qualify por creator com alguma conta ativa cujo last_sync_at passou do intervalo
+// (ignora creators com job aberto ou criado dentro do intervalo, p.ex. um job que foi para dead)
+const SYNC_INTERVAL_MS = Number(process.env.SYNC_INTERVAL_HOURS || 24) * 60 * 60 * 1000;
+function scheduleResyncs() {
+  const cutoff = new Date(Date.now() - SYNC_INTERVAL_MS).toISOString();
+  const due = db.prepare(`SELECT DISTINCT a.creator_id FROM connected_accounts a
+                          WHERE a.status='active' AND (a.last_sync_at IS NULL OR a.last_sync_at < ?)
+                            AND NOT EXISTS (SELECT 1 FROM jobs j WHERE j.type='qualify' AND j.creator_id=a.creator_id
+                                            AND (j.status IN ('pending','running') OR j.created_at >= ?))`).all(cutoff, cutoff);
+  for (const a of due) {
+    enqueueJob(db, { type:'qualify', payload:{ creator_id:a.creator_id }, creator_id:a.creator_id });
+  }
+}
+
 const PORT = Number(process.env.PORT || 8080);
 app.listen(PORT, () => {
   console.log(`Server running on ${process.env.BASE_URL || 'http://localhost:'+PORT}`);
+  startWorker(db, jobHandlers, {
+    pollMs: Number(process.env.JOB_POLL_MS || 2000),
+    onDead: (job, e) => logAudit({ actor_type:'system', actor_id:'worker', action:'JOB_DEAD', target_type:'job', target_id:job.id, metadata:{ type:job.type, error:e.message } })
+  });
+  setInterval(() => { scheduleTokenRefresh(); scheduleResyncs(); scheduleErasures(); }, Number(process.env.SYNC_CHECK_MINUTES || 15) * 60 * 1000);
 });
@@ -0,0 +1,160 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { nanoid } from 'nanoid';
+
+// Admin identities: users with scrypt password hashes, per-user API keys and cookie sessions.
+// A request carries either the admin_session cookie or an "x-admin-key" header; both resolve to the user and their role.
+
+export const ADMIN_SESSION_COOKIE = 'admin_session';
+export const ROLES = ['viewer', 'recruiter', 'compliance', 'owner'];
+
+const ROLE_PERMISSIONS = {
+  viewer: ['creators:read', 'jobs:read', 'accounts:read', 'scoring:read', 'fraud:read', 'brands:read', 'campaigns:read'],
+  recruiter: ['creators:read', 'jobs:read', 'accounts:read', 'scoring:read', 'fraud:read', 'brands:read', 'campaigns:read', 'creators:export', 'jobs:write', 'brands:write', 'campaigns:write', 'segments:write'],
+  compliance: ['creators:read', 'jobs:read', 'accounts:read', 'scoring:read', 'fraud:read', 'brands:read', 'campaigns:read', 'creators:export', 'compliance:read', 'compliance:write', 'audit:read', 'fraud:review', 'segments:write', 'integrations:read'],
+  owner: ['*']
+};
+
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+// Password login throttle: failures within the window, counted per e-mail and per client IP
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const LOGIN_MAX_FAILURES_PER_EMAIL = 5;
+const LOGIN_MAX_FAILURES_PER_IP = 20;
+
+// Async so a burst of logins doesn't block the event loop; unknown e-mails are checked against a dummy hash
+// so they take as long as a wrong password.
+const scrypt = promisify(crypto.scrypt);
+const DUMMY_HASH = `scrypt$${'0'.repeat(32)}$${'0'.repeat(128)}`;
+
+function hash(v) { return crypto.createHash('sha256').update(String(v)).digest('hex'); }
+function nowIso() { return new Date().toISOString(); }
+
+export function can(role, permission) {
+  const perms = ROLE_PERMISSIONS[role] || [];
+  return perms.includes('*') || perms.includes(permission);
+}
+
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const derived = (await scrypt(password, salt, 64)).toString('hex');
+  return `scrypt$${salt}$${derived}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, derived] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !derived) return false;
+  const candidate = await scrypt(password, salt, 64);
+  const expected = Buffer.from(derived, 'hex');
+  return expected.length === candidate.length && crypto.timingSafeEqual(expected, candidate);
+}
+
+export async function createAdminUser(db, { email, name = null, role, password = null }) {
+  if (!ROLES.includes(role)) throw new Error(`invalid role: ${role}`);
+  const password_hash = password ? await hashPassword(password) : null;
+  const id = nanoid();
+  const ts = nowIso();
+  db.prepare(`INSERT INTO admin_users (id, email, name, role, password_hash, created_at, updated_at)
+              VALUES (?, ?, ?, ?, ?, ?, ?)`)
+    .run(id, email.toLowerCase(), name, role, password_hash, ts, ts);
+  return id;
+}
+
+export async function authenticatePassword(db, email, password) {
+  const user = db.prepare('SELECT * FROM admin_users WHERE email=? AND disabled_at IS NULL').get(String(email).toLowerCase());
+  const ok = await verifyPassword(password, user?.password_hash || DUMMY_HASH);
+  return user && ok ? user : null;
+}
+
+// Seconds until the e-mail or IP drops back under its limit (the max-th latest failure leaves the window), else 0.
+export function loginRetryAfter(db, { email, ip }) {
+  const since = new Date(Date.now() - LOGIN_WINDOW_MS).toISOString();
+  const nthLatest = (column, value, max) => db.prepare(`SELECT created_at FROM admin_login_failures WHERE ${column}=? AND created_at > ?
+                                                     ORDER BY created_at DESC LIMIT 1 OFFSET ?`).get(value, since, max - 1)?.created_at;
+  const blockedSince = [nthLatest('email', String(email).toLowerCase(), LOGIN_MAX_FAILURES_PER_EMAIL), nthLatest('ip_address', ip, LOGIN_MAX_FAILURES_PER_IP)]
+    .filter(Boolean).sort().pop();
+  if (!blockedSince) return 0;
+  return Math.max(1, Math.ceil((new Date(blockedSince).getTime() + LOGIN_WINDOW_MS - Date.now()) / 1000));
+}
+
+export function recordLoginFailure(db, { email, ip }) {
+  const ts = nowIso();
+  db.prepare('INSERT INTO admin_login_failures (id, email, ip_address, created_at) VALUES (?, ?, ?, ?)')
+    .run(nanoid(), String(email).toLowerCase(), ip, ts);
+  db.prepare('DELETE FROM admin_login_failures WHERE created_at < ?').run(new Date(Date.now() - LOGIN_WINDOW_MS).toISOString());
+}
+
+// A successful login clears the e-mail's failures (the IP's stay, so one valid account can't reset the IP limit).
+export function clearLoginFailures(db, email) {
+  db.prepare('DELETE FROM admin_login_failures WHERE email=?').run(String(email).toLowerCase());
+}
+
+export function createAdminSession(db, admin_id) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+  db.prepare('INSERT INTO admin_sessions (id, admin_id, token_hash, created_at, expires_at) VALUES (?, ?, ?, ?, ?)')
+    .run(nanoid(), admin_id, hash(token), new Date(now).toISOString(), new Date(now + SESSION_TTL_MS).toISOString());
+  return { token, maxAge: SESSION_TTL_MS };
+}
+
+export function revokeAdminSession(db, token) {
+  if (!token) return;
+  db.prepare('UPDATE admin_sessions SET revoked_at=? WHERE token_hash=? AND revoked_at IS NULL').run(nowIso(), hash(token));
+}
+
+// Every open session of the user (password change) except keepToken, the caller's own; returns how many were revoked.
+export function revokeAdminSessions(db, admin_id, { keepToken = null } = {}) {
+  return db.prepare('UPDATE admin_sessions SET revoked_at=? WHERE admin_id=? AND revoked_at IS NULL AND token_hash<>?')
+    .run(nowIso(), admin_id, keepToken ? hash(keepToken) : '').changes;
+}
+
+// Key format: "adk_<prefix>_<secret>"; the prefix identifies the key in listings, only the hash is stored.
+export function createApiKey(db, admin_id, { name = null } = {}) {
+  const id = nanoid();
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const key = `adk_${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+  db.prepare('INSERT INTO admin_api_keys (id, admin_id, name, key_prefix, key_hash, created_at) VALUES (?, ?, ?, ?, ?, ?)')
+    .run(id, admin_id, name, prefix, hash(key), nowIso());
+  return { id, key, prefix };
+}
+
+export function revokeApiKey(db, id) {
+  return db.prepare('UPDATE admin_api_keys SET revoked_at=? WHERE id=? AND revoked_at IS NULL').run(nowIso(), id).changes > 0;
+}
+
+// New key with the same name/owner, old one revoked in the same transaction.
+export function rotateApiKey(db, id) {
+  return db.transaction(() => {
+    const old = db.prepare('SELECT * FROM admin_api_keys WHERE id=? AND revoked_at IS NULL').get(id);
+    if (!old) return null;
+    revokeApiKey(db, id);
+    return createApiKey(db, old.admin_id, { name: old.name });
+  })();
+}
+
+export function listApiKeys(db, { admin_id } = {}) {
+  let q = `SELECT k.id, k.admin_id, u.email AS admin_email, k.name, k.key_prefix, k.created_at, k.last_used_at, k.revoked_at
+           FROM admin_api_keys k JOIN admin_users u ON u.id = k.admin_id`;
+  const params = [];
+  if (admin_id) { q += ' WHERE k.admin_id = ?'; params.push(admin_id); }
+  q += ' ORDER BY k.created_at DESC';
+  return db.prepare(q).all(...params);
+}
+
+// Resolves the acting admin from cookie or API key; disabled users resolve to null.
+export function resolveAdmin(db, { sessionToken, apiKey }) {
+  if (apiKey) {
+    const row = db.prepare(`SELECT u.*, k.id AS key_id FROM admin_api_keys k JOIN admin_users u ON u.id = k.admin_id
+                            WHERE k.key_hash=? AND k.revoked_at IS NULL AND u.disabled_at IS NULL`).get(hash(apiKey));
+    if (!row) return null;
+    db.prepare('UPDATE admin_api_keys SET last_used_at=? WHERE id=?').run(nowIso(), row.key_id);
+    return { id: row.id, email: row.email, name: row.name, role: row.role, via: 'api_key', key_id: row.key_id };
+  }
+  if (sessionToken) {
+    const row = db.prepare(`SELECT u.* FROM admin_sessions s JOIN admin_users u ON u.id = s.admin_id
+                            WHERE s.token_hash=? AND s.revoked_at IS NULL AND s.expires_at > ? AND u.disabled_at IS NULL`)
+      .get(hash(sessionToken), nowIso());
+    if (!row) return null;
+    return { id: row.id, email: row.email, name: row.name, role: row.role, via: 'session' };
+  }
+  return null;
+}
@@ -0,0 +1,200 @@
+import { nanoid } from 'nanoid';
+import { z } from 'zod';
+import { activeFlags } from './fraud.js';
+import { readStoredMetrics, combineMetrics } from './collector.js';
+import { normalize } from './niche.js';
+
+// Brand catalog and creator<->brand matching. A brand lists the niches and cities it targets, a budget
+// range, the minimum grade and audience requirements. Hard requirements exclude a pair; the rest adds up
+// to a 0-100 match score with one reason per criterion.
+
+export const BRAND_TYPES = ['local', 'ecommerce'];
+const GRADE_ORDER = ['C', 'B', 'A'];
+const FRAUD_DEDUCTION = { low: 5, medium: 10, high: 20 };
+const SEVERITY_ORDER = ['none', 'low', 'medium', 'high'];
+
+const Audience = z.object({
+  min_followers: z.number().int().min(0).optional(),
+  max_followers: z.number().int().min(0).optional(),
+  min_er: z.number().min(0).max(1).optional(),
+  countries: z.array(z.enum(['ES', 'PT'])).optional(),
+  // Highest fraud-flag severity still accepted; flags above it exclude the creator.
+  max_fraud_severity: z.enum(['none', 'low', 'medium', 'high']).optional()
+}).default({});
+
+export const BrandSchema = z.object({
+  name: z.string().min(2).max(120),
+  type: z.enum(BRAND_TYPES),
+  niches: z.array(z.string().min(2).max(30)).default([]),
+  cities: z.array(z.string().min(2).max(80)).default([]),
+  budget_min: z.number().min(0).nullable().optional(),
+  budget_max: z.number().min(0).nullable().optional(),
+  currency: z.string().length(3).default('EUR'),
+  min_grade: z.enum(['A', 'B', 'C']).default('C'),
+  audience: Audience,
+  contact_email: z.string().email().nullable().optional(),
+  notes: z.string().max(2000).nullable().optional()
+});
+
+function nowIso() { return new Date().toISOString(); }
+
+function parseBrand(row) {
+  return row ? { ...row, niches: JSON.parse(row.niches), cities: JSON.parse(row.cities), audience: JSON.parse(row.audience) } : null;
+}
+
+export function listBrands(db, { status = 'active' } = {}) {
+  const rows = status === 'all'
+    ? db.prepare('SELECT * FROM brands ORDER BY name').all()
+    : db.prepare('SELECT * FROM brands WHERE status=? ORDER BY name').all(status);
+  return rows.map(parseBrand);
+}
+
+export function getBrand(db, id) {
+  return parseBrand(db.prepare('SELECT * FROM brands WHERE id=?').get(id));
+}
+
+export function createBrand(db, data, { created_by = null } = {}) {
+  const id = nanoid();
+  const ts = nowIso();
+  db.prepare(`INSERT INTO brands (id, name, type, niches, cities, budget_min, budget_max, currency, min_grade, audience, contact_email, notes, status, created_by, created_at, updated_at)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'active', ?, ?, ?)`)
+    .run(id, data.name, data.type, JSON.stringify(data.niches), JSON.stringify(data.cities), data.budget_min ?? null, data.budget_max ?? null,
+      data.currency, data.min_grade, JSON.stringify(data.audience || {}), data.contact_email ?? null, data.notes ?? null, created_by, ts, ts);
+  return getBrand(db, id);
+}
+
+export function updateBrand(db, id, patch) {
+  const current = getBrand(db, id);
+  if (!current) return null;
+  const b = { ...current, ...patch };
+  db.prepare(`UPDATE brands SET name=?, type=?, niches=?, cities=?, budget_min=?, budget_max=?, currency=?, min_grade=?, audience=?, contact_email=?, notes=?, status=?, updated_at=?
+              WHERE id=?`)
+    .run(b.name, b.type, JSON.stringify(b.niches), JSON.stringify(b.cities), b.budget_min ?? null, b.budget_max ?? null, b.currency, b.min_grade,
+      JSON.stringify(b.audience || {}), b.contact_email ?? null, b.notes ?? null, b.status, nowIso(), id);
+  return getBrand(db, id);
+}
+
+// Everything the engine needs about a creator, from the latest stored score/niche and the latest snapshot of each
+// active account (followers summed across platforms, as in the score).
+export function creatorProfile(db, creator_id) {
+  const c = db.prepare('SELECT id, full_name, country, city, status FROM creators WHERE id=?').get(creator_id);
+  if (!c) return null;
+  const score = db.prepare(`SELECT s.score_total, s.grade, e.inputs FROM creator_scores s LEFT JOIN score_explanations e ON e.score_id = s.id
+                            WHERE s.creator_id=? ORDER BY s.computed_at DESC, s.rowid DESC LIMIT 1`).get(creator_id);
+  const niche = db.prepare('SELECT primary_niche, secondary_niches, confidence FROM niche_classification WHERE creator_id=? ORDER BY computed_at DESC, rowid DESC LIMIT 1').get(creator_id);
+  const accounts = db.prepare("SELECT id FROM connected_accounts WHERE creator_id=? AND status='active'").all(creator_id);
+  return {
+    ...c,
+    score_total: score?.score_total ?? null,
+    grade: score?.grade ?? null,
+    er: score?.inputs ? JSON.parse(score.inputs).er : null,
+    followers: accounts.length ? combineMetrics(accounts.map(a => readStoredMetrics(db, a.id))).followers : null,
+    primary_niche: niche?.primary_niche ?? null,
+    secondary_niches: niche ? JSON.parse(niche.secondary_niches || '[]') : [],
+    fraud_flags: activeFlags(db, creator_id)
+  };
+}
+
+// { eligible, match_score, reasons[] } for one creator/brand pair.
+export function matchCreatorBrand(creator, brand) {
+  const reasons = [];
+  const excluded = [];
+  const a = brand.audience || {};
+
+  if (creator.score_total === null) excluded.push('no score yet');
+  if (creator.grade && GRADE_ORDER.indexOf(creator.grade) < GRADE_ORDER.indexOf(brand.min_grade)) excluded.push(`grade ${creator.grade} below minimum ${brand.min_grade}`);
+  if (a.countries?.length && !a.countries.includes(creator.country)) excluded.push(`country ${creator.country} not targeted`);
+  if (a.min_followers && (creator.followers ?? 0) < a.min_followers) excluded.push(`${creator.followers ?? 0} followers < ${a.min_followers}`);
+  if (a.max_followers && (creator.followers ?? 0) > a.max_followers) excluded.push(`${creator.followers} followers > ${a.max_followers}`);
+  if (a.min_er && (creator.er ?? 0) < a.min_er) excluded.push(`ER ${((creator.er ?? 0) * 100).toFixed(1)}% < ${(a.min_er * 100).toFixed(1)}%`);
+  const maxSeverity = SEVERITY_ORDER.indexOf(a.max_fraud_severity || 'medium');
+  const blocking = creator.fraud_flags.filter(f => SEVERITY_ORDER.indexOf(f.severity) > maxSeverity);
+  if (blocking.length) excluded.push(`fraud flags ${blocking.map(f => `${f.flag}:${f.severity}`).join(', ')}`);
+
+  let score = 0;
+  // Niche: primary 40, secondary 20, brand without niche restriction 20
+  if (!brand.niches.length) { score += 20; reasons.push('any niche (+20)'); }
+  else if (brand.niches.includes(creator.primary_niche)) { score += 40; reasons.push(`primary niche ${creator.primary_niche} (+40)`); }
+  else {
+    const sec = creator.secondary_niches.find(n => brand.niches.includes(n));
+    if (sec) { score += 20; reasons.push(`secondary niche ${sec} (+20)`); }
+    else excluded.push(`niche ${creator.primary_niche || 'unknown'} not targeted`);
+  }
+
+  // City: only restricts local brands; cities compared accent/case-insensitively
+  const city = normalize(creator.city).trim();
+  if (!brand.cities.length) { score += 10; reasons.push('any city (+10)'); }
+  else if (city && brand.cities.some(c => normalize(c).trim() === city)) { score += 25; reasons.push(`city ${creator.city} (+25)`); }
+  else if (brand.type === 'ecommerce') { score += 10; reasons.push('e-commerce, city not required (+10)'); }
+  else excluded.push(`city ${creator.city || 'unknown'} not targeted`);
+
+  // Score: up to 35
+  if (creator.score_total !== null) {
+    const pts = Math.round(creator.score_total * 0.35);
+    score += pts;
+    reasons.push(`score ${creator.score_total} (${creator.grade}) (+${pts})`);
+  }
+
+  for (const f of creator.fraud_flags) {
+    if (blocking.includes(f)) continue;
+    score -= FRAUD_DEDUCTION[f.severity];
+    reasons.push(`fraud flag ${f.flag}:${f.severity} (-${FRAUD_DEDUCTION[f.severity]})`);
+  }
+
+  return {
+    eligible: excluded.length === 0,
+    match_score: Math.max(0, Math.min(100, score)),
+    reasons,
+    excluded
+  };
+}
+
+const byScore = (x, y) => y.match_score - x.match_score;
+
+export function rankBrandsForCreator(db, creator_id, { includeIneligible = false } = {}) {
+  const creator = creatorProfile(db, creator_id);
+  if (!creator) return null;
+  return listBrands(db)
+    .map(b => ({ brand_id: b.id, name: b.name, type: b.type, ...matchCreatorBrand(creator, b) }))
+    .filter(m => includeIneligible || m.eligible)
+    .sort(byScore);
+}
+
+// Creators with a score; `statuses` defaults to the ones that finished qualification.
+export function rankCreatorsForBrand(db, brand_id, { limit = 50, statuses = ['qualified', 'share_enabled'] } = {}) {
+  const brand = getBrand(db, brand_id);
+  if (!brand) return null;
+  const ids = db.prepare(`SELECT id FROM creators WHERE status IN (${statuses.map(() => '?').join(',')})
+                          AND EXISTS (SELECT 1 FROM creator_scores s WHERE s.creator_id = creators.id)`).all(...statuses).map(r => r.id);
+  return ids
+    .map(id => creatorProfile(db, id))
+    .map(c => ({ creator_id: c.id, full_name: c.full_name, city: c.city, status: c.status, grade: c.grade, score_total: c.score_total, ...matchCreatorBrand(c, brand) }))
+    .filter(m => m.eligible)
+    .sort(byScore)
+    .slice(0, limit);
+}
+
+// Replaces the creator's brand_targets with the engine's current ranking, one row per brand type.
+// suggested_brands holds [{ brand_id, name, match_score, reasons }].
+export function buildBrandTargets(db, creator_id, { limit = 8 } = {}) {
+  const matches = rankBrandsForCreator(db, creator_id) || [];
+  const segment = creatorProfile(db, creator_id)?.primary_niche || 'general';
+  const ts = nowIso();
+  db.transaction(() => {
+    db.prepare('DELETE FROM brand_targets WHERE creator_id=?').run(creator_id);
+    for (const type of BRAND_TYPES) {
+      const list = matches.filter(m => m.type === type).slice(0, limit)
+        .map(m => ({ brand_id: m.brand_id, name: m.name, match_score: m.match_score, reasons: m.reasons }));
+      db.prepare(`INSERT INTO brand_targets (id, creator_id, target_type, segment, suggested_brands, generated_at) VALUES (?, ?, ?, ?, ?, ?)`)
+        .run(nanoid(), creator_id, type, segment, JSON.stringify(list), ts);
+    }
+  })();
+  return matches;
+}
+
+// After catalog changes: recompute targets for every creator that has a score.
+export function refreshAllBrandTargets(db) {
+  const ids = db.prepare("SELECT DISTINCT creator_id FROM creator_scores s JOIN creators c ON c.id = s.creator_id WHERE c.status != 'deleted'").all().map(r => r.creator_id);
+  for (const id of ids) buildBrandTargets(db, id);
+  return ids.length;
+}
@@ -0,0 +1,186 @@
+import { nanoid } from 'nanoid';
+import { z } from 'zod';
+import { hasValidConsent } from './consent.js';
+
+// Campaigns: brief + brand + budget + dates, invitations to creators and deliverables per accepted invitation.
+// Every status change goes through transition(), which rejects moves the state machine doesn't allow and
+// returns { from, to } so the caller can write it to audit_log.
+
+export const CampaignSchema = z.object({
+  brand_id: z.string().min(1),
+  name: z.string().min(2).max(160),
+  brief: z.string().min(10).max(10000),
+  budget: z.number().min(0).nullable().optional(),
+  currency: z.string().length(3).default('EUR'),
+  starts_on: z.string().regex(/^\d{4}-\d{2}-\d{2}$/),
+  ends_on: z.string().regex(/^\d{4}-\d{2}-\d{2}$/)
+}).refine(c => c.ends_on >= c.starts_on, { message: 'ends_on must not be before starts_on', path: ['ends_on'] });
+
+export const DeliverableSchema = z.object({
+  kind: z.enum(['post', 'reel', 'story', 'video', 'other']),
+  description: z.string().max(2000).optional(),
+  due_date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/)
+});
+
+const TRANSITIONS = {
+  campaign: { draft: ['active', 'cancelled'], active: ['closed', 'cancelled'] },
+  invitation: { invited: ['accepted', 'declined', 'withdrawn'], accepted: ['withdrawn'] },
+  deliverable: { pending: ['submitted'], submitted: ['approved', 'rejected'], rejected: ['submitted'] }
+};
+const TABLES = { campaign: 'campaigns', invitation: 'campaign_invitations', deliverable: 'campaign_deliverables' };
+const OPEN_CAMPAIGN = ['draft', 'active'];
+
+function nowIso() { return new Date().toISOString(); }
+
+export function canTransition(kind, from, to) {
+  return (TRANSITIONS[kind][from] || []).includes(to);
+}
+
+// Moves one row to `to` with extra column updates; { ok, from, to } or { ok:false, reason }.
+function transition(db, kind, id, to, extra = {}) {
+  const table = TABLES[kind];
+  const row = db.prepare(`SELECT status FROM ${table} WHERE id=?`).get(id);
+  if (!row) return { ok: false, reason: 'not_found' };
+  if (!canTransition(kind, row.status, to)) return { ok: false, reason: `invalid transition ${row.status} -> ${to}` };
+  const cols = Object.keys(extra);
+  db.prepare(`UPDATE ${table} SET status=?, updated_at=?${cols.map(c => `, ${c}=?`).join('')} WHERE id=? AND status=?`)
+    .run(to, nowIso(), ...cols.map(c => extra[c]), id, row.status);
+  return { ok: true, from: row.status, to };
+}
+
+export function createCampaign(db, data, { created_by }) {
+  const id = nanoid();
+  const ts = nowIso();
+  db.prepare(`INSERT INTO campaigns (id, brand_id, name, brief, budget, currency, starts_on, ends_on, status, created_by, created_at, updated_at)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'draft', ?, ?, ?)`)
+    .run(id, data.brand_id, data.name, data.brief, data.budget ?? null, data.currency, data.starts_on, data.ends_on, created_by, ts, ts);
+  return getCampaign(db, id);
+}
+
+export function updateCampaign(db, id, patch) {
+  const c = db.prepare('SELECT * FROM campaigns WHERE id=?').get(id);
+  if (!c) return null;
+  const b = { ...c, ...patch };
+  db.prepare('UPDATE campaigns SET name=?, brief=?, budget=?, currency=?, starts_on=?, ends_on=?, updated_at=? WHERE id=?')
+    .run(b.name, b.brief, b.budget ?? null, b.currency, b.starts_on, b.ends_on, nowIso(), id);
+  return getCampaign(db, id);
+}
+
+export function setCampaignStatus(db, id, status) {
+  return transition(db, 'campaign', id, status);
+}
+
+export function listCampaigns(db, { status } = {}) {
+  let q = `SELECT c.*, b.name AS brand_name,
+             (SELECT COUNT(*) FROM campaign_invitations i WHERE i.campaign_id = c.id) AS invited,
+             (SELECT COUNT(*) FROM campaign_invitations i WHERE i.campaign_id = c.id AND i.status = 'accepted') AS accepted
+           FROM campaigns c LEFT JOIN brands b ON b.id = c.brand_id`;
+  const params = [];
+  if (status) { q += ' WHERE c.status = ?'; params.push(status); }
+  q += ' ORDER BY c.created_at DESC';
+  return db.prepare(q).all(...params);
+}
+
+// Campaign with its invitations and deliverables (admin view).
+export function getCampaign(db, id) {
+  const c = db.prepare('SELECT c.*, b.name AS brand_name FROM campaigns c LEFT JOIN brands b ON b.id = c.brand_id WHERE c.id=?').get(id);
+  if (!c) return null;
+  const invitations = db.prepare(`SELECT i.*, cr.full_name, cr.email, cr.city FROM campaign_invitations i JOIN creators cr ON cr.id = i.creator_id
+                                  WHERE i.campaign_id=? ORDER BY i.invited_at`).all(id);
+  const deliverables = listDeliverables(db, { campaign_id: id });
+  return {
+    ...c,
+    invitations: invitations.map(i => ({ ...i, deliverables: deliverables.filter(d => d.invitation_id === i.id) }))
+  };
+}
+
+// Invites each creator that has a valid share_with_brands consent; the rest come back in `skipped`.
+export function inviteCreators(db, campaign_id, creator_ids, { invited_by, fee = null, message = null }) {
+  const campaign = db.prepare('SELECT status FROM campaigns WHERE id=?').get(campaign_id);
+  if (!campaign) return null;
+  if (!OPEN_CAMPAIGN.includes(campaign.status)) return { invited: [], skipped: creator_ids.map(id => ({ creator_id: id, reason: `campaign ${campaign.status}` })) };
+
+  const invited = [];
+  const skipped = [];
+  const ts = nowIso();
+  for (const creator_id of [...new Set(creator_ids)]) {
+    const creator = db.prepare('SELECT status FROM creators WHERE id=?').get(creator_id);
+    if (!creator || creator.status === 'deleted') { skipped.push({ creator_id, reason: 'not_found' }); continue; }
+    if (!hasValidConsent(db, creator_id, 'share_with_brands')) { skipped.push({ creator_id, reason: 'no share_with_brands consent' }); continue; }
+    if (db.prepare('SELECT 1 FROM campaign_invitations WHERE campaign_id=? AND creator_id=?').get(campaign_id, creator_id)) {
+      skipped.push({ creator_id, reason: 'already invited' });
+      continue;
+    }
+    const id = nanoid();
+    db.prepare(`INSERT INTO campaign_invitations (id, campaign_id, creator_id, status, fee, message, invited_by, invited_at, updated_at)
+                VALUES (?, ?, ?, 'invited', ?, ?, ?, ?, ?)`)
+      .run(id, campaign_id, creator_id, fee, message, invited_by, ts, ts);
+    invited.push({ invitation_id: id, creator_id });
+  }
+  return { invited, skipped };
+}
+
+export function getInvitation(db, id) {
+  return db.prepare('SELECT * FROM campaign_invitations WHERE id=?').get(id);
+}
+
+// Creator's answer. Accepting needs the campaign still open and the consent still valid.
+export function respondToInvitation(db, id, { accept, reason = null }) {
+  const inv = getInvitation(db, id);
+  if (!inv) return { ok: false, reason: 'not_found' };
+  if (accept) {
+    const campaign = db.prepare('SELECT status FROM campaigns WHERE id=?').get(inv.campaign_id);
+    if (!OPEN_CAMPAIGN.includes(campaign?.status)) return { ok: false, reason: `campaign ${campaign?.status}` };
+    if (!hasValidConsent(db, inv.creator_id, 'share_with_brands')) return { ok: false, reason: 'no share_with_brands consent' };
+  }
+  return transition(db, 'invitation', id, accept ? 'accepted' : 'declined', { responded_at: nowIso(), decline_reason: accept ? null : reason });
+}
+
+export function withdrawInvitation(db, id) {
+  return transition(db, 'invitation', id, 'withdrawn');
+}
+
+export function addDeliverable(db, invitation_id, data) {
+  const inv = getInvitation(db, invitation_id);
+  if (!inv) return { ok: false, reason: 'not_found' };
+  if (inv.status !== 'accepted') return { ok: false, reason: `invitation ${inv.status}` };
+  const id = nanoid();
+  const ts = nowIso();
+  db.prepare(`INSERT INTO campaign_deliverables (id, invitation_id, campaign_id, creator_id, kind, description, due_date, status, created_at, updated_at)
+              VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?)`)
+    .run(id, invitation_id, inv.campaign_id, inv.creator_id, data.kind, data.description || null, data.due_date, ts, ts);
+  return { ok: true, deliverable: getDeliverable(db, id) };
+}
+
+export function getDeliverable(db, id) {
+  return db.prepare('SELECT * FROM campaign_deliverables WHERE id=?').get(id);
+}
+
+export function submitDeliverable(db, id, post_url) {
+  return transition(db, 'deliverable', id, 'submitted', { post_url, submitted_at: nowIso() });
+}
+
+export function reviewDeliverable(db, id, { approved, note = null }) {
+  return transition(db, 'deliverable', id, approved ? 'approved' : 'rejected', { review_note: note, reviewed_at: nowIso() });
+}
+
+// `overdue` = due date passed and nothing approved/submitted yet.
+export function listDeliverables(db, { campaign_id, creator_id } = {}) {
+  let q = 'SELECT * FROM campaign_deliverables WHERE 1=1';
+  const params = [];
+  if (campaign_id) { q += ' AND campaign_id = ?'; params.push(campaign_id); }
+  if (creator_id) { q += ' AND creator_id = ?'; params.push(creator_id); }
+  q += ' ORDER BY due_date';
+  const today = nowIso().slice(0, 10);
+  return db.prepare(q).all(...params).map(d => ({ ...d, overdue: ['pending', 'rejected'].includes(d.status) && d.due_date < today }));
+}
+
+// Creator dashboard: their invitations with the campaign brief and deliverables.
+export function creatorCampaigns(db, creator_id) {
+  const rows = db.prepare(`SELECT i.id AS invitation_id, i.status, i.fee, i.message, i.invited_at, i.responded_at,
+                                  c.id AS campaign_id, c.name, c.brief, c.starts_on, c.ends_on, c.currency, c.status AS campaign_status, b.name AS brand_name
+                           FROM campaign_invitations i JOIN campaigns c ON c.id = i.campaign_id LEFT JOIN brands b ON b.id = c.brand_id
+                           WHERE i.creator_id=? AND i.status != 'withdrawn' ORDER BY i.invited_at DESC`).all(creator_id);
+  const deliverables = listDeliverables(db, { creator_id });
+  return rows.map(r => ({ ...r, deliverables: deliverables.filter(d => d.invitation_id === r.invitation_id) }));
+}
@@ -0,0 +1,206 @@
+import { nanoid } from 'nanoid';
+import { graphGet } from './meta.js';
+
+// Instagram Graph collector: profile, last-30-days media + insights.
+// Only official endpoints (business/creator accounts), no scraping.
+// aggregateDaily/storeCollection/readStoredMetrics are shared with the TikTok and YouTube collectors (lib/providers.js).
+
+export const WINDOW_DAYS = 30;
+
+const PROFILE_FIELDS = 'id,username,followers_count,follows_count,media_count,biography,website';
+const MEDIA_FIELDS = 'id,caption,media_type,media_product_type,timestamp,like_count,comments_count,permalink';
+
+function dayOf(ts) { return new Date(ts).toISOString().slice(0, 10); }
+function daysAgo(n) { return new Date(Date.now() - n * 86400000); }
+
+// The IG business account is reached through the Facebook Page it is linked to.
+export async function findInstagramAccount(accessToken) {
+  const j = await graphGet('/me/accounts', accessToken, { fields: 'instagram_business_account{id,username}' });
+  const page = (j.data || []).find(p => p.instagram_business_account);
+  return page ? page.instagram_business_account : null;
+}
+
+export async function fetchProfile(accessToken, igUserId) {
+  return graphGet(`/${igUserId}`, accessToken, { fields: PROFILE_FIELDS });
+}
+
+export async function fetchRecentMedia(accessToken, igUserId, { days = WINDOW_DAYS } = {}) {
+  const since = daysAgo(days).getTime();
+  const items = [];
+  let after = null;
+  for (let page = 0; page < 10; page++) {
+    const params = { fields: MEDIA_FIELDS, limit: '50' };
+    if (after) params.after = after;
+    const j = await graphGet(`/${igUserId}/media`, accessToken, params);
+    let reachedEnd = false;
+    for (const m of j.data || []) {
+      if (new Date(m.timestamp).getTime() < since) { reachedEnd = true; break; }
+      items.push(m);
+    }
+    after = j.paging?.cursors?.after;
+    if (reachedEnd || !j.paging?.next || !after) break;
+  }
+  return items;
+}
+
+// Reels don't support impressions; plays is their view count.
+function mediaInsightMetrics(m) {
+  return m.media_product_type === 'REELS' ? 'reach,saved,shares,plays' : 'reach,impressions,saved,shares';
+}
+
+function insightValues(j) {
+  const out = {};
+  for (const x of j.data || []) {
+    out[x.name] = x.values?.[0]?.value ?? x.total_value?.value ?? 0;
+  }
+  return out;
+}
+
+export async function fetchMediaInsights(accessToken, m) {
+  try {
+    const j = await graphGet(`/${m.id}/insights`, accessToken, { metric: mediaInsightMetrics(m) });
+    return insightValues(j);
+  } catch {
+    // Media posted before the account became business has no insights; keep counts only.
+    return {};
+  }
+}
+
+// Account-level daily metrics (profile visits, website clicks).
+export async function fetchAccountInsights(accessToken, igUserId, { days = WINDOW_DAYS } = {}) {
+  const since = Math.floor(daysAgo(days).getTime() / 1000);
+  const until = Math.floor(Date.now() / 1000);
+  const j = await graphGet(`/${igUserId}/insights`, accessToken, {
+    metric: 'profile_views,website_clicks', period: 'day', since: String(since), until: String(until)
+  });
+  const byDay = {};
+  for (const series of j.data || []) {
+    for (const v of series.values || []) {
+      const day = dayOf(v.end_time);
+      byDay[day] = byDay[day] || {};
+      byDay[day][series.name] = v.value ?? 0;
+    }
+  }
+  return byDay;
+}
+
+export function aggregateDaily(media, accountInsights = {}) {
+  const days = {};
+  const row = (day) => days[day] = days[day] || {
+    day, posts_count: 0, reels_count: 0, likes_total: 0, comments_total: 0, shares_total: 0, saves_total: 0,
+    views_total: 0, reach_total: 0, impressions_total: 0, profile_visits_total: 0, website_clicks_total: 0
+  };
+  for (const m of media) {
+    const d = row(dayOf(m.timestamp));
+    if (m.media_product_type === 'REELS') d.reels_count++; else d.posts_count++;
+    const ins = m.insights || {};
+    d.likes_total += m.like_count || 0;
+    d.comments_total += m.comments_count || 0;
+    d.shares_total += ins.shares || 0;
+    d.saves_total += ins.saved || 0;
+    d.views_total += ins.plays || 0;
+    d.reach_total += ins.reach || 0;
+    d.impressions_total += ins.impressions || 0;
+  }
+  for (const [day, v] of Object.entries(accountInsights)) {
+    const d = row(day);
+    d.profile_visits_total += v.profile_views || 0;
+    d.website_clicks_total += v.website_clicks || 0;
+  }
+  return Object.values(days).sort((a, b) => a.day.localeCompare(b.day));
+}
+
+export async function collectInstagram(accessToken, igUserId) {
+  const profile = await fetchProfile(accessToken, igUserId);
+  const media = await fetchRecentMedia(accessToken, igUserId);
+  for (const m of media) m.insights = await fetchMediaInsights(accessToken, m);
+  let accountInsights = {};
+  try {
+    accountInsights = await fetchAccountInsights(accessToken, igUserId);
+  } catch (e) {
+    console.warn('account insights unavailable:', e.message);
+  }
+  return { profile, media, daily: aggregateDaily(media, accountInsights) };
+}
+
+// Persists one snapshot per run; the account's daily rows inside the window are replaced as a whole, so re-syncs
+// don't double count and days whose posts were deleted on the platform don't linger.
+// Captions are kept per media (niche classification input) and pruned outside the window.
+export function storeCollection(db, account_id, { profile, media = [], daily }) {
+  const ts = new Date().toISOString();
+  const insertSnapshot = db.prepare(`INSERT INTO profile_snapshots (id, account_id, snapshot_date, followers_count, follows_count, media_count, bio_text, website, is_verified, created_at)
+                                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`);
+  const deleteWindow = db.prepare('DELETE FROM content_metrics_daily WHERE account_id=? AND day >= ?');
+  const insertDay = db.prepare(`INSERT INTO content_metrics_daily (id, account_id, day, posts_count, reels_count, likes_total, comments_total, shares_total, saves_total,
+                                  views_total, reach_total, impressions_total, profile_visits_total, website_clicks_total, created_at)
+                                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`);
+  const upsertCaption = db.prepare(`INSERT INTO media_captions (account_id, media_id, posted_at, caption, created_at) VALUES (?, ?, ?, ?, ?)
+                                    ON CONFLICT(account_id, media_id) DO UPDATE SET caption=excluded.caption, posted_at=excluded.posted_at`);
+  db.transaction(() => {
+    insertSnapshot.run(nanoid(), account_id, ts.slice(0, 10), profile.followers_count ?? null, profile.follows_count ?? null,
+      profile.media_count ?? null, profile.biography ?? null, profile.website ?? null, null, ts);
+    deleteWindow.run(account_id, daysAgo(WINDOW_DAYS).toISOString().slice(0, 10));
+    for (const d of daily) {
+      insertDay.run(nanoid(), account_id, d.day, d.posts_count, d.reels_count, d.likes_total, d.comments_total, d.shares_total, d.saves_total,
+        d.views_total, d.reach_total, d.impressions_total, d.profile_visits_total, d.website_clicks_total, ts);
+    }
+    for (const m of media) {
+      if (m.caption) upsertCaption.run(account_id, m.id, new Date(m.timestamp).toISOString(), m.caption, ts);
+    }
+    db.prepare('DELETE FROM media_captions WHERE account_id=? AND posted_at < ?').run(account_id, daysAgo(WINDOW_DAYS).toISOString());
+  })();
+}
+
+// Reads back what storeCollection wrote; this is the only input scoring uses.
+export function readStoredMetrics(db, account_id, { days = WINDOW_DAYS } = {}) {
+  const snapshot = db.prepare('SELECT * FROM profile_snapshots WHERE account_id=? ORDER BY created_at DESC LIMIT 1').get(account_id);
+  const totals = db.prepare(`SELECT COALESCE(SUM(posts_count),0) AS posts, COALESCE(SUM(reels_count),0) AS reels,
+                                    COALESCE(SUM(likes_total),0) AS likes, COALESCE(SUM(comments_total),0) AS comments,
+                                    COALESCE(SUM(shares_total),0) AS shares, COALESCE(SUM(saves_total),0) AS saves,
+                                    COALESCE(SUM(reach_total),0) AS reach, COALESCE(SUM(impressions_total),0) AS impressions,
+                                    COALESCE(SUM(views_total),0) AS views,
+                                    COALESCE(SUM(profile_visits_total),0) AS profile_visits
+                             FROM content_metrics_daily WHERE account_id=? AND day >= ?`)
+    .get(account_id, daysAgo(days).toISOString().slice(0, 10));
+  return {
+    followers: snapshot?.followers_count || 0,
+    follows: snapshot?.follows_count || 0,
+    media_count: snapshot?.media_count || 0,
+    bio: snapshot?.bio_text || '',
+    contentCount30d: totals.posts + totals.reels,
+    ...totals
+  };
+}
+
+// Per-account rates scoring uses: ER = (likes + comments) / contents / followers, reach ratio = reach / contents / followers.
+// TikTok and YouTube expose no reach, so their views stand in for it.
+export function accountRates(m) {
+  const base = m.followers > 0 && m.contentCount30d > 0;
+  const reach = m.reach > 0 ? m.reach : m.views || 0;
+  return {
+    er: base ? (m.likes + m.comments) / m.contentCount30d / m.followers : 0,
+    reach,
+    reach_source: m.reach > 0 ? 'reach' : m.views > 0 ? 'views' : null,
+    reachRatio: base && reach > 0 ? reach / m.contentCount30d / m.followers : 0
+  };
+}
+
+// Creator-level inputs over all linked accounts. Counts add up; ER and reach ratio are each account's rate weighted by
+// its share of the contents, so a large but quiet account doesn't dilute an active one (and one account = its own rates).
+export function combineMetrics(list) {
+  const contents = list.reduce((s, m) => s + m.contentCount30d, 0);
+  const withReach = list.filter(m => accountRates(m).reachRatio > 0);
+  const reachContents = withReach.reduce((s, m) => s + m.contentCount30d, 0);
+  return {
+    followers: list.reduce((s, m) => s + m.followers, 0),
+    contentCount30d: contents,
+    er: contents ? list.reduce((s, m) => s + accountRates(m).er * m.contentCount30d, 0) / contents : 0,
+    reachAvailable: reachContents > 0,
+    reachRatio: reachContents ? withReach.reduce((s, m) => s + accountRates(m).reachRatio * m.contentCount30d, 0) / reachContents : 0,
+    bio: list.map(m => m.bio).filter(Boolean).join('\n')
+  };
+}
+
+export function readStoredCaptions(db, account_id, { limit = 50 } = {}) {
+  return db.prepare('SELECT caption FROM media_captions WHERE account_id=? ORDER BY posted_at DESC LIMIT ?').all(account_id, limit).map(r => r.caption);
+}
@@ -0,0 +1,123 @@
+import crypto from 'crypto';
+import { nanoid } from 'nanoid';
+
+// Consent service: versioned texts per language and per-type grant/revoke history.
+// A consent type is valid when its latest record is granted, not revoked, and on the current text version.
+// A version only becomes current once it has a text in every language: publishing one language at a time never
+// leaves a language without text, nor invalidates everyone's consent before the translations are in.
+
+export const CONSENT_TYPES = ['metrics_check', 'share_with_brands', 'marketing_contact'];
+export const LANGUAGES = ['pt', 'es', 'en'];
+const DEFAULT_LANGUAGE = 'pt';
+
+// Seed for empty databases (first published version).
+const SEED_VERSION = 'v1.0-2026-01-31';
+const SEED_TEXTS = {
+  pt: `Ao conectar seu Instagram por login oficial, você autoriza a coleta e análise de métricas e informações do seu perfil, apenas na medida necessária, para: (1) validar autenticidade, (2) gerar o Creator Fit Score, (3) criar seu Media Kit e (4) recomendar categorias de marcas compatíveis. Não acessamos mensagens privadas. Você pode desconectar a conta e revogar esta autorização a qualquer momento.`,
+  es: `Al conectar tu Instagram mediante el inicio de sesión oficial, autorizas la recogida y el análisis de métricas e información de tu perfil, solo en la medida necesaria, para: (1) validar la autenticidad, (2) generar el Creator Fit Score, (3) crear tu Media Kit y (4) recomendar categorías de marcas compatibles. No accedemos a mensajes privados. Puedes desconectar la cuenta y revocar esta autorización en cualquier momento.`,
+  en: `By connecting your Instagram through the official login, you authorize the collection and analysis of your profile's metrics and information, only as far as necessary, to: (1) validate authenticity, (2) generate the Creator Fit Score, (3) create your Media Kit and (4) recommend compatible brand categories. We do not access private messages. You can disconnect the account and revoke this authorization at any time.`
+};
+
+function nowIso() { return new Date().toISOString(); }
+export function hashText(text) { return crypto.createHash('sha256').update(text).digest('hex'); }
+
+export function languageForCountry(country) {
+  return { PT: 'pt', ES: 'es' }[country] || DEFAULT_LANGUAGE;
+}
+
+export function seedConsentTexts(db) {
+  const n = db.prepare('SELECT COUNT(*) AS n FROM consent_texts').get().n;
+  if (n > 0) return;
+  const ts = nowIso();
+  const insert = db.prepare('INSERT INTO consent_texts (version, language, text, text_hash, published_at) VALUES (?, ?, ?, ?, ?)');
+  for (const [language, text] of Object.entries(SEED_TEXTS)) insert.run(SEED_VERSION, language, text, hashText(text), ts);
+}
+
+export function currentVersion(db) {
+  return db.prepare(`SELECT version FROM consent_texts WHERE language IN (${LANGUAGES.map(() => '?').join(',')})
+                     GROUP BY version HAVING COUNT(DISTINCT language) = ?
+                     ORDER BY MAX(published_at) DESC, version DESC LIMIT 1`).get(...LANGUAGES, LANGUAGES.length)?.version || null;
+}
+
+// Languages a version still lacks before it can become current.
+export function missingLanguages(db, version) {
+  const have = db.prepare('SELECT language FROM consent_texts WHERE version=?').all(version).map(r => r.language);
+  return LANGUAGES.filter(l => !have.includes(l));
+}
+
+// Text of the current version in the requested language, falling back to the default language.
+export function currentText(db, language = DEFAULT_LANGUAGE) {
+  const version = currentVersion(db);
+  const q = db.prepare('SELECT * FROM consent_texts WHERE version=? AND language=?');
+  return q.get(version, language) || q.get(version, DEFAULT_LANGUAGE) || null;
+}
+
+export function publishConsentText(db, { version, language, text }) {
+  db.prepare('INSERT INTO consent_texts (version, language, text, text_hash, published_at) VALUES (?, ?, ?, ?, ?)')
+    .run(version, language, text, hashText(text), nowIso());
+}
+
+export function listConsentTexts(db) {
+  return db.prepare('SELECT version, language, text_hash, published_at, text FROM consent_texts ORDER BY published_at DESC, language').all();
+}
+
+export function recordConsent(db, { creator_id, consent_type, granted, language, ip_address = null, user_agent = null }) {
+  const t = currentText(db, language);
+  if (!t) throw new Error('no consent text published');
+  db.prepare(`INSERT INTO consent_records
+    (id, creator_id, consent_type, granted, text_version, text_hash, ip_address, user_agent, granted_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+    .run(nanoid(), creator_id, consent_type, granted ? 1 : 0, t.version, t.text_hash, ip_address, user_agent, nowIso());
+}
+
+// Latest record per consent type.
+export function latestConsents(db, creator_id) {
+  const rows = db.prepare('SELECT * FROM consent_records WHERE creator_id=? ORDER BY granted_at DESC, rowid DESC').all(creator_id);
+  const latest = {};
+  for (const r of rows) if (!latest[r.consent_type]) latest[r.consent_type] = r;
+  return latest;
+}
+
+export function revokeConsent(db, { creator_id, consent_type, reason = null }) {
+  const r = latestConsents(db, creator_id)[consent_type];
+  if (!r || !r.granted || r.revoked_at) return false;
+  db.prepare('UPDATE consent_records SET revoked_at=?, revoke_reason=? WHERE id=?').run(nowIso(), reason, r.id);
+  return true;
+}
+
+// { type: { granted, valid, text_version, granted_at, revoked_at } } plus the types that need re-consent.
+export function consentStatus(db, creator_id) {
+  const version = currentVersion(db);
+  const latest = latestConsents(db, creator_id);
+  const status = {};
+  const reconsent_required = [];
+  for (const type of CONSENT_TYPES) {
+    const r = latest[type];
+    const active = !!r && !!r.granted && !r.revoked_at;
+    const valid = active && r.text_version === version;
+    if (active && !valid) reconsent_required.push(type);
+    status[type] = {
+      granted: active,
+      valid,
+      text_version: r?.text_version || null,
+      granted_at: r?.granted_at || null,
+      revoked_at: r?.revoked_at || null
+    };
+  }
+  return { current_version: version, consents: status, reconsent_required };
+}
+
+export function hasValidConsent(db, creator_id, consent_type) {
+  return consentStatus(db, creator_id).consents[consent_type]?.valid || false;
+}
+
+// Flat timeline: one event per grant/decline and one per revocation.
+export function consentHistory(db, creator_id) {
+  const rows = db.prepare('SELECT * FROM consent_records WHERE creator_id=? ORDER BY granted_at, rowid').all(creator_id);
+  const events = [];
+  for (const r of rows) {
+    events.push({ at: r.granted_at, consent_type: r.consent_type, event: r.granted ? 'granted' : 'declined', text_version: r.text_version });
+    if (r.revoked_at) events.push({ at: r.revoked_at, consent_type: r.consent_type, event: 'revoked', text_version: r.text_version, reason: r.revoke_reason });
+  }
+  return events.sort((a, b) => a.at.localeCompare(b.at));
+}
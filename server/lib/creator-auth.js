@@ -0,0 +1,84 @@
+import crypto from 'crypto';
+import { nanoid } from 'nanoid';
+
+// Passwordless creator auth: one-time login (magic link token + 6-digit code) and cookie sessions.
+// Only SHA-256 hashes of tokens/codes are stored.
+
+export const SESSION_COOKIE = 'creator_session';
+
+const LOGIN_TTL_MS = 15 * 60 * 1000;
+const LOGIN_MAX_ATTEMPTS = 5;
+const LOGIN_MAX_PER_WINDOW = 5;
+
+function hash(v) { return crypto.createHash('sha256').update(String(v)).digest('hex'); }
+function nowIso() { return new Date().toISOString(); }
+
+export function sessionTtlMs() {
+  return Number(process.env.CREATOR_SESSION_DAYS || 30) * 86400000;
+}
+
+export function createSession(db, creator_id, { user_agent = null } = {}) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+  db.prepare(`INSERT INTO creator_sessions (id, creator_id, token_hash, user_agent, created_at, expires_at)
+              VALUES (?, ?, ?, ?, ?, ?)`)
+    .run(nanoid(), creator_id, hash(token), user_agent, new Date(now).toISOString(), new Date(now + sessionTtlMs()).toISOString());
+  return token;
+}
+
+export function getSession(db, token) {
+  if (!token) return null;
+  const s = db.prepare('SELECT * FROM creator_sessions WHERE token_hash=?').get(hash(token));
+  if (!s || s.revoked_at || new Date(s.expires_at).getTime() <= Date.now()) return null;
+  return s;
+}
+
+export function revokeSession(db, token) {
+  if (!token) return;
+  db.prepare('UPDATE creator_sessions SET revoked_at=? WHERE token_hash=? AND revoked_at IS NULL').run(nowIso(), hash(token));
+}
+
+export function revokeAllSessions(db, creator_id) {
+  db.prepare('UPDATE creator_sessions SET revoked_at=? WHERE creator_id=? AND revoked_at IS NULL').run(nowIso(), creator_id);
+}
+
+// Returns { token, code } to be mailed, or null when the creator hit the per-window limit.
+export function issueLoginCode(db, creator_id) {
+  const since = new Date(Date.now() - LOGIN_TTL_MS).toISOString();
+  const recent = db.prepare('SELECT COUNT(*) AS n FROM login_codes WHERE creator_id=? AND created_at >= ?').get(creator_id, since).n;
+  if (recent >= LOGIN_MAX_PER_WINDOW) return null;
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const ts = nowIso();
+  db.prepare(`INSERT INTO login_codes (id, creator_id, token_hash, code_hash, attempts, created_at, expires_at)
+              VALUES (?, ?, ?, ?, 0, ?, ?)`)
+    .run(nanoid(), creator_id, hash(token), hash(`${creator_id}:${code}`), ts, new Date(Date.now() + LOGIN_TTL_MS).toISOString());
+  return { token, code };
+}
+
+function usable(row) {
+  return row && !row.used_at && row.attempts < LOGIN_MAX_ATTEMPTS && new Date(row.expires_at).getTime() > Date.now();
+}
+
+function markUsed(db, id) {
+  return db.prepare('UPDATE login_codes SET used_at=? WHERE id=? AND used_at IS NULL').run(nowIso(), id).changes > 0;
+}
+
+// Magic link: returns the creator_id or null.
+export function consumeLoginToken(db, token) {
+  const row = db.prepare('SELECT * FROM login_codes WHERE token_hash=?').get(hash(token));
+  if (!usable(row) || !markUsed(db, row.id)) return null;
+  return row.creator_id;
+}
+
+// Typed code: checked against the creator's newest unused code; wrong guesses count towards its attempt limit.
+export function consumeLoginCode(db, creator_id, code) {
+  const row = db.prepare('SELECT * FROM login_codes WHERE creator_id=? AND used_at IS NULL ORDER BY created_at DESC LIMIT 1').get(creator_id);
+  if (!usable(row)) return false;
+  if (row.code_hash !== hash(`${creator_id}:${code}`)) {
+    db.prepare('UPDATE login_codes SET attempts=attempts+1 WHERE id=?').run(row.id);
+    return false;
+  }
+  return markUsed(db, row.id);
+}
@@ -0,0 +1,214 @@
+import { nanoid } from 'nanoid';
+import { z } from 'zod';
+import { CONSENT_TYPES, currentVersion } from './consent.js';
+import { foldText } from '../db/db.js';
+
+// Admin creator listing. Shared by GET /api/admin/creators, CSV export and everything that selects creators
+// "as filtered in the admin list" (campaign shortlists, saved segments).
+// Latest score/niche are picked per creator with ORDER BY computed_at DESC, rowid DESC (not MAX() + GROUP BY,
+// which pairs the max date with columns from an arbitrary row). Pagination is keyset-based: the cursor holds
+// the sort value and id of the last row, so pages stay stable while rows are inserted.
+
+export const CONSENT_STATES = ['valid', 'outdated', 'revoked', 'declined', 'none'];
+export const TOKEN_HEALTH = ['active', 'expiring', 'expired', 'needs_reauth', 'revoked', 'none'];
+export const SORTS = ['created_at', 'updated_at', 'scored_at', 'score', 'name'];
+const TOKEN_EXPIRING_DAYS = 7;
+const MAX_PAGE = 200;
+
+function nowIso() { return new Date().toISOString(); }
+
+const SORT_EXPR = {
+  created_at: 'x.created_at',
+  updated_at: 'x.updated_at',
+  scored_at: "COALESCE(x.scored_at, '')",
+  score: 'COALESCE(x.score_total, -1)',
+  name: 'fold(x.full_name)'
+};
+
+// Query strings arrive as "a,b"; saved segments store arrays.
+const list = (item) => z.preprocess(v => typeof v === 'string' ? v.split(',').map(s => s.trim()).filter(Boolean) : v, z.array(item).optional());
+const day = z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional();
+const dropEmpty = (v) => v && typeof v === 'object' && !Array.isArray(v)
+  ? Object.fromEntries(Object.entries(v).filter(([, x]) => x !== '' && x !== undefined && x !== null))
+  : v;
+
+const FilterFields = {
+  q: z.string().trim().min(1).max(100).optional(),
+  city: z.string().trim().min(1).max(80).optional(),
+  country: list(z.enum(['ES', 'PT'])),
+  status: list(z.string().max(30)),
+  niche: list(z.string().max(30)),
+  grade: list(z.enum(['A', 'B', 'C'])),
+  score_min: z.coerce.number().min(0).max(100).optional(),
+  score_max: z.coerce.number().min(0).max(100).optional(),
+  // consent_state alone applies to share_with_brands
+  consent_type: z.enum(CONSENT_TYPES).optional(),
+  consent_state: z.enum(CONSENT_STATES).optional(),
+  token_health: list(z.enum(TOKEN_HEALTH)),
+  created_from: day,
+  created_to: day,
+  scored_from: day,
+  scored_to: day
+};
+
+export const CreatorFilterSchema = z.preprocess(dropEmpty, z.object(FilterFields));
+
+export const CreatorQuerySchema = z.preprocess(dropEmpty, z.object({
+  ...FilterFields,
+  segment: z.string().max(40).optional(),
+  sort: z.enum(SORTS).default('created_at'),
+  order: z.enum(['asc', 'desc']).default('desc'),
+  limit: z.coerce.number().int().min(1).max(MAX_PAGE).default(50),
+  cursor: z.string().max(500).optional()
+}).superRefine((v, ctx) => {
+  if (v.cursor && !decodeCursor(v.cursor, v)) ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['cursor'], message: 'invalid cursor for this sort' });
+}));
+
+// Filter keys only (what a segment stores).
+export function pickFilters(query) {
+  return Object.fromEntries(Object.keys(FilterFields).filter(k => query[k] !== undefined).map(k => [k, query[k]]));
+}
+
+function encodeCursor({ sort, order }, value, id) {
+  return Buffer.from(JSON.stringify([sort, order, value, id])).toString('base64url');
+}
+
+function decodeCursor(cursor, { sort, order }) {
+  try {
+    const [s, o, value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (s !== sort || o !== order || typeof id !== 'string') return null;
+    return { value, id };
+  } catch {
+    return null;
+  }
+}
+
+const consentColumn = (type) => `(SELECT CASE WHEN r.granted = 1 AND r.revoked_at IS NULL AND r.text_version = @consent_version THEN 'valid'
+                                           WHEN r.granted = 1 AND r.revoked_at IS NULL THEN 'outdated'
+                                           WHEN r.revoked_at IS NOT NULL THEN 'revoked' ELSE 'declined' END
+                                    FROM consent_records r WHERE r.creator_id = c.id AND r.consent_type = '${type}'
+                                    ORDER BY r.granted_at DESC, r.rowid DESC LIMIT 1) AS consent_${type}`;
+
+// One row per creator with the latest score/niche, consent state per type and the health of the main account's token.
+const BASE = `SELECT c.*, s.score_total, s.grade, s.computed_at AS scored_at, n.primary_niche,
+    COALESCE((SELECT CASE WHEN a.status = 'active' AND a.token_expires_at IS NOT NULL AND a.token_expires_at < @now THEN 'expired'
+                          WHEN a.status = 'active' AND a.token_expires_at IS NOT NULL AND a.token_expires_at < @horizon THEN 'expiring'
+                          ELSE a.status END
+              FROM connected_accounts a WHERE a.creator_id = c.id
+              ORDER BY (a.status = 'active') DESC, a.connected_at DESC LIMIT 1), 'none') AS token_health,
+    ${CONSENT_TYPES.map(consentColumn).join(',\n    ')}
+  FROM creators c
+  LEFT JOIN creator_scores s ON s.id = (SELECT id FROM creator_scores WHERE creator_id = c.id ORDER BY computed_at DESC, rowid DESC LIMIT 1)
+  LEFT JOIN niche_classification n ON n.id = (SELECT id FROM niche_classification WHERE creator_id = c.id ORDER BY computed_at DESC, rowid DESC LIMIT 1)`;
+
+function buildWhere(f, params) {
+  const where = [];
+  const inList = (col, values, key) => {
+    where.push(`${col} IN (${values.map((v, i) => { params[`${key}${i}`] = v; return `@${key}${i}`; }).join(', ')})`);
+  };
+  if (f.q) {
+    // Both sides folded the same way (Unicode case + accents): "alvaro" and "ÁLVARO" find "Álvaro"
+    params.q = `%${foldText(f.q).replace(/[\\%_]/g, m => `\\${m}`)}%`;
+    where.push("(fold(x.full_name) LIKE @q ESCAPE '\\' OR fold(x.email) LIKE @q ESCAPE '\\')");
+  }
+  if (f.city) { params.city = foldText(f.city); where.push('fold(x.city) = @city'); }
+  if (f.country?.length) inList('x.country', f.country, 'country');
+  if (f.status?.length) inList('x.status', f.status, 'status');
+  if (f.niche?.length) inList('x.primary_niche', f.niche, 'niche');
+  if (f.grade?.length) inList('x.grade', f.grade, 'grade');
+  if (f.score_min !== undefined) { params.score_min = f.score_min; where.push('x.score_total >= @score_min'); }
+  if (f.score_max !== undefined) { params.score_max = f.score_max; where.push('x.score_total <= @score_max'); }
+  if (f.consent_state) {
+    const col = `x.consent_${f.consent_type || 'share_with_brands'}`;
+    if (f.consent_state === 'none') where.push(`${col} IS NULL`);
+    else { params.consent_state = f.consent_state; where.push(`${col} = @consent_state`); }
+  }
+  if (f.token_health?.length) inList('x.token_health', f.token_health, 'token');
+  // Date ranges are inclusive days
+  if (f.created_from) { params.created_from = f.created_from; where.push('substr(x.created_at, 1, 10) >= @created_from'); }
+  if (f.created_to) { params.created_to = f.created_to; where.push('substr(x.created_at, 1, 10) <= @created_to'); }
+  if (f.scored_from) { params.scored_from = f.scored_from; where.push('substr(x.scored_at, 1, 10) >= @scored_from'); }
+  if (f.scored_to) { params.scored_to = f.scored_to; where.push('substr(x.scored_at, 1, 10) <= @scored_to'); }
+  return where;
+}
+
+// { rows, next_cursor } for filters plus sort/order/limit/cursor, as parsed by CreatorQuerySchema.
+export function queryCreators(db, { sort = 'created_at', order = 'desc', limit = 50, cursor, ...filters } = {}) {
+  const now = new Date();
+  const params = {
+    now: now.toISOString(),
+    horizon: new Date(now.getTime() + TOKEN_EXPIRING_DAYS * 86400000).toISOString(),
+    consent_version: currentVersion(db)
+  };
+  const where = buildWhere(filters, params);
+  const expr = SORT_EXPR[sort];
+  const cmp = order === 'asc' ? '>' : '<';
+  const after = cursor ? decodeCursor(cursor, { sort, order }) : null;
+  if (after) {
+    params.after_value = after.value;
+    params.after_id = after.id;
+    where.push(`(${expr} ${cmp} @after_value OR (${expr} = @after_value AND x.id ${cmp} @after_id))`);
+  }
+  params.limit = limit + 1;
+  const dir = order === 'asc' ? 'ASC' : 'DESC';
+  const rows = db.prepare(`SELECT x.*, ${expr} AS sort_key FROM (${BASE}) x ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+                           ORDER BY ${expr} ${dir}, x.id ${dir} LIMIT @limit`).all(params);
+  const more = rows.length > limit;
+  const page = (more ? rows.slice(0, limit) : rows).map(({ sort_key, ...row }) => row);
+  const last = rows[page.length - 1];
+  return { rows: page, next_cursor: more ? encodeCursor({ sort, order }, last.sort_key, last.id) : null };
+}
+
+// Every matching row, walking the pages (exports, shortlists).
+export function queryAllCreators(db, filters, { max = Infinity } = {}) {
+  const rows = [];
+  let cursor;
+  do {
+    const page = queryCreators(db, { ...filters, limit: MAX_PAGE, cursor });
+    rows.push(...page.rows);
+    cursor = page.next_cursor;
+  } while (cursor && rows.length < max);
+  return rows.slice(0, max);
+}
+
+// --- Saved segments: a name plus the filter set, reusable in the list, exports and campaign invites
+
+function parseSegment(row) {
+  return row ? { ...row, filters: JSON.parse(row.filters) } : null;
+}
+
+export function listSegments(db) {
+  return db.prepare('SELECT * FROM creator_segments ORDER BY name').all().map(parseSegment);
+}
+
+export function getSegment(db, id) {
+  return parseSegment(db.prepare('SELECT * FROM creator_segments WHERE id=?').get(id));
+}
+
+export function createSegment(db, { name, filters, created_by }) {
+  const id = nanoid();
+  const ts = nowIso();
+  db.prepare('INSERT INTO creator_segments (id, name, filters, created_by, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)')
+    .run(id, name, JSON.stringify(filters), created_by, ts, ts);
+  return getSegment(db, id);
+}
+
+export function updateSegment(db, id, { name, filters }) {
+  const current = getSegment(db, id);
+  if (!current) return null;
+  db.prepare('UPDATE creator_segments SET name=?, filters=?, updated_at=? WHERE id=?')
+    .run(name ?? current.name, JSON.stringify(filters ?? current.filters), nowIso(), id);
+  return getSegment(db, id);
+}
+
+export function deleteSegment(db, id) {
+  return db.prepare('DELETE FROM creator_segments WHERE id=?').run(id).changes > 0;
+}
+
+// Segment filters with explicit query filters layered on top.
+export function resolveFilters(db, query) {
+  if (!query.segment) return pickFilters(query);
+  const segment = getSegment(db, query.segment);
+  if (!segment) return null;
+  return { ...segment.filters, ...pickFilters(query) };
+}
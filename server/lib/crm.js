@@ -0,0 +1,146 @@
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import { hasValidConsent } from './consent.js';
+
+// Sync adapter for a generic CRM REST API (HubSpot-style): contacts are upserted in batch keyed by our
+// creator id (`external_id`), so re-running a sync never duplicates. Enabled by CRM_API_URL (+ CRM_API_KEY);
+// scripts/mock-crm.js implements the same contract locally.
+//   POST   {base}/contacts/batch/upsert  { inputs:[{ idProperty:'external_id', id, properties }] } -> { results:[{ id, external_id }] }
+//   DELETE {base}/contacts/{remote_id}
+// Email/phone are only sent with a valid marketing_contact consent (and cleared when it goes away).
+
+const BATCH_SIZE = 100;
+const TIMEOUT_MS = Number(process.env.CRM_TIMEOUT_MS || 15000);
+
+function nowIso() { return new Date().toISOString(); }
+
+function crmBase() {
+  return (process.env.CRM_API_URL || '').replace(/\/$/, '');
+}
+
+export function crmConfigured() {
+  return !!crmBase();
+}
+
+async function crmRequest(method, pathname, body) {
+  if (!crmConfigured()) throw new Error('CRM_API_URL not configured');
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+  try {
+    const r = await fetch(`${crmBase()}${pathname}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(process.env.CRM_API_KEY ? { Authorization: `Bearer ${process.env.CRM_API_KEY}` } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: controller.signal
+    });
+    const text = await r.text();
+    let json = {};
+    try { json = text ? JSON.parse(text) : {}; } catch { /* non-JSON error pages */ }
+    if (!r.ok) {
+      const err = new Error(json?.message || `CRM responded ${r.status}`);
+      err.status = r.status;
+      throw err;
+    }
+    return json;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// CRM contact properties for a creator (latest score/niche), or null if the creator is gone.
+export function contactProperties(db, creator_id) {
+  const c = db.prepare('SELECT id, full_name, email, phone, country, city, declared_category, status, created_at FROM creators WHERE id=?').get(creator_id);
+  if (!c || c.status === 'deleted') return null;
+  const score = db.prepare('SELECT score_total, grade FROM creator_scores WHERE creator_id=? ORDER BY computed_at DESC, rowid DESC LIMIT 1').get(creator_id);
+  const niche = db.prepare('SELECT primary_niche FROM niche_classification WHERE creator_id=? ORDER BY computed_at DESC, rowid DESC LIMIT 1').get(creator_id);
+  const contact = hasValidConsent(db, creator_id, 'marketing_contact');
+  return {
+    external_id: c.id,
+    full_name: c.full_name,
+    email: contact ? c.email : null,
+    phone: contact ? c.phone : null,
+    country: c.country,
+    city: c.city,
+    declared_category: c.declared_category,
+    lifecycle_status: c.status,
+    score: score?.score_total ?? null,
+    grade: score?.grade ?? null,
+    niche: niche?.primary_niche ?? null,
+    share_with_brands: hasValidConsent(db, creator_id, 'share_with_brands'),
+    marketing_contact: contact,
+    signed_up_at: c.created_at
+  };
+}
+
+function hashProperties(props) {
+  return crypto.createHash('sha256').update(JSON.stringify(props)).digest('hex');
+}
+
+// Upserts the given creators; unchanged contacts (same property hash) are skipped.
+// Returns { synced, skipped, missing }. Throws on CRM/network errors so the job is retried.
+export async function syncCreators(db, creator_ids) {
+  const pending = [];
+  let skipped = 0;
+  let missing = 0;
+  for (const creator_id of creator_ids) {
+    const properties = contactProperties(db, creator_id);
+    if (!properties) { missing++; continue; }
+    const hash = hashProperties(properties);
+    const state = db.prepare('SELECT last_hash FROM crm_sync WHERE creator_id=?').get(creator_id);
+    if (state?.last_hash === hash) { skipped++; continue; }
+    pending.push({ creator_id, properties, hash });
+  }
+
+  const save = db.prepare(`INSERT INTO crm_sync (creator_id, remote_id, last_hash, last_synced_at, last_error, updated_at)
+                           VALUES (@creator_id, @remote_id, @last_hash, @ts, NULL, @ts)
+                           ON CONFLICT(creator_id) DO UPDATE SET remote_id=excluded.remote_id, last_hash=excluded.last_hash,
+                             last_synced_at=excluded.last_synced_at, last_error=NULL, updated_at=excluded.updated_at`);
+  const saveError = db.prepare(`INSERT INTO crm_sync (creator_id, last_error, updated_at) VALUES (@creator_id, @error, @ts)
+                                ON CONFLICT(creator_id) DO UPDATE SET last_error=excluded.last_error, updated_at=excluded.updated_at`);
+  let synced = 0;
+  for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+    const batch = pending.slice(i, i + BATCH_SIZE);
+    let result;
+    try {
+      result = await crmRequest('POST', '/contacts/batch/upsert', {
+        inputs: batch.map(p => ({ idProperty: 'external_id', id: p.creator_id, properties: p.properties }))
+      });
+    } catch (e) {
+      const ts = nowIso();
+      for (const p of batch) saveError.run({ creator_id: p.creator_id, error: String(e.message).slice(0, 500), ts });
+      throw e;
+    }
+    const remoteIds = new Map((result.results || []).map(r => [r.external_id ?? r.properties?.external_id, r.id]));
+    const ts = nowIso();
+    db.transaction(() => {
+      for (const p of batch) save.run({ creator_id: p.creator_id, remote_id: remoteIds.get(p.creator_id) ?? null, last_hash: p.hash, ts });
+    })();
+    synced += batch.length;
+  }
+  return { synced, skipped, missing };
+}
+
+// Remote contact id kept for erasure, which wipes crm_sync with the rest of the creator's data.
+export function remoteContactId(db, creator_id) {
+  return db.prepare('SELECT remote_id FROM crm_sync WHERE creator_id=?').get(creator_id)?.remote_id || null;
+}
+
+// A contact already gone at the CRM counts as deleted.
+export async function deleteRemoteContact(remote_id) {
+  try {
+    await crmRequest('DELETE', `/contacts/${encodeURIComponent(remote_id)}`);
+  } catch (e) {
+    if (e.status !== 404) throw e;
+  }
+  return true;
+}
+
+export function crmSyncStatus(db) {
+  const totals = db.prepare(`SELECT COUNT(*) AS tracked, SUM(last_synced_at IS NOT NULL) AS synced, SUM(last_error IS NOT NULL) AS with_errors,
+                                    MAX(last_synced_at) AS last_synced_at FROM crm_sync`).get();
+  const errors = db.prepare('SELECT creator_id, last_error, updated_at FROM crm_sync WHERE last_error IS NOT NULL ORDER BY updated_at DESC LIMIT 20').all();
+  return { configured: crmConfigured(), ...totals, errors };
+}
@@ -1,22 +1,93 @@
-import CryptoJS from 'crypto-js';
+import crypto from 'crypto';
 
-function key() {
-  const k = process.env.TOKEN_ENCRYPTION_KEY || '';
-  if (k.length < 32) {
-    throw new Error('TOKEN_ENCRYPTION_KEY must be at least 32 chars');
+// Tokens and secrets at rest: AES-256-GCM (node:crypto), one random 96-bit IV per value, stored as
+//   v1:<key id>:<iv>:<auth tag>:<ciphertext>   (base64url; "v1:<key id>" is also the AAD, so the id can't be swapped)
+// Keys come from TOKEN_ENCRYPTION_KEYS="<id>:<32 bytes as base64 or 64 hex chars>,..." and new values use
+// TOKEN_ENCRYPTION_KEY_ID (default: the first key). Old keys stay listed until scripts/rotate-keys.js has moved
+// every value to the current one.
+// The older TOKEN_ENCRYPTION_KEY (>= 32 chars) still works: its SHA-256 is key "default" (the current key when
+// TOKEN_ENCRYPTION_KEYS is unset), and it decrypts values written before GCM (crypto-js AES-CBC, "<iv hex>:<base64>").
+
+const VERSION = 'v1';
+const KEY_ID_RE = /^[A-Za-z0-9_-]{1,32}$/;
+export const LEGACY_KEY_ID = 'legacy-cbc';
+
+let cached = null;
+
+function parseKey(id, value) {
+  const raw = /^[0-9a-fA-F]{64}$/.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (raw.length !== 32) throw new Error(`TOKEN_ENCRYPTION_KEYS: key "${id}" must be 32 bytes (base64 or 64 hex chars)`);
+  return raw;
+}
+
+// { keys: Map<id, Buffer>, current, legacy: Buffer|null }, re-read when the environment changes
+function keyring() {
+  const list = process.env.TOKEN_ENCRYPTION_KEYS || '';
+  const legacyKey = process.env.TOKEN_ENCRYPTION_KEY || '';
+  const currentId = process.env.TOKEN_ENCRYPTION_KEY_ID || '';
+  const signature = `${list}|${legacyKey}|${currentId}`;
+  if (cached?.signature === signature) return cached;
+
+  const keys = new Map();
+  for (const entry of list.split(',').map(s => s.trim()).filter(Boolean)) {
+    const i = entry.indexOf(':');
+    const id = i > 0 ? entry.slice(0, i) : '';
+    if (!KEY_ID_RE.test(id)) throw new Error('TOKEN_ENCRYPTION_KEYS entries must look like <id>:<key> (id: letters, digits, _ or -)');
+    if (keys.has(id)) throw new Error(`TOKEN_ENCRYPTION_KEYS: duplicate key id "${id}"`);
+    keys.set(id, parseKey(id, entry.slice(i + 1)));
   }
-  return CryptoJS.enc.Utf8.parse(k.slice(0, 32));
+  if (legacyKey && legacyKey.length < 32) throw new Error('TOKEN_ENCRYPTION_KEY must be at least 32 chars');
+  if (legacyKey && !keys.has('default')) keys.set('default', crypto.createHash('sha256').update(legacyKey).digest());
+  if (!keys.size) throw new Error('TOKEN_ENCRYPTION_KEYS (or TOKEN_ENCRYPTION_KEY) is required');
+
+  const current = currentId || keys.keys().next().value;
+  if (!keys.has(current)) throw new Error(`TOKEN_ENCRYPTION_KEY_ID "${current}" is not in TOKEN_ENCRYPTION_KEYS`);
+  cached = { signature, keys, current, legacy: legacyKey ? Buffer.from(legacyKey.slice(0, 32), 'utf8') : null };
+  return cached;
+}
+
+// Throws at boot on a missing or malformed key configuration instead of at the first OAuth callback.
+export function assertEncryptionConfig() {
+  keyring();
+}
+
+export function currentKeyId() {
+  return keyring().current;
+}
+
+export function encryptToken(token, { keyId } = {}) {
+  const ring = keyring();
+  const id = keyId || ring.current;
+  const key = ring.keys.get(id);
+  if (!key) throw new Error(`unknown encryption key id: ${id}`);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(`${VERSION}:${id}`));
+  const ct = Buffer.concat([cipher.update(String(token), 'utf8'), cipher.final()]);
+  return [VERSION, id, iv.toString('base64url'), cipher.getAuthTag().toString('base64url'), ct.toString('base64url')].join(':');
+}
+
+// Key id a stored value was encrypted with (LEGACY_KEY_ID for crypto-js values).
+export function keyIdOf(enc) {
+  return enc.startsWith(`${VERSION}:`) ? enc.split(':')[1] : LEGACY_KEY_ID;
 }
 
-export function encryptToken(token) {
-  const iv = CryptoJS.lib.WordArray.random(16);
-  const encrypted = CryptoJS.AES.encrypt(token, key(), { iv });
-  return iv.toString(CryptoJS.enc.Hex) + ':' + encrypted.toString();
+function decryptLegacy(enc, key) {
+  if (!key) throw new Error('legacy ciphertext needs TOKEN_ENCRYPTION_KEY');
+  const [ivHex, cipherText] = enc.split(':');
+  const decipher = crypto.createDecipheriv('aes-256-cbc', key, Buffer.from(ivHex, 'hex'));
+  return Buffer.concat([decipher.update(Buffer.from(cipherText, 'base64')), decipher.final()]).toString('utf8');
 }
 
+// Throws if the key id is unknown or the value was tampered with (GCM auth tag).
 export function decryptToken(enc) {
-  const [ivHex, cipher] = enc.split(':');
-  const iv = CryptoJS.enc.Hex.parse(ivHex);
-  const decrypted = CryptoJS.AES.decrypt(cipher, key(), { iv });
-  return decrypted.toString(CryptoJS.enc.Utf8);
+  const ring = keyring();
+  if (!enc.startsWith(`${VERSION}:`)) return decryptLegacy(enc, ring.legacy);
+  const [, id, iv, tag, ct] = enc.split(':');
+  const key = ring.keys.get(id);
+  if (!key) throw new Error(`unknown encryption key id: ${id}`);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64url'));
+  decipher.setAAD(Buffer.from(`${VERSION}:${id}`));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  return Buffer.concat([decipher.update(Buffer.from(ct, 'base64url')), decipher.final()]).toString('utf8');
 }
@@ -0,0 +1,173 @@
+import { nanoid } from 'nanoid';
+import { z } from 'zod';
+import JSZip from 'jszip';
+import { CreatorFilterSchema, queryAllCreators, resolveFilters } from './creator-query.js';
+
+// Creator exports: saved templates (columns + format + segment/filters) rendered as RFC 4180 CSV, XLSX or NDJSON.
+// Contact columns are blanked for creators without a valid marketing_contact consent.
+
+export const EXPORT_FORMATS = ['csv', 'xlsx', 'ndjson'];
+
+// Column -> source row field; `contact` columns need marketing_contact.
+export const EXPORT_COLUMNS = {
+  id: {},
+  full_name: {},
+  email: { contact: true },
+  phone: { contact: true },
+  country: {},
+  city: {},
+  declared_category: {},
+  status: {},
+  primary_niche: {},
+  score_total: {},
+  grade: {},
+  scored_at: {},
+  token_health: {},
+  consent_share_with_brands: {},
+  consent_marketing_contact: {},
+  created_at: {},
+  updated_at: {}
+};
+export const DEFAULT_COLUMNS = ['id', 'full_name', 'email', 'phone', 'country', 'city', 'declared_category', 'status', 'score_total', 'grade'];
+const COLUMN_KEYS = Object.keys(EXPORT_COLUMNS);
+
+export const ExportTemplateSchema = z.object({
+  name: z.string().min(2).max(80),
+  columns: z.array(z.enum(COLUMN_KEYS)).min(1),
+  format: z.enum(EXPORT_FORMATS).default('csv'),
+  segment_id: z.string().max(40).nullable().optional(),
+  filters: CreatorFilterSchema.default({})
+});
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  ndjson: 'application/x-ndjson'
+};
+
+function nowIso() { return new Date().toISOString(); }
+
+// --- Templates
+
+function parseTemplate(row) {
+  return row ? { ...row, columns: JSON.parse(row.columns), filters: JSON.parse(row.filters) } : null;
+}
+
+export function listTemplates(db) {
+  return db.prepare('SELECT * FROM export_templates ORDER BY name').all().map(parseTemplate);
+}
+
+export function getTemplate(db, id) {
+  return parseTemplate(db.prepare('SELECT * FROM export_templates WHERE id=?').get(id));
+}
+
+export function createTemplate(db, data, { created_by }) {
+  const id = nanoid();
+  const ts = nowIso();
+  db.prepare(`INSERT INTO export_templates (id, name, columns, format, segment_id, filters, created_by, created_at, updated_at)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+    .run(id, data.name, JSON.stringify(data.columns), data.format, data.segment_id ?? null, JSON.stringify(data.filters || {}), created_by, ts, ts);
+  return getTemplate(db, id);
+}
+
+export function updateTemplate(db, id, patch) {
+  const current = getTemplate(db, id);
+  if (!current) return null;
+  const t = { ...current, ...patch };
+  db.prepare('UPDATE export_templates SET name=?, columns=?, format=?, segment_id=?, filters=?, updated_at=? WHERE id=?')
+    .run(t.name, JSON.stringify(t.columns), t.format, t.segment_id ?? null, JSON.stringify(t.filters || {}), nowIso(), id);
+  return getTemplate(db, id);
+}
+
+export function deleteTemplate(db, id) {
+  return db.prepare('DELETE FROM export_templates WHERE id=?').run(id).changes > 0;
+}
+
+// --- Rows
+
+// { rows, masked } with only the chosen columns; `masked` counts creators whose contact columns were blanked.
+export function exportRows(db, { columns, filters }) {
+  let masked = 0;
+  const rows = queryAllCreators(db, filters).map(c => {
+    const allowContact = c.consent_marketing_contact === 'valid';
+    if (!allowContact && columns.some(k => EXPORT_COLUMNS[k].contact)) masked++;
+    return Object.fromEntries(columns.map(k => [k, EXPORT_COLUMNS[k].contact && !allowContact ? null : c[k] ?? null]));
+  });
+  return { rows, masked };
+}
+
+// Filters of a template: its segment (if any) with the template's own filters on top. null = segment gone.
+export function templateFilters(db, template) {
+  return resolveFilters(db, { ...template.filters, segment: template.segment_id || undefined });
+}
+
+// --- Formats
+
+// Text starting with = + - @ (or tab/CR) would run as a formula when the file is opened in a spreadsheet, and names
+// and cities come from the public form: such strings get a leading apostrophe. Numbers are left alone.
+function neutralizeFormula(v) {
+  return typeof v === 'string' && /^[=+\-@\t\r]/.test(v) ? `'${v}` : v;
+}
+
+// RFC 4180: CRLF line breaks; fields with comma, quote or line breaks are quoted, quotes doubled.
+function csvField(v) {
+  if (v === null || v === undefined) return '';
+  const s = String(neutralizeFormula(v));
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCsv(rows, columns) {
+  return [columns, ...rows.map(r => columns.map(k => r[k]))].map(line => line.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+export function toNdjson(rows) {
+  return rows.map(r => JSON.stringify(r)).join('\n') + (rows.length ? '\n' : '');
+}
+
+function xmlEscape(v) {
+  return String(v)
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function columnLetter(i) {
+  let s = '';
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + (n - 1) % 26) + s;
+  return s;
+}
+
+function xlsxCell(v, ref) {
+  if (v === null || v === undefined || v === '') return '';
+  if (typeof v === 'number' && Number.isFinite(v)) return `<c r="${ref}"><v>${v}</v></c>`;
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(neutralizeFormula(v))}</t></is></c>`;
+}
+
+// Single-sheet workbook with inline strings (no shared-strings table needed).
+export async function toXlsx(rows, columns) {
+  const lines = [columns, ...rows.map(r => columns.map(k => r[k]))]
+    .map((line, i) => `<row r="${i + 1}">${line.map((v, j) => xlsxCell(v, `${columnLetter(j)}${i + 1}`)).join('')}</row>`);
+  const head = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml', `${head}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+    + '</Types>');
+  zip.file('_rels/.rels', `${head}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+    + '</Relationships>');
+  zip.file('xl/workbook.xml', `${head}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">`
+    + '<sheets><sheet name="Creators" sheetId="1" r:id="rId1"/></sheets></workbook>');
+  zip.file('xl/_rels/workbook.xml.rels', `${head}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+    + '</Relationships>');
+  zip.file('xl/worksheets/sheet1.xml', `${head}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${lines.join('')}</sheetData></worksheet>`);
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+// { body, contentType, extension }
+export async function renderExport(rows, columns, format) {
+  const body = format === 'xlsx' ? await toXlsx(rows, columns) : format === 'ndjson' ? toNdjson(rows) : toCsv(rows, columns);
+  return { body, contentType: CONTENT_TYPES[format], extension: format };
+}
@@ -0,0 +1,217 @@
+import { nanoid } from 'nanoid';
+import { readStoredMetrics } from './collector.js';
+
+// Authenticity analysis over the stored history (profile_snapshots + content_metrics_daily).
+// Each detector returns a named flag with severity and the evidence behind it; flags are kept per
+// creator/account and admins can confirm, dismiss or re-grade them. Dismissed flags don't count.
+
+export const FRAUD_MODEL_VERSION = 'fraud-v1';
+export const SEVERITIES = ['low', 'medium', 'high'];
+const SEVERITY_POINTS = { low: 10, medium: 20, high: 40 };
+const HISTORY_DAYS = 90;
+// A flag only counts while its account is still one of the creator's active accounts: after a disconnect, a lost token
+// or a move to another creator the data behind it is no longer in the score.
+const ACCOUNT_ACTIVE = `EXISTS (SELECT 1 FROM connected_accounts a WHERE a.id = f.account_id AND a.creator_id = f.creator_id AND a.status = 'active')`;
+
+function nowIso() { return new Date().toISOString(); }
+function round(v, d = 4) { return Number(v.toFixed(d)); }
+function rank(severity) { return SEVERITIES.indexOf(severity); }
+
+function median(values) {
+  if (!values.length) return 0;
+  const s = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+function mean(values) { return values.reduce((a, b) => a + b, 0) / (values.length || 1); }
+
+function stdev(values) {
+  const m = mean(values);
+  return Math.sqrt(mean(values.map(v => (v - m) ** 2)));
+}
+
+// Last snapshot per day, oldest first.
+function loadSnapshots(db, account_id) {
+  const byDay = new Map();
+  for (const s of db.prepare('SELECT snapshot_date, followers_count, follows_count FROM profile_snapshots WHERE account_id=? ORDER BY created_at').all(account_id)) {
+    if (s.followers_count !== null) byDay.set(s.snapshot_date, s);
+  }
+  return [...byDay.values()];
+}
+
+function loadDaily(db, account_id) {
+  const since = new Date(Date.now() - HISTORY_DAYS * 86400000).toISOString().slice(0, 10);
+  return db.prepare(`SELECT day, posts_count + reels_count AS posts, COALESCE(likes_total,0) AS likes, COALESCE(comments_total,0) AS comments
+                     FROM content_metrics_daily WHERE account_id=? AND day >= ? ORDER BY day`).all(account_id, since)
+    .filter(d => d.posts > 0);
+}
+
+// Follower growth between snapshots, normalized per day; the largest jump well above the median growth
+// of the account's other intervals (and above an absolute floor) is reported.
+export function detectFollowerSpike(snapshots) {
+  const steps = [];
+  for (let i = 1; i < snapshots.length; i++) {
+    const a = snapshots[i - 1];
+    const b = snapshots[i];
+    const days = Math.max(1, Math.round((Date.parse(b.snapshot_date) - Date.parse(a.snapshot_date)) / 86400000));
+    if (!a.followers_count) continue;
+    const gain = b.followers_count - a.followers_count;
+    steps.push({ from: a.snapshot_date, to: b.snapshot_date, before: a.followers_count, after: b.followers_count, gain, rate: gain / a.followers_count / days });
+  }
+  for (const s of steps) {
+    s.baseline = median(steps.filter(o => o !== s).map(o => Math.abs(o.rate)));
+  }
+  const spike = steps.filter(s => s.gain >= 500 && s.rate >= Math.max(0.03, s.baseline * 4)).sort((x, y) => y.rate - x.rate)[0];
+  if (!spike) return null;
+  return {
+    flag: 'follower_spike',
+    severity: spike.rate >= 0.15 ? 'high' : spike.rate >= 0.07 ? 'medium' : 'low',
+    evidence: {
+      from: spike.from, to: spike.to,
+      followers_before: spike.before, followers_after: spike.after, gain: spike.gain,
+      daily_growth_pct: round(spike.rate * 100, 2), baseline_daily_growth_pct: round(spike.baseline * 100, 2)
+    }
+  };
+}
+
+// Organic posts usually land between ~3 and ~150 likes per comment. Far outside that range points to
+// bought likes (few conversations) or comment pods/bots. Single days are checked with a MAD z-score.
+export function detectLikeCommentAnomaly(daily) {
+  if (daily.length < 5) return null;
+  const likes = daily.reduce((s, d) => s + d.likes, 0);
+  const comments = daily.reduce((s, d) => s + d.comments, 0);
+  if (likes < 100) return null;
+  const ratio = comments ? likes / comments : Infinity;
+
+  const perDay = daily.filter(d => d.comments > 0).map(d => ({ day: d.day, ratio: d.likes / d.comments }));
+  const med = median(perDay.map(d => d.ratio));
+  const mad = median(perDay.map(d => Math.abs(d.ratio - med))) || 1;
+  const outliers = perDay.filter(d => Math.abs(0.6745 * (d.ratio - med) / mad) > 3.5).map(d => ({ day: d.day, ratio: round(d.ratio, 1) }));
+
+  let severity = null;
+  if (ratio > 300 || ratio < 1.5) severity = 'high';
+  else if (ratio > 150 || ratio < 3) severity = 'medium';
+  else if (outliers.length >= 2) severity = 'low';
+  if (!severity) return null;
+  return {
+    flag: 'like_comment_ratio',
+    severity,
+    evidence: { likes, comments, likes_per_comment: Number.isFinite(ratio) ? round(ratio, 1) : null, median_daily_ratio: round(med, 1), outlier_days: outliers.slice(0, 10) }
+  };
+}
+
+// Coefficient of variation of engagement per post across posting days.
+export function detectEngagementVolatility(daily) {
+  if (daily.length < 6) return null;
+  const perPost = daily.map(d => (d.likes + d.comments) / d.posts);
+  const m = mean(perPost);
+  if (!m) return null;
+  const cv = stdev(perPost) / m;
+  if (cv <= 1) return null;
+  return {
+    flag: 'engagement_volatility',
+    severity: cv > 2 ? 'high' : cv > 1.5 ? 'medium' : 'low',
+    evidence: { coefficient_of_variation: round(cv, 2), mean_engagement_per_post: round(m, 1), max_engagement_per_post: round(Math.max(...perPost), 1), posting_days: daily.length }
+  };
+}
+
+// Follow-for-follow accounts follow about as many profiles as follow them (Instagram caps follows at 7,500).
+export function detectFollowForFollow({ followers, follows }) {
+  if (!followers || !follows) return null;
+  const ratio = follows / followers;
+  let severity = null;
+  if (follows >= 1000 && (ratio >= 1.2 || follows >= 7000)) severity = 'high';
+  else if (follows >= 1000 && ratio >= 0.8) severity = 'medium';
+  else if (follows >= 1500 && ratio >= 0.5) severity = 'low';
+  if (!severity) return null;
+  return { flag: 'follow_for_follow', severity, evidence: { follows, followers, follows_per_follower: round(ratio, 2) } };
+}
+
+// The original fixed rules, kept as low-severity flags.
+export function detectBaselineRules({ er, followers, contentCount30d }) {
+  const flags = [];
+  const evidence = { er: round(er), followers, content_30d: contentCount30d };
+  if (followers > 20000 && er < 0.008) flags.push({ flag: 'low_engagement_large_audience', severity: 'low', evidence });
+  if (followers > 50000 && contentCount30d < 4) flags.push({ flag: 'inactive_large_audience', severity: 'low', evidence });
+  if (er > 0.12 && contentCount30d < 6) flags.push({ flag: 'engagement_too_high', severity: 'low', evidence });
+  return flags;
+}
+
+export function detectFlags(db, account_id) {
+  const m = readStoredMetrics(db, account_id);
+  const er = m.followers && m.contentCount30d ? (m.likes + m.comments) / m.contentCount30d / m.followers : 0;
+  const daily = loadDaily(db, account_id);
+  return [
+    detectFollowerSpike(loadSnapshots(db, account_id)),
+    detectLikeCommentAnomaly(daily),
+    detectEngagementVolatility(daily),
+    detectFollowForFollow(m),
+    ...detectBaselineRules({ er, followers: m.followers, contentCount30d: m.contentCount30d })
+  ].filter(Boolean);
+}
+
+// Upserts the detected flags. Flags no longer detected become inactive; a review decision is kept
+// across runs unless a dismissed flag comes back with a higher severity, which reopens it.
+export function saveFlags(db, { creator_id, account_id, flags }) {
+  const ts = nowIso();
+  db.transaction(() => {
+    db.prepare('UPDATE fraud_flags SET active=0 WHERE creator_id=? AND account_id=?').run(creator_id, account_id);
+    for (const f of flags) {
+      const existing = db.prepare('SELECT * FROM fraud_flags WHERE creator_id=? AND account_id=? AND flag=?').get(creator_id, account_id, f.flag);
+      if (!existing) {
+        db.prepare(`INSERT INTO fraud_flags (id, creator_id, account_id, flag, severity, evidence, model_version, status, active, first_detected_at, detected_at)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, 'open', 1, ?, ?)`)
+          .run(nanoid(), creator_id, account_id, f.flag, f.severity, JSON.stringify(f.evidence), FRAUD_MODEL_VERSION, ts, ts);
+        continue;
+      }
+      const reopen = existing.status === 'dismissed' && rank(f.severity) > rank(existing.severity);
+      db.prepare(`UPDATE fraud_flags SET severity=?, evidence=?, model_version=?, active=1, detected_at=?, status=? WHERE id=?`)
+        .run(f.severity, JSON.stringify(f.evidence), FRAUD_MODEL_VERSION, ts, reopen ? 'open' : existing.status, existing.id);
+    }
+  })();
+}
+
+export function effectiveSeverity(flag) {
+  return flag.override_severity || flag.severity;
+}
+
+// Active, non-dismissed flags of a creator's active accounts with their effective severity.
+export function activeFlags(db, creator_id) {
+  return db.prepare(`SELECT f.* FROM fraud_flags f WHERE f.creator_id=? AND f.active=1 AND f.status != 'dismissed' AND ${ACCOUNT_ACTIVE}
+                     ORDER BY f.detected_at`).all(creator_id)
+    .map(f => ({ flag: f.flag, severity: effectiveSeverity(f), status: f.status }));
+}
+
+// 0-100, subtracted in the score through the profile's fraud weight.
+export function fraudPenalty(db, creator_id) {
+  const flags = activeFlags(db, creator_id);
+  return { penalty: Math.min(100, flags.reduce((s, f) => s + SEVERITY_POINTS[f.severity], 0)), flags };
+}
+
+export function analyzeFraud(db, { creator_id, account_id }) {
+  saveFlags(db, { creator_id, account_id, flags: detectFlags(db, account_id) });
+  return fraudPenalty(db, creator_id);
+}
+
+export function listFlags(db, { status, severity, creator_id, active = true } = {}) {
+  let q = `SELECT f.*, c.full_name, c.email FROM fraud_flags f LEFT JOIN creators c ON c.id = f.creator_id WHERE 1=1`;
+  const params = [];
+  if (active) q += ` AND f.active = 1 AND ${ACCOUNT_ACTIVE}`;
+  if (status) { q += ' AND f.status = ?'; params.push(status); }
+  if (severity) { q += ' AND COALESCE(f.override_severity, f.severity) = ?'; params.push(severity); }
+  if (creator_id) { q += ' AND f.creator_id = ?'; params.push(creator_id); }
+  q += ' ORDER BY f.detected_at DESC';
+  return db.prepare(q).all(...params).map(f => ({ ...f, evidence: JSON.parse(f.evidence), effective_severity: effectiveSeverity(f) }));
+}
+
+// decision: confirmed | dismissed | open; severity overrides the detected one (null clears the override).
+export function reviewFlag(db, id, { decision, severity, note = null, admin_id }) {
+  const flag = db.prepare('SELECT * FROM fraud_flags WHERE id=?').get(id);
+  if (!flag) return null;
+  const override = severity === undefined ? flag.override_severity : severity;
+  db.prepare('UPDATE fraud_flags SET status=?, override_severity=?, review_note=?, reviewed_by=?, reviewed_at=? WHERE id=?')
+    .run(decision, override, note, admin_id, nowIso(), id);
+  const row = db.prepare('SELECT * FROM fraud_flags WHERE id=?').get(id);
+  return { ...row, evidence: JSON.parse(row.evidence), effective_severity: effectiveSeverity(row) };
+}
@@ -0,0 +1,108 @@
+import { z } from 'zod';
+import { INTERVALS, bucketOf } from './history.js';
+
+// Conversion funnel lead -> connected -> qualified -> share_enabled, for the leads created in a period.
+// The furthest stage a creator reached comes from the audit_log (first OAUTH_CONNECTED / QUALIFIED / SHARE_ENABLED,
+// kept after disconnects and erasure) and from creators.status, whichever is further, so a creator who later
+// revoked still counts as converted. Stages are cumulative: reaching `qualified` implies `connected`.
+
+export const FUNNEL_STAGES = ['lead', 'connected', 'qualified', 'share_enabled'];
+const STAGE_ACTIONS = { OAUTH_CONNECTED: 'connected', QUALIFIED: 'qualified', SHARE_ENABLED: 'share_enabled' };
+const DAY_MS = 86400000;
+
+const isoDate = z.string().regex(/^\d{4}-\d{2}-\d{2}$/);
+export const FunnelQuerySchema = z.object({
+  from: isoDate.optional(),
+  to: isoDate.optional(),
+  interval: z.enum(INTERVALS).default('week'),
+  // 'direct' = leads without a partner
+  partner_id: z.string().max(64).optional(),
+  utm_source: z.string().max(200).optional(),
+  utm_campaign: z.string().max(200).optional()
+});
+
+function round(v, d = 4) { return Number(v.toFixed(d)); }
+
+function median(values) {
+  if (!values.length) return null;
+  const s = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+// Counts, conversion and drop-off per stage for a group of leads.
+function summarize(leads) {
+  let previous = leads.length;
+  return {
+    leads: leads.length,
+    stages: FUNNEL_STAGES.map((stage, i) => {
+      const reached = leads.filter(l => l.reached >= i);
+      const hours = reached.filter(l => l.at[stage]).map(l => (Date.parse(l.at[stage]) - Date.parse(l.created_at)) / 3600000);
+      const row = {
+        stage,
+        count: reached.length,
+        rate_from_previous: previous ? round(reached.length / previous) : null,
+        rate_from_lead: leads.length ? round(reached.length / leads.length) : null,
+        drop_off: previous - reached.length,
+        median_hours_from_lead: i && hours.length ? round(median(hours), 1) : null
+      };
+      previous = reached.length;
+      return row;
+    })
+  };
+}
+
+// { from, to, interval, stages, total, by_partner:[...], by_period:[...] }
+export function funnelReport(db, { from, to, interval = 'week', partner_id, utm_source, utm_campaign } = {}) {
+  to = to || new Date().toISOString().slice(0, 10);
+  from = from || new Date(Date.parse(`${to}T00:00:00Z`) - 89 * DAY_MS).toISOString().slice(0, 10);
+  const end = new Date(Date.parse(`${to}T00:00:00Z`) + DAY_MS).toISOString();
+
+  let q = `SELECT c.id, c.status, c.created_at, a.partner_id, p.name AS partner_name, a.utm_source, a.utm_campaign
+           FROM creators c LEFT JOIN lead_attribution a ON a.creator_id = c.id LEFT JOIN partners p ON p.id = a.partner_id
+           WHERE c.created_at >= ? AND c.created_at < ?`;
+  const params = [from, end];
+  if (partner_id === 'direct') q += ' AND a.partner_id IS NULL';
+  else if (partner_id) { q += ' AND a.partner_id = ?'; params.push(partner_id); }
+  if (utm_source) { q += ' AND a.utm_source = ?'; params.push(utm_source); }
+  if (utm_campaign) { q += ' AND a.utm_campaign = ?'; params.push(utm_campaign); }
+  const rows = db.prepare(q).all(...params);
+
+  // First time each creator reached each stage. OAUTH_CONNECTED targets the account, so the creator is the actor there.
+  const firsts = new Map();
+  const events = db.prepare(`SELECT CASE WHEN action='OAUTH_CONNECTED' THEN actor_id ELSE target_id END AS creator_id, action, MIN(created_at) AS at
+                             FROM audit_log WHERE action IN ('OAUTH_CONNECTED','QUALIFIED','SHARE_ENABLED') AND created_at >= ?
+                             GROUP BY 1, action`).all(from);
+  for (const e of events) {
+    if (!firsts.has(e.creator_id)) firsts.set(e.creator_id, {});
+    firsts.get(e.creator_id)[STAGE_ACTIONS[e.action]] = e.at;
+  }
+
+  const leads = rows.map(r => {
+    const at = firsts.get(r.id) || {};
+    const fromAudit = Math.max(0, ...Object.keys(at).map(s => FUNNEL_STAGES.indexOf(s)));
+    return { ...r, at, reached: Math.max(fromAudit, FUNNEL_STAGES.indexOf(r.status)) };
+  });
+
+  const group = (keyOf) => {
+    const groups = new Map();
+    for (const l of leads) {
+      const key = keyOf(l);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(l);
+    }
+    return groups;
+  };
+
+  const by_partner = [...group(l => l.partner_id || 'direct')].map(([key, list]) => ({
+    partner_id: key === 'direct' ? null : key,
+    partner_name: key === 'direct' ? null : list[0].partner_name,
+    ...summarize(list)
+  })).sort((a, b) => b.leads - a.leads);
+
+  const by_period = [...group(l => bucketOf(l.created_at.slice(0, 10), interval))]
+    .map(([bucket, list]) => ({ bucket, ...summarize(list) }))
+    .sort((a, b) => a.bucket.localeCompare(b.bucket));
+
+  return { from, to, interval, stages: FUNNEL_STAGES, total: summarize(leads), by_partner, by_period };
+}
@@ -0,0 +1,157 @@
+import { z } from 'zod';
+
+// Time series for a creator, built from what every qualification already stores: profile_snapshots
+// (followers), content_metrics_daily (posts/interactions) and creator_scores + score_explanations.
+// Buckets are UTC days, ISO weeks (keyed by their Monday) or months (keyed by the 1st). Followers and score
+// carry forward into buckets without a new snapshot/score, so charts stay continuous.
+// ER = (likes + comments) / contents / followers, per bucket and over a rolling window ending at each bucket.
+
+export const INTERVALS = ['day', 'week', 'month'];
+const MAX_CHANGES = 20;
+
+export const HistoryQuerySchema = z.object({
+  interval: z.enum(INTERVALS).default('day'),
+  days: z.coerce.number().int().min(7).max(730).default(90),
+  window: z.coerce.number().int().min(7).max(90).default(28)
+});
+
+const DAY_MS = 86400000;
+
+function isoDay(date) { return date.toISOString().slice(0, 10); }
+function addDays(day, n) { return isoDay(new Date(Date.parse(`${day}T00:00:00Z`) + n * DAY_MS)); }
+function round(v, d = 4) { return v === null || v === undefined ? null : Number(v.toFixed(d)); }
+
+export function bucketOf(day, interval) {
+  if (interval === 'month') return `${day.slice(0, 7)}-01`;
+  if (interval === 'week') {
+    const weekday = (new Date(`${day}T00:00:00Z`).getUTCDay() + 6) % 7;
+    return addDays(day, -weekday);
+  }
+  return day;
+}
+
+function er(interactions, contents, followers) {
+  return contents > 0 && followers > 0 ? round(interactions / contents / followers) : null;
+}
+
+// Per-component contribution deltas between two consecutive scores, biggest change first.
+function componentDeltas(prev, next) {
+  const before = Object.fromEntries((prev.components || []).map(c => [c.component, c.contribution]));
+  const after = Object.fromEntries((next.components || []).map(c => [c.component, c.contribution]));
+  return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .map(component => ({
+      component,
+      from: before[component] ?? null,
+      to: after[component] ?? null,
+      delta: round((after[component] ?? 0) - (before[component] ?? 0), 2),
+      explanation: (next.components || []).find(c => c.component === component)?.explanation || null
+    }))
+    .filter(c => c.delta !== 0)
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+}
+
+// { interval, from, to, window, series:[...], changes:[...], summary } or null if the creator does not exist.
+export function creatorHistory(db, creator_id, { interval = 'day', days = 90, window = 28 } = {}) {
+  if (!db.prepare('SELECT 1 FROM creators WHERE id=?').get(creator_id)) return null;
+  const to = isoDay(new Date());
+  const from = addDays(to, -(days - 1));
+  const accountIds = db.prepare('SELECT id FROM connected_accounts WHERE creator_id=?').all(creator_id).map(a => a.id);
+  const inAccounts = accountIds.map(() => '?').join(', ') || 'NULL';
+
+  const snapshots = db.prepare(`SELECT account_id, snapshot_date, followers_count, follows_count, media_count FROM profile_snapshots
+                                WHERE account_id IN (${inAccounts}) AND snapshot_date <= ? ORDER BY created_at`).all(...accountIds, to);
+  const daily = new Map(db.prepare(`SELECT day, SUM(posts_count) AS posts, SUM(reels_count) AS reels,
+                                           COALESCE(SUM(likes_total), 0) + COALESCE(SUM(comments_total), 0) AS interactions, SUM(reach_total) AS reach
+                                    FROM content_metrics_daily WHERE account_id IN (${inAccounts}) AND day >= ? AND day <= ?
+                                    GROUP BY day`).all(...accountIds, addDays(from, -window), to).map(d => [d.day, d]));
+  const scores = db.prepare(`SELECT s.id, s.score_total, s.grade, s.er_score, s.reach_score, s.consistency_score, s.niche_score, s.fraud_penalty,
+                                    s.scoring_version, s.computed_at, e.components
+                             FROM creator_scores s LEFT JOIN score_explanations e ON e.score_id = s.id
+                             WHERE s.creator_id=? ORDER BY s.computed_at, s.rowid`).all(creator_id)
+    .map(s => ({ ...s, components: s.components ? JSON.parse(s.components) : [] }));
+
+  // Followers at the end of `day`: latest snapshot of each account up to that day, summed.
+  const followersAt = (day) => {
+    const last = new Map();
+    for (const s of snapshots) if (s.snapshot_date <= day) last.set(s.account_id, s);
+    if (!last.size) return null;
+    return [...last.values()].reduce((acc, s) => ({
+      followers: acc.followers + (s.followers_count || 0),
+      follows: acc.follows + (s.follows_count || 0),
+      media_count: acc.media_count + (s.media_count || 0)
+    }), { followers: 0, follows: 0, media_count: 0 });
+  };
+  const sumDays = (start, end) => {
+    const t = { contents: 0, interactions: 0, reach: 0 };
+    for (let d = start; d <= end; d = addDays(d, 1)) {
+      const row = daily.get(d);
+      if (row) { t.contents += (row.posts || 0) + (row.reels || 0); t.interactions += row.interactions || 0; t.reach += row.reach || 0; }
+    }
+    return t;
+  };
+
+  const buckets = [];
+  for (let d = from; d <= to; d = addDays(d, 1)) {
+    const key = bucketOf(d, interval);
+    if (buckets[buckets.length - 1]?.bucket !== key) buckets.push({ bucket: key, start: d, end: d });
+    else buckets[buckets.length - 1].end = d;
+  }
+
+  let scoreIdx = -1;
+  const series = buckets.map(({ bucket, start, end }) => {
+    const f = followersAt(end);
+    const period = sumDays(start, end);
+    const rolling = sumDays(addDays(end, -(window - 1)), end);
+    while (scoreIdx + 1 < scores.length && scores[scoreIdx + 1].computed_at.slice(0, 10) <= end) scoreIdx++;
+    const s = scores[scoreIdx];
+    const spanDays = (Date.parse(end) - Date.parse(start)) / DAY_MS + 1;
+    return {
+      bucket,
+      followers: f?.followers ?? null,
+      follows: f?.follows ?? null,
+      media_count: f?.media_count ?? null,
+      contents: period.contents,
+      contents_per_week: round(period.contents / spanDays * 7, 2),
+      interactions: period.interactions,
+      reach: period.reach,
+      er: er(period.interactions, period.contents, f?.followers),
+      er_rolling: er(rolling.interactions, rolling.contents, f?.followers),
+      score: s ? {
+        score_total: s.score_total, grade: s.grade, er_score: s.er_score, reach_score: s.reach_score, consistency_score: s.consistency_score,
+        niche_score: s.niche_score, fraud_penalty: s.fraud_penalty, scoring_version: s.scoring_version
+      } : null
+    };
+  });
+
+  // Score changes inside the range, newest first, with what moved each one
+  const changes = [];
+  for (let i = scores.length - 1; i > 0 && changes.length < MAX_CHANGES; i--) {
+    const prev = scores[i - 1];
+    const next = scores[i];
+    if (next.computed_at.slice(0, 10) < from) break;
+    if (prev.score_total === next.score_total && prev.grade === next.grade) continue;
+    changes.push({
+      at: next.computed_at,
+      score_id: next.id,
+      score: { from: prev.score_total, to: next.score_total, delta: next.score_total - prev.score_total },
+      grade: { from: prev.grade, to: next.grade, changed: prev.grade !== next.grade },
+      scoring_version: prev.scoring_version === next.scoring_version ? next.scoring_version : { from: prev.scoring_version, to: next.scoring_version },
+      components: componentDeltas(prev, next)
+    });
+  }
+
+  const delta = (key) => {
+    const values = series.map(p => key(p)).filter(v => v !== null && v !== undefined);
+    if (!values.length) return null;
+    const [first, last] = [values[0], values[values.length - 1]];
+    return { from: first, to: last, change: round(last - first, 4), pct: first ? round((last - first) / first, 4) : null };
+  };
+  const summary = {
+    followers: delta(p => p.followers),
+    er_rolling: delta(p => p.er_rolling),
+    score: delta(p => p.score?.score_total),
+    contents_per_week: round(sumDays(from, to).contents / days * 7, 2)
+  };
+
+  return { interval, from, to, window, series, changes, summary };
+}
@@ -0,0 +1,114 @@
+import { nanoid } from 'nanoid';
+
+// SQLite-backed job queue.
+// Status flow: pending -> running -> done | pending (retry with backoff) | dead; pending/dead -> cancelled.
+
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+
+function nowIso() { return new Date().toISOString(); }
+
+export function backoffMs(attempts) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1), BACKOFF_MAX_MS);
+}
+
+export function enqueueJob(db, { type, payload = {}, creator_id = null, run_at = null, max_attempts = null }) {
+  const id = nanoid();
+  const ts = nowIso();
+  const max = max_attempts ?? Number(process.env.JOB_MAX_ATTEMPTS || 5);
+  db.prepare(`INSERT INTO jobs (id, type, payload, creator_id, status, attempts, max_attempts, run_at, created_at, updated_at)
+              VALUES (?, ?, ?, ?, 'pending', 0, ?, ?, ?, ?)`)
+    .run(id, type, JSON.stringify(payload), creator_id, max, run_at || ts, ts, ts);
+  return id;
+}
+
+export function hasOpenJob(db, { type, creator_id }) {
+  return !!db.prepare(`SELECT 1 FROM jobs WHERE type=? AND creator_id=? AND status IN ('pending','running') LIMIT 1`).get(type, creator_id);
+}
+
+export function claimNextJob(db) {
+  return db.transaction(() => {
+    const ts = nowIso();
+    const job = db.prepare(`SELECT * FROM jobs WHERE status='pending' AND run_at <= ? ORDER BY run_at LIMIT 1`).get(ts);
+    if (!job) return null;
+    db.prepare(`UPDATE jobs SET status='running', attempts=attempts+1, locked_at=?, updated_at=? WHERE id=?`).run(ts, ts, job.id);
+    return { ...job, status: 'running', attempts: job.attempts + 1, payload: JSON.parse(job.payload) };
+  })();
+}
+
+export function completeJob(db, id) {
+  const ts = nowIso();
+  db.prepare(`UPDATE jobs SET status='done', locked_at=NULL, finished_at=?, updated_at=? WHERE id=?`).run(ts, ts, id);
+}
+
+// Reschedules with exponential backoff, or moves the job to the dead-letter state once attempts are exhausted.
+export function failJob(db, job, err) {
+  const ts = nowIso();
+  const message = String(err?.message || err).slice(0, 1000);
+  if (job.attempts >= job.max_attempts) {
+    db.prepare(`UPDATE jobs SET status='dead', last_error=?, locked_at=NULL, finished_at=?, updated_at=? WHERE id=?`).run(message, ts, ts, job.id);
+    return 'dead';
+  }
+  const runAt = new Date(Date.now() + backoffMs(job.attempts)).toISOString();
+  db.prepare(`UPDATE jobs SET status='pending', last_error=?, locked_at=NULL, run_at=?, updated_at=? WHERE id=?`).run(message, runAt, ts, job.id);
+  return 'pending';
+}
+
+export function retryJob(db, id) {
+  const ts = nowIso();
+  const r = db.prepare(`UPDATE jobs SET status='pending', attempts=0, run_at=?, finished_at=NULL, updated_at=? WHERE id=? AND status IN ('dead','cancelled','pending')`)
+    .run(ts, ts, id);
+  return r.changes > 0;
+}
+
+export function cancelJob(db, id) {
+  const ts = nowIso();
+  const r = db.prepare(`UPDATE jobs SET status='cancelled', finished_at=?, updated_at=? WHERE id=? AND status IN ('pending','dead')`).run(ts, ts, id);
+  return r.changes > 0;
+}
+
+export function listJobs(db, { status, type, creator_id, limit = 200 } = {}) {
+  let q = 'SELECT * FROM jobs WHERE 1=1';
+  const params = [];
+  if (status) { q += ' AND status = ?'; params.push(status); }
+  if (type) { q += ' AND type = ?'; params.push(type); }
+  if (creator_id) { q += ' AND creator_id = ?'; params.push(creator_id); }
+  q += ' ORDER BY created_at DESC LIMIT ?';
+  params.push(limit);
+  return db.prepare(q).all(...params).map(j => ({ ...j, payload: JSON.parse(j.payload) }));
+}
+
+// Jobs left 'running' by a crashed process go back to the queue.
+export function requeueStale(db, { olderThanMs = 15 * 60 * 1000 } = {}) {
+  const cutoff = new Date(Date.now() - olderThanMs).toISOString();
+  const ts = nowIso();
+  return db.prepare(`UPDATE jobs SET status='pending', locked_at=NULL, updated_at=? WHERE status='running' AND locked_at < ?`).run(ts, cutoff).changes;
+}
+
+// Polls the queue and runs one job at a time with the handler registered for its type.
+export function startWorker(db, handlers, { pollMs = 2000, onDead } = {}) {
+  let busy = false;
+  requeueStale(db, { olderThanMs: 0 });
+  const tick = async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      let job;
+      while ((job = claimNextJob(db))) {
+        const handler = handlers[job.type];
+        try {
+          if (!handler) throw new Error(`no handler for job type ${job.type}`);
+          await handler(job.payload, job);
+          completeJob(db, job.id);
+        } catch (e) {
+          console.error(`job ${job.id} (${job.type}) failed:`, e.message);
+          if (failJob(db, job, e) === 'dead' && onDead) onDead(job, e);
+        }
+      }
+    } finally {
+      busy = false;
+    }
+  };
+  const timer = setInterval(tick, pollMs);
+  return { tick, stop: () => clearInterval(timer) };
+}
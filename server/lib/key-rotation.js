@@ -0,0 +1,54 @@
+import { encryptToken, decryptToken, keyIdOf, currentKeyId } from './crypto.js';
+
+// Re-encryption of every encrypted column with the current key (TOKEN_ENCRYPTION_KEY_ID), used by
+// scripts/rotate-keys.js after a new key is added. Values already on the current key are left alone, so a run
+// that stops halfway can simply be repeated; only then can the old key be removed from TOKEN_ENCRYPTION_KEYS.
+
+export const ENCRYPTED_COLUMNS = [
+  { table: 'connected_accounts', key: 'id', column: 'access_token_enc' },
+  { table: 'account_credentials', key: 'account_id', column: 'refresh_token_enc' },
+  { table: 'webhook_endpoints', key: 'id', column: 'secret_enc' }
+];
+
+const BATCH_SIZE = 200;
+
+// [{ table, column, total, by_key: { <key id>: n } }]
+export function encryptionStatus(db) {
+  return ENCRYPTED_COLUMNS.map(({ table, column }) => {
+    const by_key = {};
+    let total = 0;
+    for (const { value } of db.prepare(`SELECT ${column} AS value FROM ${table} WHERE ${column} IS NOT NULL`).iterate()) {
+      const id = keyIdOf(value);
+      by_key[id] = (by_key[id] || 0) + 1;
+      total++;
+    }
+    return { table, column, total, by_key };
+  });
+}
+
+// Decrypts with the old key and writes back with the current one, in batches (one transaction each).
+// { key_id, columns: [{ table, column, rotated, failed: [row keys] }] }; dryRun only checks that every value decrypts.
+export function reencryptAll(db, { dryRun = false } = {}) {
+  const keyId = currentKeyId();
+  const columns = ENCRYPTED_COLUMNS.map(({ table, key, column }) => {
+    const rows = db.prepare(`SELECT ${key} AS row_key, ${column} AS value FROM ${table} WHERE ${column} IS NOT NULL`).all()
+      .filter(r => keyIdOf(r.value) !== keyId);
+    const update = db.prepare(`UPDATE ${table} SET ${column}=? WHERE ${key}=? AND ${column}=?`);
+    const result = { table, column, rotated: 0, failed: [] };
+    for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+      const batch = [];
+      for (const r of rows.slice(i, i + BATCH_SIZE)) {
+        try {
+          batch.push([encryptToken(decryptToken(r.value)), r.row_key, r.value]);
+        } catch {
+          result.failed.push(r.row_key);
+        }
+      }
+      if (dryRun) { result.rotated += batch.length; continue; }
+      // The WHERE on the old value skips rows the server rewrote in the meantime (a refresh already uses the new key)
+      db.transaction(() => { for (const b of batch) result.rotated += update.run(...b).changes; })();
+    }
+    return result;
+  });
+  return { key_id: keyId, columns };
+}
@@ -0,0 +1,48 @@
+import nodemailer from 'nodemailer';
+
+// Pluggable mail transport. Anything with nodemailer's sendMail(message) shape works.
+// MAIL_TRANSPORT=smtp uses SMTP_* (point it at a local sink like MailHog on :1025 for tests);
+// MAIL_TRANSPORT=log only prints the message (login links included). It is the default outside production only:
+// with NODE_ENV=production the transport must be set explicitly, or the server refuses to boot.
+
+const TRANSPORTS = ['smtp', 'log'];
+
+let transport = null;
+
+function transportName() {
+  const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? '' : 'log');
+  if (!name) throw new Error('MAIL_TRANSPORT is required in production (smtp, or log to only print messages)');
+  if (!TRANSPORTS.includes(name)) throw new Error(`MAIL_TRANSPORT must be one of: ${TRANSPORTS.join(', ')}`);
+  return name;
+}
+
+// Throws at boot on a missing or unknown transport instead of at the first login e-mail.
+export function assertMailConfig() {
+  transportName();
+}
+
+function defaultTransport() {
+  if (transportName() === 'smtp') {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: Number(process.env.SMTP_PORT || 587),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+  return {
+    async sendMail(message) {
+      console.log(`[mail] to=${message.to} subject=${message.subject}\n${message.text}`);
+      return { messageId: 'log' };
+    }
+  };
+}
+
+export function setMailTransport(t) {
+  transport = t;
+}
+
+export async function sendMail({ to, subject, text, html }) {
+  if (!transport) transport = defaultTransport();
+  return transport.sendMail({ from: process.env.MAIL_FROM || 'no-reply@localhost', to, subject, text, html });
+}
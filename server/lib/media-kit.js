@@ -0,0 +1,226 @@
+import { nanoid } from 'nanoid';
+import { z } from 'zod';
+import { hasValidConsent } from './consent.js';
+import { readStoredMetrics, combineMetrics } from './collector.js';
+import { getProvider } from './providers.js';
+import { createPdf, wrapText } from './pdf.js';
+
+// Public media kit: one per creator, built from the latest snapshot of each linked account (per platform and summed), score, niche, 30-day content metrics
+// and brand targets. The creator picks the fields; only those ever leave the server. The public slug is
+// dropped on unpublish (old links die at once) and can be rotated while published.
+// Public reads re-check the share_with_brands consent on every request.
+
+export const MEDIA_KIT_FIELDS = ['name', 'handle', 'location', 'bio', 'followers', 'engagement', 'reach', 'content', 'niche', 'score', 'brand_categories', 'email'];
+const DEFAULT_FIELDS = ['name', 'handle', 'location', 'followers', 'engagement', 'content', 'niche', 'brand_categories'];
+
+export const MediaKitFieldsSchema = z.object({
+  fields: z.array(z.enum(MEDIA_KIT_FIELDS)).min(1)
+});
+
+function nowIso() { return new Date().toISOString(); }
+function round(v, d = 4) { return Number(v.toFixed(d)); }
+
+function parseSettings(row) {
+  return row ? { ...row, fields: JSON.parse(row.fields) } : null;
+}
+
+export function getMediaKitSettings(db, creator_id) {
+  return parseSettings(db.prepare('SELECT * FROM media_kits WHERE creator_id=?').get(creator_id))
+    || { creator_id, slug: null, fields: DEFAULT_FIELDS, status: 'draft', published_at: null, unpublished_at: null };
+}
+
+function upsertSettings(db, creator_id, changes) {
+  const current = getMediaKitSettings(db, creator_id);
+  const s = { ...current, ...changes };
+  const ts = nowIso();
+  db.prepare(`INSERT INTO media_kits (creator_id, slug, fields, status, published_at, unpublished_at, created_at, updated_at)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+              ON CONFLICT(creator_id) DO UPDATE SET slug=excluded.slug, fields=excluded.fields, status=excluded.status,
+                published_at=excluded.published_at, unpublished_at=excluded.unpublished_at, updated_at=excluded.updated_at`)
+    .run(creator_id, s.slug, JSON.stringify(s.fields), s.status, s.published_at, s.unpublished_at, ts, ts);
+  return getMediaKitSettings(db, creator_id);
+}
+
+export function setMediaKitFields(db, creator_id, fields) {
+  return upsertSettings(db, creator_id, { fields: MEDIA_KIT_FIELDS.filter(f => fields.includes(f)) });
+}
+
+// { ok, settings } or { ok:false, reason }. Keeps the slug if already published.
+export function publishMediaKit(db, creator_id) {
+  if (!hasValidConsent(db, creator_id, 'share_with_brands')) return { ok: false, reason: 'share_with_brands consent required' };
+  const current = getMediaKitSettings(db, creator_id);
+  const slug = current.status === 'published' && current.slug ? current.slug : nanoid(16);
+  return { ok: true, settings: upsertSettings(db, creator_id, { slug, status: 'published', published_at: nowIso(), unpublished_at: null }) };
+}
+
+// Returns false if there was nothing published.
+export function unpublishMediaKit(db, creator_id) {
+  const current = getMediaKitSettings(db, creator_id);
+  if (current.status !== 'published') return false;
+  upsertSettings(db, creator_id, { slug: null, status: 'unpublished', unpublished_at: nowIso() });
+  return true;
+}
+
+export function rotateMediaKitSlug(db, creator_id) {
+  const current = getMediaKitSettings(db, creator_id);
+  if (current.status !== 'published') return null;
+  return upsertSettings(db, creator_id, { slug: nanoid(16) });
+}
+
+// Sum of the per-account figures, plus the content-weighted ER combineMetrics gives the score.
+function sumMetrics(list) {
+  const sum = (k) => list.reduce((s, m) => s + (m[k] || 0), 0);
+  const combined = combineMetrics(list);
+  return {
+    followers: sum('followers'), media_count: sum('media_count'), contentCount30d: sum('contentCount30d'),
+    posts: sum('posts'), reels: sum('reels'), likes: sum('likes'), comments: sum('comments'), saves: sum('saves'), shares: sum('shares'),
+    reach: sum('reach'), impressions: sum('impressions'), er: combined.er, bio: combined.bio
+  };
+}
+
+// Kit content for the given fields; fields not listed are never read into the result.
+export function buildMediaKit(db, creator_id, fields) {
+  const creator = db.prepare('SELECT id, full_name, email, country, city FROM creators WHERE id=?').get(creator_id);
+  if (!creator) return null;
+  const has = (f) => fields.includes(f);
+  // Every linked account counts (same combination as the score): totals are summed, ER is weighted by contents
+  const accounts = db.prepare(`SELECT id, platform, username FROM connected_accounts WHERE creator_id=? AND status != 'revoked'
+                               ORDER BY connected_at`).all(creator_id)
+    .map(a => ({ ...a, metrics: readStoredMetrics(db, a.id) }));
+  const metrics = accounts.length ? sumMetrics(accounts.map(a => a.metrics)) : null;
+  const kit = { fields, generated_at: nowIso() };
+
+  if (has('name')) kit.name = creator.full_name;
+  const handles = accounts.filter(a => a.username).map(a => `@${a.username}`);
+  if (has('handle') && handles.length) kit.handle = [...new Set(handles)].join(' · ');
+  if ((has('handle') || has('followers')) && accounts.length) {
+    kit.platforms = accounts.map(a => ({
+      platform: a.platform,
+      label: getProvider(a.platform)?.label || a.platform,
+      ...(has('handle') && a.username ? { handle: `@${a.username}` } : {}),
+      ...(has('followers') ? { followers: a.metrics.followers } : {})
+    }));
+  }
+  if (has('location')) kit.location = { city: creator.city, country: creator.country };
+  if (has('email')) kit.email = creator.email;
+  if (metrics) {
+    const posts = metrics.contentCount30d;
+    if (has('bio') && metrics.bio) kit.bio = metrics.bio;
+    if (has('followers')) kit.followers = { followers: metrics.followers, media_count: metrics.media_count };
+    if (has('engagement')) {
+      kit.engagement = {
+        er: metrics.followers && posts ? round(metrics.er) : null,
+        avg_likes: posts ? Math.round(metrics.likes / posts) : null,
+        avg_comments: posts ? Math.round(metrics.comments / posts) : null
+      };
+    }
+    if (has('reach') && metrics.reach) {
+      kit.reach = { reach_30d: metrics.reach, impressions_30d: metrics.impressions, avg_reach_per_post: posts ? Math.round(metrics.reach / posts) : null };
+    }
+    if (has('content')) {
+      kit.content = { posts_30d: metrics.posts, reels_30d: metrics.reels, likes_30d: metrics.likes, comments_30d: metrics.comments, saves_30d: metrics.saves, shares_30d: metrics.shares };
+    }
+  }
+  if (has('niche')) {
+    const n = db.prepare('SELECT primary_niche, secondary_niches FROM niche_classification WHERE creator_id=? ORDER BY computed_at DESC, rowid DESC LIMIT 1').get(creator_id);
+    if (n) kit.niche = { primary: n.primary_niche, secondary: JSON.parse(n.secondary_niches || '[]') };
+  }
+  if (has('score')) {
+    const s = db.prepare('SELECT score_total, grade, computed_at FROM creator_scores WHERE creator_id=? ORDER BY computed_at DESC, rowid DESC LIMIT 1').get(creator_id);
+    if (s) kit.score = s;
+  }
+  if (has('brand_categories')) {
+    // Categories only (brand type + segment); the matched brand names stay internal.
+    kit.brand_categories = db.prepare('SELECT target_type, segment, suggested_brands FROM brand_targets WHERE creator_id=? ORDER BY target_type').all(creator_id)
+      .filter(t => JSON.parse(t.suggested_brands).length)
+      .map(t => ({ type: t.target_type, segment: t.segment }));
+  }
+  return kit;
+}
+
+// Published kit behind a public slug, or null (unknown/revoked slug, unpublished, or consent withdrawn).
+export function publicMediaKit(db, slug) {
+  const row = db.prepare("SELECT m.*, c.status AS creator_status FROM media_kits m JOIN creators c ON c.id = m.creator_id WHERE m.slug=? AND m.status='published'").get(slug);
+  if (!row || ['deleted', 'revoked'].includes(row.creator_status)) return null;
+  if (!hasValidConsent(db, row.creator_id, 'share_with_brands')) return null;
+  const settings = parseSettings(row);
+  return { published_at: row.published_at, ...buildMediaKit(db, row.creator_id, settings.fields) };
+}
+
+const NICHE_LABELS = { food: 'Gastronomia', beauty: 'Beleza', fitness: 'Fitness', tech: 'Tecnologia', family: 'Família', travel: 'Viagem', fashion: 'Moda', general: 'Geral' };
+const TYPE_LABELS = { local: 'Marcas locais', ecommerce: 'E-commerce' };
+const COUNTRY_LABELS = { ES: 'Espanha', PT: 'Portugal' };
+
+// Thousands with "." (toLocaleString may use a narrow no-break space, which WinAnsi can't encode)
+function fmt(n) { return n === null || n === undefined ? '—' : String(Math.round(n)).replace(/\B(?=(\d{3})+(?!\d))/g, '.'); }
+function pct(v) { return v === null || v === undefined ? '—' : `${(v * 100).toFixed(1)}%`; }
+function nicheLabel(n) { return NICHE_LABELS[n] || n; }
+function platformLine(p) { return [p.handle, p.followers !== undefined && `${fmt(p.followers)} seguidores`].filter(Boolean).join(' · ') || '—'; }
+
+// Titled sections of label/value rows (or free text) for the PDF.
+export function mediaKitSections(kit) {
+  const sections = [];
+  if (kit.bio) sections.push({ title: 'Bio', text: kit.bio });
+  if (kit.platforms?.length) {
+    sections.push({ title: 'Plataformas', rows: kit.platforms.map(p => [p.label, platformLine(p)]) });
+  }
+  const audience = [];
+  if (kit.followers) audience.push([kit.platforms?.length > 1 ? 'Seguidores (total)' : 'Seguidores', fmt(kit.followers.followers)], ['Publicações', fmt(kit.followers.media_count)]);
+  if (kit.engagement) audience.push(['Taxa de engajamento', pct(kit.engagement.er)], ['Média de curtidas', fmt(kit.engagement.avg_likes)], ['Média de comentários', fmt(kit.engagement.avg_comments)]);
+  if (kit.reach) audience.push(['Alcance (30 dias)', fmt(kit.reach.reach_30d)], ['Impressões (30 dias)', fmt(kit.reach.impressions_30d)], ['Alcance médio por post', fmt(kit.reach.avg_reach_per_post)]);
+  if (audience.length) sections.push({ title: 'Audiência', rows: audience });
+  if (kit.content) {
+    sections.push({ title: 'Conteúdo (últimos 30 dias)', rows: [
+      ['Posts', fmt(kit.content.posts_30d)], ['Reels', fmt(kit.content.reels_30d)], ['Curtidas', fmt(kit.content.likes_30d)],
+      ['Comentários', fmt(kit.content.comments_30d)], ['Salvamentos', fmt(kit.content.saves_30d)], ['Compartilhamentos', fmt(kit.content.shares_30d)]
+    ] });
+  }
+  const profile = [];
+  if (kit.niche) profile.push(['Nicho', [kit.niche.primary, ...kit.niche.secondary].map(nicheLabel).join(', ')]);
+  if (kit.score) profile.push(['Score', `${kit.score.score_total} (${kit.score.grade})`]);
+  if (kit.brand_categories?.length) profile.push(['Categorias de marcas', kit.brand_categories.map(b => `${TYPE_LABELS[b.type] || b.type}: ${nicheLabel(b.segment)}`).join(' · ')]);
+  if (profile.length) sections.push({ title: 'Perfil', rows: profile });
+  if (kit.email) sections.push({ title: 'Contato', rows: [['E-mail', kit.email]] });
+  return sections;
+}
+
+export function renderMediaKitPdf(kit) {
+  const margin = 50;
+  const width = 595.28 - margin * 2;
+  const bottom = 841.89 - margin;
+  const pdf = createPdf({ title: `Media Kit${kit.name ? ` - ${kit.name}` : ''}` }).addPage();
+  let y = margin;
+  const ensure = (h) => { if (y + h > bottom) { pdf.addPage(); y = margin; } };
+
+  pdf.rect(0, 0, pdf.width, 110, { color: '#18181b' });
+  pdf.text(margin, 55, kit.name || 'Media Kit', { size: 24, bold: true, color: '#ffffff' });
+  const subtitle = [kit.handle, kit.location && [kit.location.city, COUNTRY_LABELS[kit.location.country] || kit.location.country].filter(Boolean).join(', ')].filter(Boolean).join(' · ');
+  if (subtitle) pdf.text(margin, 80, subtitle, { size: 12, color: '#d4d4d8' });
+  y = 145;
+
+  for (const section of mediaKitSections(kit)) {
+    ensure(40);
+    pdf.text(margin, y, section.title, { size: 14, bold: true });
+    pdf.rect(margin, y + 6, width, 1, { color: '#d4d4d8' });
+    y += 26;
+    if (section.text) {
+      for (const line of wrapText(section.text, 11, width)) {
+        ensure(16);
+        pdf.text(margin, y, line, { size: 11, color: '#3f3f46' });
+        y += 16;
+      }
+    }
+    for (const [label, value] of section.rows || []) {
+      const lines = wrapText(value, 11, width - 180);
+      ensure(lines.length * 16);
+      pdf.text(margin, y, label, { size: 11, color: '#71717a' });
+      lines.forEach((line, i) => pdf.text(margin + 180, y + i * 16, line, { size: 11, bold: true }));
+      y += lines.length * 16 + 2;
+    }
+    y += 14;
+  }
+
+  ensure(20);
+  pdf.text(margin, bottom, `Gerado em ${kit.generated_at.slice(0, 10)} a partir de dados autorizados pelo creator.`, { size: 8, color: '#a1a1aa' });
+  return pdf.toBuffer();
+}
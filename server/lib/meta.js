@@ -1,11 +1,35 @@
 import fetch from 'node-fetch';
 
+// Overridable so a local fake Graph API server can stand in during tests.
+function graphBase() {
+  return (process.env.META_GRAPH_URL || 'https://graph.facebook.com/v19.0').replace(/\/$/, '');
+}
+
+// Graph errors keep the HTTP status and Meta error code so callers can tell auth failures from transient ones.
+function graphError(r, j, fallback) {
+  const err = new Error(j.error?.message || fallback);
+  err.status = r.status;
+  err.code = j.error?.code;
+  return err;
+}
+
+// 190 = invalid/expired token, 102 = session expired, 10/200-299 = permission revoked
+export function isAuthError(err) {
+  const code = Number(err?.code);
+  return code === 190 || code === 102 || code === 10 || (code >= 200 && code < 300) || err?.status === 401;
+}
+
+// The login dialog too, so the whole flow can run against scripts/fake-providers.js.
+function dialogUrl() {
+  return process.env.META_AUTH_URL || 'https://www.facebook.com/v19.0/dialog/oauth';
+}
+
 export function buildAuthUrl({ state, scopes }) {
   const clientId = process.env.META_CLIENT_ID;
   const redirectUri = process.env.META_REDIRECT_URI;
   const scope = encodeURIComponent(scopes.join(','));
   const url =
-    `https://www.facebook.com/v19.0/dialog/oauth?client_id=${encodeURIComponent(clientId)}` +
+    `${dialogUrl()}?client_id=${encodeURIComponent(clientId)}` +
     `&redirect_uri=${encodeURIComponent(redirectUri)}` +
     `&state=${encodeURIComponent(state)}` +
     `&response_type=code` +
@@ -18,21 +42,49 @@ export async function exchangeCodeForToken(code) {
   const clientSecret = process.env.META_CLIENT_SECRET;
   const redirectUri = process.env.META_REDIRECT_URI;
   const url =
-    `https://graph.facebook.com/v19.0/oauth/access_token?client_id=${encodeURIComponent(clientId)}` +
+    `${graphBase()}/oauth/access_token?client_id=${encodeURIComponent(clientId)}` +
     `&redirect_uri=${encodeURIComponent(redirectUri)}` +
     `&client_secret=${encodeURIComponent(clientSecret)}` +
     `&code=${encodeURIComponent(code)}`;
   const r = await fetch(url);
   const j = await r.json();
-  if (!r.ok) throw new Error(j.error?.message || 'Token exchange failed');
+  if (!r.ok) throw graphError(r, j, 'Token exchange failed');
+  return j; // { access_token, token_type, expires_in }
+}
+
+// Short-lived (~1h) -> long-lived (~60 days). Re-exchanging a valid long-lived token extends it the same way.
+export async function exchangeForLongLivedToken(accessToken) {
+  const clientId = process.env.META_CLIENT_ID;
+  const clientSecret = process.env.META_CLIENT_SECRET;
+  const url =
+    `${graphBase()}/oauth/access_token?grant_type=fb_exchange_token` +
+    `&client_id=${encodeURIComponent(clientId)}` +
+    `&client_secret=${encodeURIComponent(clientSecret)}` +
+    `&fb_exchange_token=${encodeURIComponent(accessToken)}`;
+  const r = await fetch(url);
+  const j = await r.json();
+  if (!r.ok) throw graphError(r, j, 'Long-lived token exchange failed');
   return j; // { access_token, token_type, expires_in }
 }
 
 // Basic "me" — you will adapt endpoints/scopes depending on your IG product settings.
 export async function fetchMe(accessToken) {
-  const url = `https://graph.facebook.com/v19.0/me?fields=id,name&access_token=${encodeURIComponent(accessToken)}`;
-  const r = await fetch(url);
+  return graphGet('/me', accessToken, { fields: 'id,name' });
+}
+
+// Generic GET against the Graph API; params are appended as query string.
+export async function graphGet(pathname, accessToken, params = {}) {
+  const qs = new URLSearchParams({ ...params, access_token: accessToken });
+  const r = await fetch(`${graphBase()}${pathname}?${qs.toString()}`);
   const j = await r.json();
-  if (!r.ok) throw new Error(j.error?.message || 'Fetch me failed');
+  if (!r.ok) throw graphError(r, j, `Graph request failed: ${pathname}`);
   return j;
 }
+
+// Removes every permission the user granted to the app (Meta-side revocation on disconnect/erasure).
+export async function revokePermissions(accessToken) {
+  const r = await fetch(`${graphBase()}/me/permissions?access_token=${encodeURIComponent(accessToken)}`, { method: 'DELETE' });
+  const j = await r.json();
+  if (!r.ok) throw graphError(r, j, 'Permission revoke failed');
+  return j; // { success: true }
+}
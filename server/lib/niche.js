@@ -0,0 +1,203 @@
+import { z } from 'zod';
+
+// Niche classifier (EN/PT/ES) over bio + recent captions + hashtags + declared category.
+// Text is lowercased, accent-stripped and tokenized on word boundaries (no substring hits); taxonomy terms
+// may be single words or phrases, matched as the same run of consecutive words. Each niche scores sum(tf * idf) over its terms, where tf is
+// sublinear and weighted by source, and idf penalizes terms shared by several niches.
+// Taxonomies are admin-editable data with their own version string; results record both versions.
+
+export const CLASSIFIER_VERSION = 'tfidf-v1';
+
+const SOURCE_WEIGHTS = { declared: 2, bio: 2, hashtag: 1.5, caption: 1 };
+const MIN_PREFIX_MATCH = 5;
+
+export const TaxonomySchema = z.object({
+  version: z.string().regex(/^[\w.-]{1,40}$/),
+  terms: z.record(z.string().regex(/^[a-z_]{2,30}$/), z.array(
+    z.string().min(2).max(40).refine(t => tokenize(t).words.length > 0, { message: 'term has no letters or digits to match (e.g. "c++")' })
+  ).min(1))
+});
+
+// Seed taxonomy; same niche keys as the brand map.
+const SEED_VERSION = 'tax-2026-10-19';
+const SEED_TERMS = {
+  food: ['restaurante', 'restaurant', 'comida', 'food', 'foodie', 'receta', 'receita', 'recipe', 'cocina', 'cozinha', 'cooking', 'chef',
+    'sushi', 'tapas', 'ramen', 'poke', 'izakaya', 'hamburguesa', 'hamburguer', 'burger', 'delivery', 'menu', 'gastronomia', 'brunch',
+    'postre', 'sobremesa', 'dessert', 'vino', 'vinho', 'wine', 'cafe', 'coffee', 'resena', 'review'],
+  beauty: ['maquillaje', 'maquiagem', 'makeup', 'skincare', 'unas', 'unhas', 'nails', 'estetica', 'beauty', 'belleza', 'beleza',
+    'cabello', 'cabelo', 'pelo', 'hair', 'cosmetica', 'cosmetics', 'dermo', 'dermatologia', 'perfume', 'serum', 'pestanas', 'cilios'],
+  fitness: ['gym', 'academia', 'gimnasio', 'treino', 'entreno', 'entrenamiento', 'workout', 'training', 'proteina', 'protein', 'dieta',
+    'diet', 'fitness', 'fit', 'musculacion', 'musculacao', 'crossfit', 'running', 'correr', 'corrida', 'yoga', 'pilates', 'perder peso',
+    'weight loss', 'hiit'],
+  tech: ['tecnologia', 'technology', 'tech', 'gadget', 'gadgets', 'app', 'apps', 'iphone', 'android', 'software', 'saas', 'ia', 'ai',
+    'inteligencia artificial', 'artificial intelligence', 'programacion', 'programacao', 'coding', 'developer', 'setup', 'unboxing', 'review'],
+  family: ['mama', 'mae', 'mom', 'mother', 'papa', 'pai', 'dad', 'hijos', 'filhos', 'kids', 'maternidad', 'maternidade', 'motherhood',
+    'familia', 'family', 'crianza', 'bebe', 'baby', 'paternidad', 'paternidade', 'parenting', 'embarazo', 'gravidez', 'pregnancy'],
+  travel: ['viaje', 'viajes', 'viagem', 'viagens', 'travel', 'traveling', 'hotel', 'ruta', 'roteiro', 'itinerary', 'playa', 'praia',
+    'beach', 'aeropuerto', 'aeroporto', 'airport', 'turismo', 'tourism', 'trip', 'mochilero', 'mochileiro', 'backpacking', 'wanderlust'],
+  fashion: ['moda', 'fashion', 'outfit', 'ootd', 'look', 'streetwear', 'ropa', 'roupa', 'clothes', 'zapatos', 'sapatos', 'shoes',
+    'zapatillas', 'sneakers', 'estilo', 'style', 'tendencia', 'tendencias', 'trend', 'vintage']
+};
+
+function nowIso() { return new Date().toISOString(); }
+
+export function normalize(text) {
+  return String(text || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/@[\w.]+/g, ' ');
+}
+
+// Words and hashtags of a text, already normalized. Hashtags are returned separately (without "#").
+export function tokenize(text) {
+  const t = normalize(text);
+  const hashtags = [...t.matchAll(/#([\p{L}\p{N}_]+)/gu)].map(m => m[1]);
+  const words = t.replace(/#[\p{L}\p{N}_]+/gu, ' ').split(/[^\p{L}\p{N}]+/u).filter(w => w.length >= 2);
+  return { words, hashtags };
+}
+
+function normalizeTerms(terms) {
+  return Object.fromEntries(Object.entries(terms).map(([niche, list]) =>
+    [niche, [...new Set(list.map(w => tokenize(w).words.join(' ')).filter(Boolean))]]));
+}
+
+// Term -> niches containing it, and idf = ln(1 + N / df).
+function indexTaxonomy(terms) {
+  const niches = Object.keys(terms);
+  const df = {};
+  for (const list of Object.values(terms)) for (const w of list) df[w] = (df[w] || 0) + 1;
+  const idf = Object.fromEntries(Object.entries(df).map(([w, n]) => [w, Math.log(1 + niches.length / n)]));
+  return { niches, idf };
+}
+
+// Weighted occurrences of each taxonomy term in the document, with the sources that produced them.
+function countTerms(doc, terms) {
+  const vocabulary = new Set(Object.values(terms).flat());
+  const prefixes = [...vocabulary].filter(w => w.length >= MIN_PREFIX_MATCH && !w.includes(' '));
+  const maxWords = Math.max(1, ...[...vocabulary].map(w => w.split(' ').length));
+  const counts = {};
+  const add = (term, source) => {
+    const c = counts[term] = counts[term] || { weight: 0, count: 0, sources: new Set() };
+    c.weight += SOURCE_WEIGHTS[source];
+    c.count++;
+    c.sources.add(source);
+  };
+  for (const [source, texts] of Object.entries(doc)) {
+    for (const text of texts) {
+      const { words, hashtags } = tokenize(text);
+      // Every run of up to maxWords consecutive words, so phrases of any length in the taxonomy can match
+      for (let i = 0; i < words.length; i++) {
+        for (let n = 1; n <= maxWords && i + n <= words.length; n++) {
+          const phrase = words.slice(i, i + n).join(' ');
+          if (vocabulary.has(phrase)) add(phrase, source);
+        }
+      }
+      // Compound hashtags (#recetasfaciles) match the longest term they start with, if it is long enough.
+      for (const h of hashtags) {
+        const hit = vocabulary.has(h) ? h : prefixes.filter(w => h.startsWith(w)).sort((x, y) => y.length - x.length)[0];
+        if (hit) add(hit, 'hashtag');
+      }
+    }
+  }
+  return counts;
+}
+
+// doc: { bio, captions[], declared }; taxonomy: { version, terms }.
+export function classifyNiche({ bio = '', captions = [], declared = '' }, taxonomy) {
+  const terms = taxonomy.terms;
+  const { niches, idf } = indexTaxonomy(terms);
+  const counts = countTerms({ declared: [declared], bio: [bio], caption: captions }, terms);
+
+  const scores = Object.fromEntries(niches.map(n => [n, 0]));
+  const evidence = Object.fromEntries(niches.map(n => [n, []]));
+  for (const n of niches) {
+    for (const w of terms[n]) {
+      const c = counts[w];
+      if (!c) continue;
+      const tfidf = (1 + Math.log(c.weight)) * idf[w];
+      scores[n] += tfidf;
+      evidence[n].push({ term: w, count: c.count, sources: [...c.sources], weight: Number(tfidf.toFixed(3)) });
+    }
+  }
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const total = ranked.reduce((s, [, v]) => s + v, 0);
+  const [primary, pscore] = ranked[0] || ['general', 0];
+  const byWeight = (a, b) => b.weight - a.weight;
+  if (!pscore) {
+    return { primary_niche: 'general', secondary_niches: [], confidence: 0, evidence_keywords: [], evidence: { scores, terms: [] }, model_version: modelVersion(taxonomy) };
+  }
+  // Secondary: niches with at least a third of the primary's score
+  const secondary = ranked.slice(1).filter(([, v]) => v > 0 && v >= pscore / 3).slice(0, 2).map(([n]) => n);
+  const primaryEvidence = evidence[primary].sort(byWeight);
+  return {
+    primary_niche: primary,
+    secondary_niches: secondary,
+    confidence: Number((pscore / total).toFixed(2)),
+    evidence_keywords: primaryEvidence.slice(0, 8).map(e => e.term),
+    evidence: {
+      scores: Object.fromEntries(ranked.filter(([, v]) => v > 0).map(([n, v]) => [n, Number(v.toFixed(3))])),
+      terms: primaryEvidence.slice(0, 20),
+      secondary_terms: Object.fromEntries(secondary.map(n => [n, evidence[n].sort(byWeight).slice(0, 8)]))
+    },
+    model_version: modelVersion(taxonomy)
+  };
+}
+
+export function modelVersion(taxonomy) {
+  return `${CLASSIFIER_VERSION}+${taxonomy.version}`;
+}
+
+// --- Taxonomies (stored in niche_taxonomies; exactly one active)
+
+function parseRow(row) {
+  return row ? { ...row, terms: JSON.parse(row.terms) } : null;
+}
+
+export function seedTaxonomy(db) {
+  const n = db.prepare('SELECT COUNT(*) AS n FROM niche_taxonomies').get().n;
+  if (n > 0) return;
+  db.prepare(`INSERT INTO niche_taxonomies (version, terms, status, created_at, created_by) VALUES (?, ?, 'active', ?, 'system')`)
+    .run(SEED_VERSION, JSON.stringify(normalizeTerms(SEED_TERMS)), nowIso());
+}
+
+export function activeTaxonomy(db) {
+  return parseRow(db.prepare("SELECT * FROM niche_taxonomies WHERE status='active' ORDER BY created_at DESC LIMIT 1").get())
+    || { version: 'seed', terms: normalizeTerms(SEED_TERMS) };
+}
+
+export function listTaxonomies(db) {
+  return db.prepare('SELECT * FROM niche_taxonomies ORDER BY created_at DESC').all().map(parseRow);
+}
+
+export function createTaxonomy(db, { version, terms, created_by }) {
+  db.prepare(`INSERT INTO niche_taxonomies (version, terms, status, created_at, created_by) VALUES (?, ?, 'draft', ?, ?)`)
+    .run(version, JSON.stringify(normalizeTerms(terms)), nowIso(), created_by);
+  return parseRow(db.prepare('SELECT * FROM niche_taxonomies WHERE version=?').get(version));
+}
+
+export function activateTaxonomy(db, version) {
+  return db.transaction(() => {
+    if (!db.prepare('SELECT 1 FROM niche_taxonomies WHERE version=?').get(version)) return null;
+    db.prepare("UPDATE niche_taxonomies SET status='archived' WHERE status='active' AND version != ?").run(version);
+    db.prepare("UPDATE niche_taxonomies SET status='active' WHERE version=?").run(version);
+    return parseRow(db.prepare('SELECT * FROM niche_taxonomies WHERE version=?').get(version));
+  })();
+}
+
+export function saveClassification(db, { id, creator_id, result, computed_at }) {
+  db.transaction(() => {
+    db.prepare(`INSERT INTO niche_classification (id, creator_id, primary_niche, secondary_niches, confidence, evidence_keywords, model_version, computed_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)`)
+      .run(id, creator_id, result.primary_niche, JSON.stringify(result.secondary_niches), result.confidence,
+        JSON.stringify(result.evidence_keywords), result.model_version, computed_at);
+    db.prepare('INSERT INTO niche_evidence (classification_id, creator_id, evidence) VALUES (?, ?, ?)')
+      .run(id, creator_id, JSON.stringify(result.evidence));
+  })();
+}
+
+export function getNicheEvidence(db, classification_id) {
+  const row = db.prepare('SELECT evidence FROM niche_evidence WHERE classification_id=?').get(classification_id);
+  return row ? JSON.parse(row.evidence) : null;
+}
@@ -0,0 +1,64 @@
+import crypto from 'crypto';
+import { nanoid } from 'nanoid';
+
+// OAuth state = base64url(payload) + '.' + base64url(HMAC-SHA256(payload)).
+// payload = { creator_id, nonce, exp }. Nonces are stored server-side, bound to a cookie and single-use.
+
+export const STATE_COOKIE = 'oauth_nonce';
+
+function secret() {
+  const s = process.env.OAUTH_STATE_SECRET || '';
+  if (s.length < 32) {
+    throw new Error('OAUTH_STATE_SECRET must be at least 32 chars');
+  }
+  return s;
+}
+
+function ttlMs() {
+  return Number(process.env.OAUTH_STATE_TTL_MINUTES || 10) * 60 * 1000;
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', secret()).update(data).digest('base64url');
+}
+
+export function createOAuthState(db, creator_id) {
+  const nonce = nanoid(32);
+  const now = Date.now();
+  const exp = now + ttlMs();
+  const data = Buffer.from(JSON.stringify({ creator_id, nonce, exp })).toString('base64url');
+
+  db.prepare('DELETE FROM oauth_states WHERE expires_at < ?').run(new Date(now - 86400000).toISOString());
+  db.prepare('INSERT INTO oauth_states (nonce, creator_id, created_at, expires_at) VALUES (?, ?, ?, ?)')
+    .run(nonce, creator_id, new Date(now).toISOString(), new Date(exp).toISOString());
+
+  return { state: `${data}.${sign(data)}`, nonce, maxAge: exp - now };
+}
+
+// Returns { ok: true, creator_id } or { ok: false, reason, creator_id? }.
+// The nonce is burned on first use, even if a later check fails.
+export function consumeOAuthState(db, state, cookieNonce) {
+  const [data, sig] = String(state || '').split('.');
+  if (!data || !sig) return { ok: false, reason: 'malformed' };
+
+  const expected = Buffer.from(sign(data));
+  const given = Buffer.from(sig);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return { ok: false, reason: 'bad_signature' };
+  }
+
+  let payload;
+  try { payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf-8')); } catch { return { ok: false, reason: 'malformed' }; }
+  const { creator_id, nonce, exp } = payload;
+
+  const row = db.prepare('SELECT * FROM oauth_states WHERE nonce=?').get(nonce);
+  if (!row || row.creator_id !== creator_id) return { ok: false, reason: 'unknown_nonce', creator_id };
+
+  const used = db.prepare('UPDATE oauth_states SET used_at=? WHERE nonce=? AND used_at IS NULL').run(new Date().toISOString(), nonce);
+  if (used.changes === 0) return { ok: false, reason: 'replayed', creator_id };
+
+  if (!exp || Date.now() > exp) return { ok: false, reason: 'expired', creator_id };
+  if (!cookieNonce || cookieNonce !== nonce) return { ok: false, reason: 'cookie_mismatch', creator_id };
+
+  return { ok: true, creator_id };
+}
@@ -0,0 +1,94 @@
+import { nanoid } from 'nanoid';
+import { z } from 'zod';
+
+// Partner sites that embed the signup form (public/embed.js). Each partner has a public key (pk_...) that the
+// embed passes along, the origins allowed to frame the form and a default theme; a partner can be tied to a brand.
+// Every lead keeps its attribution: partner, UTM parameters, referrer and the page the form was shown on.
+
+export const EMBED_MODES = ['inline', 'modal', 'page'];
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+
+export const ThemeSchema = z.object({
+  mode: z.enum(['dark', 'light']).default('dark'),
+  accent: z.string().regex(HEX_COLOR).nullable().default(null)
+});
+
+export const PartnerSchema = z.object({
+  name: z.string().min(2).max(120),
+  brand_id: z.string().nullable().optional(),
+  // Origins (scheme://host[:port]) allowed to show the form in an iframe
+  allowed_origins: z.array(z.string().url().refine(u => new URL(u).origin === u, 'origin only, e.g. https://example.com')).min(1).max(20),
+  theme: ThemeSchema.default({}),
+  active: z.boolean().default(true)
+});
+
+const text = (max) => z.string().trim().max(max).nullable().optional().transform(v => v || null);
+
+export const AttributionSchema = z.object({
+  partner_key: text(64),
+  utm_source: text(200),
+  utm_medium: text(200),
+  utm_campaign: text(200),
+  utm_term: text(200),
+  utm_content: text(200),
+  referrer: text(500),
+  landing_url: text(500),
+  embed_mode: z.enum(EMBED_MODES).nullable().optional().transform(v => v || null)
+});
+
+function nowIso() { return new Date().toISOString(); }
+
+function parsePartner(row) {
+  return row ? { ...row, allowed_origins: JSON.parse(row.allowed_origins), theme: JSON.parse(row.theme), active: !!row.active } : null;
+}
+
+export function listPartners(db) {
+  return db.prepare(`SELECT p.*, b.name AS brand_name, (SELECT COUNT(*) FROM lead_attribution a WHERE a.partner_id = p.id) AS leads
+                     FROM partners p LEFT JOIN brands b ON b.id = p.brand_id ORDER BY p.name`).all().map(parsePartner);
+}
+
+export function getPartner(db, id) {
+  return parsePartner(db.prepare('SELECT * FROM partners WHERE id=?').get(id));
+}
+
+// Active partner for a public key, or null.
+export function partnerByKey(db, key) {
+  if (!key) return null;
+  return parsePartner(db.prepare('SELECT * FROM partners WHERE key=? AND active=1').get(key));
+}
+
+export function createPartner(db, data, { created_by = null } = {}) {
+  const id = nanoid();
+  const ts = nowIso();
+  db.prepare(`INSERT INTO partners (id, key, name, brand_id, allowed_origins, theme, active, created_by, created_at, updated_at)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+    .run(id, `pk_${nanoid(20)}`, data.name, data.brand_id ?? null, JSON.stringify(data.allowed_origins), JSON.stringify(data.theme),
+      data.active ? 1 : 0, created_by, ts, ts);
+  return getPartner(db, id);
+}
+
+export function updatePartner(db, id, patch) {
+  const current = getPartner(db, id);
+  if (!current) return null;
+  const p = { ...current, ...patch };
+  db.prepare('UPDATE partners SET name=?, brand_id=?, allowed_origins=?, theme=?, active=?, updated_at=? WHERE id=?')
+    .run(p.name, p.brand_id ?? null, JSON.stringify(p.allowed_origins), JSON.stringify(p.theme), p.active ? 1 : 0, nowIso(), id);
+  return getPartner(db, id);
+}
+
+// Stored once per lead. An unknown or inactive partner key is kept as typed but not linked to a partner.
+export function recordAttribution(db, creator_id, attribution = {}) {
+  const a = AttributionSchema.parse(attribution);
+  const partner = partnerByKey(db, a.partner_key);
+  db.prepare(`INSERT INTO lead_attribution (creator_id, partner_id, partner_key, utm_source, utm_medium, utm_campaign, utm_term, utm_content,
+                                            referrer, landing_url, embed_mode, created_at)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+    .run(creator_id, partner?.id ?? null, a.partner_key, a.utm_source, a.utm_medium, a.utm_campaign, a.utm_term, a.utm_content,
+      a.referrer, a.landing_url, a.embed_mode, nowIso());
+  return partner;
+}
+
+export function getAttribution(db, creator_id) {
+  return db.prepare(`SELECT a.*, p.name AS partner_name FROM lead_attribution a LEFT JOIN partners p ON p.id = a.partner_id
+                     WHERE a.creator_id=?`).get(creator_id) || null;
+}
@@ -0,0 +1,109 @@
+// Minimal PDF 1.4 writer (A4, base-14 Helvetica fonts, WinAnsi text, filled rectangles).
+// Enough for one-column documents such as the media kit; no external service or dependency.
+
+const PAGE_W = 595.28;
+const PAGE_H = 841.89;
+
+// WinAnsiEncoding matches Latin-1 from 0xA0 up; these are the extra code points it places in 0x80-0x9F.
+const WIN_ANSI_EXTRA = { '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99 };
+
+function encodeText(text) {
+  const bytes = [];
+  for (const ch of String(text)) {
+    const code = ch.codePointAt(0);
+    if (WIN_ANSI_EXTRA[ch]) bytes.push(WIN_ANSI_EXTRA[ch]);
+    else if (code >= 0x20 && code <= 0x7e) bytes.push(code);
+    else if (code >= 0xa0 && code <= 0xff) bytes.push(code);
+    else bytes.push(0x3f); // "?"
+  }
+  // Escape the string delimiters; everything else goes as raw bytes.
+  return Buffer.from(bytes).toString('latin1').replace(/([\\()])/g, '\\$1');
+}
+
+function num(v) { return Number(v.toFixed(2)).toString(); }
+
+function rgb(hex) {
+  const n = parseInt(hex.replace('#', ''), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255].map(c => num(c / 255)).join(' ');
+}
+
+// Rough Helvetica advance width (in em); good enough to wrap lines without font metrics tables.
+function charWidth(ch) {
+  if ('il.,:;|!\'’'.includes(ch)) return 0.28;
+  if ('fjrt()[] '.includes(ch)) return 0.33;
+  if ('mwMW'.includes(ch)) return 0.85;
+  if (ch >= 'A' && ch <= 'Z') return 0.68;
+  return 0.54;
+}
+
+export function textWidth(text, size) {
+  return [...String(text)].reduce((s, ch) => s + charWidth(ch), 0) * size;
+}
+
+// Splits text into lines no wider than `width` points.
+export function wrapText(text, size, width) {
+  const lines = [];
+  for (const paragraph of String(text).split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && textWidth(candidate, size) > width) { lines.push(line); line = word; }
+      else line = candidate;
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+// Page coordinates are top-down (y grows downwards) and converted to PDF space on output.
+export function createPdf({ title = '' } = {}) {
+  const pages = [];
+  let ops = null;
+
+  const doc = {
+    width: PAGE_W,
+    height: PAGE_H,
+    addPage() {
+      ops = [];
+      pages.push(ops);
+      return doc;
+    },
+    text(x, y, str, { size = 11, bold = false, color = '#18181b' } = {}) {
+      ops.push(`BT /${bold ? 'F2' : 'F1'} ${num(size)} Tf ${rgb(color)} rg ${num(x)} ${num(PAGE_H - y)} Td (${encodeText(str)}) Tj ET`);
+      return doc;
+    },
+    rect(x, y, w, h, { color = '#e4e4e7' } = {}) {
+      ops.push(`${rgb(color)} rg ${num(x)} ${num(PAGE_H - y - h)} ${num(w)} ${num(h)} re f`);
+      return doc;
+    },
+    toBuffer() {
+      if (!pages.length) doc.addPage();
+      // 1 catalog, 2 pages, 3-4 fonts, 5 info, then (page, content) pairs
+      const objects = [];
+      const kids = pages.map((_, i) => `${6 + i * 2} 0 R`).join(' ');
+      objects.push('<< /Type /Catalog /Pages 2 0 R >>');
+      objects.push(`<< /Type /Pages /Kids [${kids}] /Count ${pages.length} >>`);
+      objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+      objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+      objects.push(`<< /Title (${encodeText(title)}) /Producer (influencer-funnel) /CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z) >>`);
+      pages.forEach((pageOps, i) => {
+        const stream = pageOps.join('\n');
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(PAGE_W)} ${num(PAGE_H)}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${7 + i * 2} 0 R >>`);
+        objects.push(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+      });
+
+      let out = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+      const offsets = [];
+      objects.forEach((body, i) => {
+        offsets.push(Buffer.byteLength(out, 'latin1'));
+        out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+      });
+      const xref = Buffer.byteLength(out, 'latin1');
+      out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      out += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+      out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+      return Buffer.from(out, 'latin1');
+    }
+  };
+  return doc;
+}
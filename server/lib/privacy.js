@@ -0,0 +1,135 @@
+import crypto from 'crypto';
+import JSZip from 'jszip';
+import { decryptToken } from './crypto.js';
+import { getProvider } from './providers.js';
+
+// GDPR: erasure (art. 17) and data portability (art. 20) for a single creator.
+// Tables added later that hold creator data must be listed here too.
+
+// Deleted outright on erasure, keyed by creator_id.
+const CREATOR_TABLES = ['score_explanations', 'creator_scores', 'fraud_flags', 'niche_evidence', 'niche_classification', 'brand_targets', 'campaign_deliverables', 'campaign_invitations', 'media_kits', 'webhook_deliveries', 'crm_sync', 'lead_attribution', 'creator_sessions', 'login_codes', 'oauth_states', 'jobs'];
+// Deleted outright on erasure, keyed by account_id.
+const ACCOUNT_TABLES = ['profile_snapshots', 'content_metrics_daily', 'media_captions'];
+
+// Included in the portability export, keyed by creator_id (secrets excluded).
+const EXPORT_CREATOR_TABLES = ['consent_records', 'creator_scores', 'score_explanations', 'fraud_flags', 'niche_classification', 'niche_evidence', 'brand_targets', 'campaign_invitations', 'campaign_deliverables', 'media_kits', 'lead_attribution', 'deletion_requests'];
+
+export const ERASURE_SLA_DAYS = 30;
+
+function nowIso() { return new Date().toISOString(); }
+
+export function slaDueAt(requested_at) {
+  return new Date(new Date(requested_at).getTime() + ERASURE_SLA_DAYS * 86400000).toISOString();
+}
+
+// Revokes the app's access at the account's platform and drops the stored tokens. A token the platform already
+// rejects counts as revoked; network/5xx errors are rethrown so the job is retried.
+export async function revokeAccountAccess(db, account_id) {
+  const account = db.prepare('SELECT id, platform, access_token_enc FROM connected_accounts WHERE id=?').get(account_id);
+  if (!account?.access_token_enc) return false;
+  const provider = getProvider(account.platform);
+  try {
+    await provider.revoke(decryptToken(account.access_token_enc));
+  } catch (e) {
+    if (!provider.isAuthError(e)) throw e;
+  }
+  db.prepare('UPDATE connected_accounts SET access_token_enc=NULL WHERE id=?').run(account_id);
+  db.prepare('DELETE FROM account_credentials WHERE account_id=?').run(account_id);
+  return true;
+}
+
+// Purges derived data, anonymizes the creator row and consent proofs. Kept on purpose:
+// consent_records (type/version/hash/dates), audit_log actions without metadata, the deletion_requests row.
+export function eraseCreatorData(db, creator_id) {
+  const counts = {};
+  db.transaction(() => {
+    const accountIds = db.prepare('SELECT id FROM connected_accounts WHERE creator_id=?').all(creator_id).map(a => a.id);
+    for (const t of ACCOUNT_TABLES) {
+      counts[t] = 0;
+      for (const id of accountIds) counts[t] += db.prepare(`DELETE FROM ${t} WHERE account_id=?`).run(id).changes;
+    }
+    for (const id of accountIds) db.prepare('DELETE FROM account_credentials WHERE account_id=?').run(id);
+    counts.connected_accounts = db.prepare('DELETE FROM connected_accounts WHERE creator_id=?').run(creator_id).changes;
+    for (const t of CREATOR_TABLES) counts[t] = db.prepare(`DELETE FROM ${t} WHERE creator_id=?`).run(creator_id).changes;
+
+    counts.consent_records = db.prepare('UPDATE consent_records SET ip_address=NULL, user_agent=NULL WHERE creator_id=?').run(creator_id).changes;
+    counts.audit_log = db.prepare('UPDATE audit_log SET metadata=NULL WHERE target_id=? OR actor_id=?').run(creator_id, creator_id).changes;
+
+    const ts = nowIso();
+    db.prepare(`UPDATE creators SET full_name='[deleted]', email=?, phone=NULL, city=NULL, declared_category=NULL, status='deleted', updated_at=?
+                WHERE id=?`)
+      .run(`deleted+${creator_id}@invalid`, ts, creator_id);
+  })();
+  return counts;
+}
+
+// A platform outage makes revocation throw so the job retries; with skipFailedRevocations (the job's last attempt)
+// the local erasure goes ahead anyway and the accounts that could not be revoked are listed in the proof.
+export async function processDeletionRequest(db, request_id, { skipFailedRevocations = false } = {}) {
+  const request = db.prepare('SELECT * FROM deletion_requests WHERE id=?').get(request_id);
+  if (!request || request.status === 'completed') return null;
+
+  const creator = db.prepare('SELECT email FROM creators WHERE id=?').get(request.creator_id);
+  const accounts = db.prepare('SELECT id, platform FROM connected_accounts WHERE creator_id=?').all(request.creator_id);
+  let revoked = 0;
+  const revocation_failed = [];
+  for (const a of accounts) {
+    try {
+      if (await revokeAccountAccess(db, a.id)) revoked++;
+    } catch (e) {
+      if (!skipFailedRevocations) throw e;
+      revocation_failed.push({ platform: a.platform, error: e.message });
+    }
+  }
+
+  const counts = eraseCreatorData(db, request.creator_id);
+  // Legal proof: hash of the original e-mail lets us answer "was X deleted?" without keeping X.
+  const proof = {
+    email_sha256: creator ? crypto.createHash('sha256').update(creator.email).digest('hex') : null,
+    meta_permissions_revoked: revoked,
+    revocation_failed,
+    purged: counts
+  };
+  const ts = nowIso();
+  db.prepare(`UPDATE deletion_requests SET status='completed', completed_at=?, notes=? WHERE id=?`).run(ts, JSON.stringify(proof), request_id);
+  return proof;
+}
+
+export function listDeletionRequests(db, { status } = {}) {
+  let q = `SELECT d.*, c.full_name, c.email FROM deletion_requests d LEFT JOIN creators c ON c.id = d.creator_id`;
+  const params = [];
+  if (status) { q += ' WHERE d.status = ?'; params.push(status); }
+  q += ' ORDER BY d.requested_at';
+  const now = Date.now();
+  return db.prepare(q).all(...params).map(r => {
+    const due_at = slaDueAt(r.requested_at);
+    const remaining = Math.ceil((new Date(due_at).getTime() - now) / 86400000);
+    return { ...r, due_at, sla_days_remaining: r.status === 'completed' ? null : remaining };
+  });
+}
+
+// Everything stored about a creator, for the portability endpoint.
+export function exportCreatorData(db, creator_id) {
+  const creator = db.prepare('SELECT * FROM creators WHERE id=?').get(creator_id);
+  if (!creator) return null;
+  const accounts = db.prepare(`SELECT id, platform, ig_user_id, username, account_type, scopes, token_expires_at, connected_at, disconnected_at, status, last_sync_at
+                               FROM connected_accounts WHERE creator_id=?`).all(creator_id);
+  const data = { exported_at: nowIso(), creator, connected_accounts: accounts };
+  for (const t of EXPORT_CREATOR_TABLES) data[t] = db.prepare(`SELECT * FROM ${t} WHERE creator_id=?`).all(creator_id);
+  for (const t of ACCOUNT_TABLES) {
+    data[t] = accounts.flatMap(a => db.prepare(`SELECT * FROM ${t} WHERE account_id=?`).all(a.id));
+  }
+  data.audit_log = db.prepare('SELECT action, target_type, target_id, metadata, created_at FROM audit_log WHERE target_id=? OR actor_id=? ORDER BY created_at')
+    .all(creator_id, creator_id);
+  return data;
+}
+
+export async function exportToZip(data) {
+  const zip = new JSZip();
+  for (const [k, v] of Object.entries(data)) {
+    if (k === 'exported_at') continue;
+    zip.file(`${k}.json`, JSON.stringify(v, null, 2));
+  }
+  zip.file('README.txt', `Exportação de dados pessoais (GDPR art. 20)\nGerado em: ${data.exported_at}\nUm arquivo JSON por tabela.\n`);
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
@@ -0,0 +1,136 @@
+import * as meta from './meta.js';
+import * as tiktok from './tiktok.js';
+import * as youtube from './youtube.js';
+import { findInstagramAccount, collectInstagram, readStoredMetrics, accountRates } from './collector.js';
+
+// Social platforms a creator can link. Every provider exposes the same surface, so OAuth routes, the
+// qualification pipeline, token refresh and revocation never branch on the platform:
+//   slug                  path segment of /api/oauth/:slug/start|callback ('meta' keeps Instagram's registered redirect URI)
+//   refreshable           short-lived access token + refresh token (token_expires_at then tracks the refresh token)
+//   configured()          client credentials present in the environment
+//   authUrl(state)        consent screen URL
+//   connect(code)         -> { external_id, username, account_type, scopes, tokens, me } or null if the login has no usable account
+//   collect(token, id)    -> { profile, media, daily } in the shape storeCollection expects
+//   refresh(credentials)  -> { access_token, expires_in, refresh_token?, refresh_expires_in? }
+//   revoke(token), isAuthError(err)
+// connected_accounts.ig_user_id holds the platform's own user/channel id for every provider.
+
+// Scopes the Meta app must have approved for the collector (profile, media and insights of the IG business/creator account)
+const META_SCOPES = ['public_profile', 'pages_show_list', 'pages_read_engagement', 'instagram_basic', 'instagram_manage_insights'];
+
+function requireRefreshToken(refresh_token) {
+  if (!refresh_token) throw Object.assign(new Error('No refresh token stored'), { code: 'invalid_grant' });
+  return refresh_token;
+}
+
+const instagram = {
+  id: 'instagram',
+  label: 'Instagram',
+  slug: 'meta',
+  refreshable: false,
+  configured: () => !!(process.env.META_CLIENT_ID && process.env.META_CLIENT_SECRET && process.env.META_REDIRECT_URI),
+  authUrl: (state) => meta.buildAuthUrl({ state, scopes: META_SCOPES }),
+  // Short-lived (~1h) code token -> long-lived (~60 days); the IG account comes through the linked Facebook Page.
+  async connect(code) {
+    const short = await meta.exchangeCodeForToken(code);
+    const token = await meta.exchangeForLongLivedToken(short.access_token);
+    const me = await meta.fetchMe(token.access_token);
+    const ig = await findInstagramAccount(token.access_token);
+    if (!ig) return null;
+    return {
+      external_id: ig.id.toString(), username: ig.username || null, account_type: 'business', scopes: null,
+      tokens: { access_token: token.access_token, expires_in: token.expires_in }, me
+    };
+  },
+  collect: (token, externalId) => collectInstagram(token, externalId),
+  // Re-exchanging a valid long-lived token extends it
+  refresh: ({ access_token }) => meta.exchangeForLongLivedToken(access_token),
+  revoke: (token) => meta.revokePermissions(token),
+  isAuthError: meta.isAuthError,
+  noAccountMessage: 'Nenhuma conta Instagram business/creator vinculada a este login.'
+};
+
+const tiktokProvider = {
+  id: 'tiktok',
+  label: 'TikTok',
+  slug: 'tiktok',
+  refreshable: true,
+  configured: tiktok.tiktokConfigured,
+  authUrl: (state) => tiktok.buildAuthUrl({ state }),
+  async connect(code) {
+    const token = await tiktok.exchangeCodeForToken(code);
+    const user = await tiktok.fetchUser(token.access_token);
+    return {
+      external_id: String(token.open_id || user.open_id), username: user.username || user.display_name || null, account_type: 'creator',
+      scopes: token.scope || null, tokens: token, me: { open_id: user.open_id, display_name: user.display_name || null }
+    };
+  },
+  collect: (token) => tiktok.collectTikTok(token),
+  refresh: ({ refresh_token }) => tiktok.refreshAccessToken(requireRefreshToken(refresh_token)),
+  revoke: (token) => tiktok.revokeToken(token),
+  isAuthError: tiktok.isAuthError,
+  noAccountMessage: 'Não foi possível ler a conta TikTok deste login.'
+};
+
+const youtubeProvider = {
+  id: 'youtube',
+  label: 'YouTube',
+  slug: 'youtube',
+  refreshable: true,
+  configured: youtube.youtubeConfigured,
+  authUrl: (state) => youtube.buildAuthUrl({ state }),
+  async connect(code) {
+    const token = await youtube.exchangeCodeForToken(code);
+    const channel = await youtube.fetchChannel(token.access_token);
+    if (!channel) return null;
+    return {
+      external_id: channel.id, username: channel.snippet?.customUrl || channel.snippet?.title || null, account_type: 'channel',
+      scopes: token.scope || null, tokens: token, me: { channel_id: channel.id, title: channel.snippet?.title || null }
+    };
+  },
+  collect: (token) => youtube.collectYouTube(token),
+  refresh: ({ refresh_token }) => youtube.refreshAccessToken(requireRefreshToken(refresh_token)),
+  revoke: (token) => youtube.revokeToken(token),
+  isAuthError: youtube.isAuthError,
+  noAccountMessage: 'Nenhum canal do YouTube vinculado a esta conta Google.'
+};
+
+export const PROVIDERS = { instagram, tiktok: tiktokProvider, youtube: youtubeProvider };
+export const PLATFORMS = Object.keys(PROVIDERS);
+
+export function getProvider(platform) {
+  return PROVIDERS[platform] || null;
+}
+
+export function providerForSlug(slug) {
+  return Object.values(PROVIDERS).find(p => p.slug === slug) || null;
+}
+
+export function connectUrl(platform) {
+  return `/api/oauth/${PROVIDERS[platform].slug}/start`;
+}
+
+// Linked accounts per provider with their stored metrics (reach/ER per platform); disconnected accounts are left out.
+export function creatorPlatforms(db, creator_id) {
+  const accounts = db.prepare(`SELECT id, platform, username, status, connected_at, last_sync_at FROM connected_accounts
+                               WHERE creator_id=? AND status != 'revoked' ORDER BY connected_at`).all(creator_id);
+  return Object.values(PROVIDERS).map(p => ({
+    platform: p.id,
+    label: p.label,
+    configured: p.configured(),
+    connect_url: connectUrl(p.id),
+    accounts: accounts.filter(a => a.platform === p.id).map(a => {
+      const m = readStoredMetrics(db, a.id);
+      const rates = accountRates(m);
+      return {
+        ...a,
+        followers: m.followers,
+        contents_30d: m.contentCount30d,
+        er: Number(rates.er.toFixed(4)),
+        reach: rates.reach,
+        reach_source: rates.reach_source,
+        reconnect_url: ['expired', 'needs_reauth'].includes(a.status) ? connectUrl(p.id) : null
+      };
+    })
+  }));
+}
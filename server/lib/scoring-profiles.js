@@ -0,0 +1,163 @@
+import { nanoid } from 'nanoid';
+import { z } from 'zod';
+import { DEFAULT_SCORING_CONFIG, scoreWithConfig } from './scoring.js';
+
+// Scoring profiles stored as data. Each edit is a new immutable version of a profile key;
+// one version per key is active. A score records "<key>@v<version>" in creator_scores.scoring_version.
+
+const Bands = z.array(z.object({ min: z.number(), points: z.number().min(0).max(100) })).min(1);
+const Weight = z.number().min(0).max(1);
+export const ScoringConfigSchema = z.object({
+  er_bands: Bands,
+  consistency_bands: Bands,
+  niche_bands: Bands,
+  reach_bands: Bands,
+  weights: z.object({
+    with_reach: z.object({ er: Weight, reach: Weight, consistency: Weight, niche: Weight, fraud: Weight }),
+    without_reach: z.object({ er: Weight, consistency: Weight, niche: Weight, fraud: Weight })
+  }),
+  grades: z.array(z.object({ min: z.number(), grade: z.string().min(1).max(3) })).min(1),
+  default_grade: z.string().min(1).max(3)
+});
+
+function nowIso() { return new Date().toISOString(); }
+
+// Bands/grades are evaluated top-down, so keep them sorted by `min` descending.
+function normalize(config) {
+  const byMin = (a, b) => b.min - a.min;
+  return {
+    ...config,
+    er_bands: [...config.er_bands].sort(byMin),
+    consistency_bands: [...config.consistency_bands].sort(byMin),
+    niche_bands: [...config.niche_bands].sort(byMin),
+    reach_bands: [...config.reach_bands].sort(byMin),
+    grades: [...config.grades].sort(byMin)
+  };
+}
+
+function parseRow(row) {
+  return row ? { ...row, config: JSON.parse(row.config) } : null;
+}
+
+export function versionLabel(profile) {
+  return `${profile.key}@v${profile.version}`;
+}
+
+export function seedScoringProfiles(db) {
+  const n = db.prepare('SELECT COUNT(*) AS n FROM scoring_profiles').get().n;
+  if (n > 0) return;
+  db.prepare(`INSERT INTO scoring_profiles (id, key, version, country, niche, config, status, created_at, created_by)
+              VALUES (?, 'default', 1, NULL, NULL, ?, 'active', ?, 'system')`)
+    .run(nanoid(), JSON.stringify(DEFAULT_SCORING_CONFIG), nowIso());
+}
+
+export function listProfiles(db) {
+  return db.prepare('SELECT * FROM scoring_profiles ORDER BY key, version DESC').all().map(parseRow);
+}
+
+export function getProfile(db, id) {
+  return parseRow(db.prepare('SELECT * FROM scoring_profiles WHERE id=?').get(id));
+}
+
+// New version of `key`; country/niche scope is fixed per key by its first version.
+export function createProfileVersion(db, { key, country = null, niche = null, config, created_by }) {
+  const latest = db.prepare('SELECT * FROM scoring_profiles WHERE key=? ORDER BY version DESC LIMIT 1').get(key);
+  const id = nanoid();
+  const version = (latest?.version || 0) + 1;
+  db.prepare(`INSERT INTO scoring_profiles (id, key, version, country, niche, config, status, created_at, created_by)
+              VALUES (?, ?, ?, ?, ?, ?, 'draft', ?, ?)`)
+    .run(id, key, version, latest ? latest.country : country, latest ? latest.niche : niche, JSON.stringify(normalize(config)), nowIso(), created_by);
+  return getProfile(db, id);
+}
+
+export function activateProfile(db, id) {
+  return db.transaction(() => {
+    const p = db.prepare('SELECT * FROM scoring_profiles WHERE id=?').get(id);
+    if (!p) return null;
+    db.prepare("UPDATE scoring_profiles SET status='archived' WHERE key=? AND status='active' AND id != ?").run(p.key, id);
+    db.prepare("UPDATE scoring_profiles SET status='active' WHERE id=?").run(id);
+    return getProfile(db, id);
+  })();
+}
+
+// Most specific active profile wins: country+niche > niche > country > global.
+export function resolveProfile(db, { country, niche }) {
+  const active = db.prepare("SELECT * FROM scoring_profiles WHERE status='active'").all();
+  const rank = (p) => {
+    if (p.country && p.country !== country) return -1;
+    if (p.niche && p.niche !== niche) return -1;
+    return (p.niche ? 2 : 0) + (p.country ? 1 : 0);
+  };
+  const best = active.map(p => [rank(p), p]).filter(([r]) => r >= 0).sort((a, b) => b[0] - a[0])[0];
+  return best ? parseRow(best[1]) : { id: null, key: 'default', version: 0, config: DEFAULT_SCORING_CONFIG };
+}
+
+export function scoreWithProfile(inputs, profile) {
+  return { ...scoreWithConfig(inputs, profile.config), scoring_version: versionLabel(profile) };
+}
+
+export function saveExplanation(db, { score_id, creator_id, profile, inputs, components }) {
+  db.prepare(`INSERT INTO score_explanations (score_id, creator_id, profile_id, scoring_version, inputs, components)
+              VALUES (?, ?, ?, ?, ?, ?)`)
+    .run(score_id, creator_id, profile.id, versionLabel(profile), JSON.stringify(inputs), JSON.stringify(components));
+}
+
+// Scores `inputs` with the profile resolved for country/niche and stores the score plus its explanation.
+export function recordScore(db, { creator_id, inputs, country, niche }) {
+  const profile = resolveProfile(db, { country, niche });
+  const sc = scoreWithProfile(inputs, profile);
+  const id = nanoid();
+  db.transaction(() => {
+    db.prepare(`INSERT INTO creator_scores (id, creator_id, score_total, grade, er_score, reach_score, consistency_score, niche_score, fraud_penalty, scoring_version, computed_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+      .run(id, creator_id, sc.score_total, sc.grade, sc.er_score, sc.reach_score, sc.consistency_score, sc.niche_score, sc.fraud_penalty, sc.scoring_version, nowIso());
+    saveExplanation(db, { score_id: id, creator_id, profile, inputs, components: sc.components });
+  })();
+  return { id, ...sc };
+}
+
+// New score from the latest stored inputs with some of them replaced (e.g. after a fraud review); no collection.
+export function rescoreLatest(db, creator_id, overrides = {}) {
+  const latest = db.prepare(`SELECT e.inputs FROM creator_scores s JOIN score_explanations e ON e.score_id = s.id
+                             WHERE s.creator_id=? ORDER BY s.computed_at DESC, s.rowid DESC LIMIT 1`).get(creator_id);
+  if (!latest) return null;
+  const creator = db.prepare('SELECT country FROM creators WHERE id=?').get(creator_id);
+  const niche = db.prepare('SELECT primary_niche FROM niche_classification WHERE creator_id=? ORDER BY computed_at DESC, rowid DESC LIMIT 1').get(creator_id);
+  return recordScore(db, { creator_id, inputs: { ...JSON.parse(latest.inputs), ...overrides }, country: creator?.country, niche: niche?.primary_niche });
+}
+
+export function getExplanation(db, score_id) {
+  const row = db.prepare('SELECT * FROM score_explanations WHERE score_id=?').get(score_id);
+  return row ? { ...row, inputs: JSON.parse(row.inputs), components: JSON.parse(row.components) } : null;
+}
+
+// Re-scores every creator's latest stored inputs under `config` without writing anything.
+export function dryRun(db, config, { country, niche } = {}) {
+  let q = `SELECT c.id AS creator_id, c.full_name, c.country, s.score_total, s.grade, s.scoring_version, e.inputs, n.primary_niche
+           FROM creators c
+           JOIN creator_scores s ON s.id = (SELECT id FROM creator_scores WHERE creator_id=c.id ORDER BY computed_at DESC, rowid DESC LIMIT 1)
+           JOIN score_explanations e ON e.score_id = s.id
+           LEFT JOIN niche_classification n ON n.id = (SELECT id FROM niche_classification WHERE creator_id=c.id ORDER BY computed_at DESC, rowid DESC LIMIT 1)
+           WHERE 1=1`;
+  const params = [];
+  if (country) { q += ' AND c.country = ?'; params.push(country); }
+  if (niche) { q += ' AND n.primary_niche = ?'; params.push(niche); }
+
+  const shifts = {};
+  const rows = db.prepare(q).all(...params).map(r => {
+    const next = scoreWithConfig(JSON.parse(r.inputs), config);
+    const key = `${r.grade}->${next.grade}`;
+    shifts[key] = (shifts[key] || 0) + 1;
+    return {
+      creator_id: r.creator_id,
+      full_name: r.full_name,
+      country: r.country,
+      niche: r.primary_niche,
+      current: { score_total: r.score_total, grade: r.grade, scoring_version: r.scoring_version },
+      proposed: { score_total: next.score_total, grade: next.grade },
+      delta: next.score_total - r.score_total
+    };
+  });
+  const changed = rows.filter(r => r.current.grade !== r.proposed.grade).length;
+  return { total: rows.length, changed, shifts, rows };
+}
@@ -2,139 +2,98 @@ import { nanoid } from 'nanoid';
 
 function clamp(n, min, max) { return Math.max(min, Math.min(max, n)); }
 
-export function computeErScore(er) {
-  if (er >= 0.06) return 100;
-  if (er >= 0.03) return 70;
-  if (er >= 0.015) return 45;
-  return 20;
+// Default scoring profile. Admin-defined profiles (lib/scoring-profiles.js) use the same shape;
+// bands are checked top-down and the first `min` the value reaches wins.
+export const DEFAULT_SCORING_CONFIG = {
+  er_bands: [{ min: 0.06, points: 100 }, { min: 0.03, points: 70 }, { min: 0.015, points: 45 }, { min: 0, points: 20 }],
+  consistency_bands: [{ min: 4, points: 100 }, { min: 2, points: 70 }, { min: 1, points: 40 }, { min: 0, points: 20 }],
+  niche_bands: [{ min: 0.75, points: 100 }, { min: 0.6, points: 75 }, { min: 0.45, points: 55 }, { min: 0, points: 35 }],
+  reach_bands: [{ min: 1.2, points: 100 }, { min: 0.8, points: 75 }, { min: 0.5, points: 55 }, { min: 0, points: 35 }],
+  weights: {
+    with_reach: { er: 0.30, reach: 0.25, consistency: 0.20, niche: 0.15, fraud: 0.10 },
+    without_reach: { er: 0.40, consistency: 0.25, niche: 0.20, fraud: 0.15 }
+  },
+  grades: [{ min: 80, grade: 'A' }, { min: 60, grade: 'B' }],
+  default_grade: 'C'
+};
+
+function bandPoints(value, bands) {
+  for (const b of bands) if (value >= b.min) return b.points;
+  return bands[bands.length - 1].points;
 }
 
-export function computeConsistencyScore(contentsPerWeek) {
-  if (contentsPerWeek >= 4) return 100;
-  if (contentsPerWeek >= 2) return 70;
-  if (contentsPerWeek >= 1) return 40;
-  return 20;
+export function computeErScore(er, bands = DEFAULT_SCORING_CONFIG.er_bands) {
+  return bandPoints(er, bands);
 }
 
-export function computeNicheScore(confidence) {
-  if (confidence >= 0.75) return 100;
-  if (confidence >= 0.6) return 75;
-  if (confidence >= 0.45) return 55;
-  return 35;
+export function computeConsistencyScore(contentsPerWeek, bands = DEFAULT_SCORING_CONFIG.consistency_bands) {
+  return bandPoints(contentsPerWeek, bands);
 }
 
-export function computeReachScore({ reachAvailable, ratio }) {
-  if (!reachAvailable) return null;
-  if (ratio >= 1.2) return 100;
-  if (ratio >= 0.8) return 75;
-  if (ratio >= 0.5) return 55;
-  return 35;
+export function computeNicheScore(confidence, bands = DEFAULT_SCORING_CONFIG.niche_bands) {
+  return bandPoints(confidence, bands);
 }
 
-export function computeFraudPenalty({ er, followers, contentCount30d }) {
-  let p = 0;
-  if (followers > 20000 && er < 0.008) p += 10;
-  if (followers > 50000 && contentCount30d < 4) p += 10;
-  if (er > 0.12 && contentCount30d < 6) p += 10;
-  return clamp(p, 0, 30);
+export function computeReachScore({ reachAvailable, ratio }, bands = DEFAULT_SCORING_CONFIG.reach_bands) {
+  if (!reachAvailable) return null;
+  return bandPoints(ratio, bands);
 }
 
-export function computeTotalScore({ erScore, reachScore, consistencyScore, nicheScore, fraudPenalty, reachAvailable }) {
+export function computeTotalScore({ erScore, reachScore, consistencyScore, nicheScore, fraudPenalty, reachAvailable }, weights = DEFAULT_SCORING_CONFIG.weights) {
   if (reachAvailable && typeof reachScore === 'number') {
-    const total = 0.30*erScore + 0.25*reachScore + 0.20*consistencyScore + 0.15*nicheScore - 0.10*fraudPenalty;
+    const w = weights.with_reach;
+    const total = w.er*erScore + w.reach*reachScore + w.consistency*consistencyScore + w.niche*nicheScore - w.fraud*fraudPenalty;
     return clamp(Math.round(total), 0, 100);
   }
-  const total = 0.40*erScore + 0.25*consistencyScore + 0.20*nicheScore - 0.15*fraudPenalty;
+  const w = weights.without_reach;
+  const total = w.er*erScore + w.consistency*consistencyScore + w.niche*nicheScore - w.fraud*fraudPenalty;
   return clamp(Math.round(total), 0, 100);
 }
 
-export function grade(score) {
-  if (score >= 80) return 'A';
-  if (score >= 60) return 'B';
-  return 'C';
+export function grade(score, config = DEFAULT_SCORING_CONFIG) {
+  for (const g of config.grades) if (score >= g.min) return g.grade;
+  return config.default_grade;
 }
 
-// --- Niche classifier (dictionary-based PT/ES)
-const DICTS = {
-  food: ["restaurante","sushi","comida","delivery","menú","menu","tapas","reseña","cocina","chef","hamburg","ramen","poke","izakaya"],
-  beauty: ["maquillaje","skincare","uñas","estética","pelo","cabello","dermo","beauty","cosmética","cosmetica"],
-  fitness: ["gym","treino","entreno","proteína","proteina","dieta","fitness","perder peso","pérdida","musculación","musculacion"],
-  tech: ["apps","gadget","review","iphone","android","software","saas","tecnología","tecnologia","ai","ia"],
-  family: ["mamá","mama","hijos","maternidad","familia","família","crianza","bebé","bebe","paternidad"],
-  travel: ["viaje","viagem","travel","hotel","ruta","playa","aeropuerto","turismo","trip"],
-  fashion: ["moda","outfit","look","streetwear","ropa","zapatos","fashion"]
-};
+function pct(v) { return `${(v * 100).toFixed(1)}%`; }
 
-export function classifyNiche({ bio = "", declared = "" }) {
-  const text = (bio + " " + declared).toLowerCase();
-  const scores = Object.fromEntries(Object.keys(DICTS).map(k => [k, 0]));
-  const evidence = {};
-  for (const [k, words] of Object.entries(DICTS)) {
-    for (const w of words) {
-      if (text.includes(w)) {
-        scores[k] += 1;
-        evidence[k] = evidence[k] || [];
-        if (evidence[k].length < 8) evidence[k].push(w);
-      }
-    }
-  }
-  const ranked = Object.entries(scores).sort((a,b)=>b[1]-a[1]);
-  const [primary, pscore] = ranked[0];
-  const [secondary, sscore] = ranked[1];
-  const totalHits = ranked.reduce((sum, [,v]) => sum+v, 0) || 1;
-  const confidence = pscore / totalHits;
-  const primary_niche = pscore === 0 ? (declared ? "general" : "general") : primary;
-  const secondary_niches = pscore === 0 ? [] : [secondary].filter(x => sscore>0);
-  const evidence_keywords = (evidence[primary] || []).slice(0, 8);
-  return {
-    primary_niche,
-    secondary_niches,
-    confidence: Number(confidence.toFixed(2)),
-    evidence_keywords
-  };
-}
+// Scores a set of inputs under one config and explains every component.
+// inputs: { er, contentsPerWeek, nicheConfidence, reachAvailable, reachRatio, fraudPenalty, fraudFlags? }
+// fraudPenalty (0-100) comes from lib/fraud.js; fraudFlags are "<flag>:<severity>" labels for the explanation.
+export function scoreWithConfig(inputs, config = DEFAULT_SCORING_CONFIG) {
+  const erScore = computeErScore(inputs.er, config.er_bands);
+  const consistencyScore = computeConsistencyScore(inputs.contentsPerWeek, config.consistency_bands);
+  const nicheScore = computeNicheScore(inputs.nicheConfidence, config.niche_bands);
+  const reachScore = computeReachScore({ reachAvailable: inputs.reachAvailable, ratio: inputs.reachRatio }, config.reach_bands);
+  const fraudPenalty = inputs.fraudPenalty;
+  const reachAvailable = inputs.reachAvailable && typeof reachScore === 'number';
+  const total = computeTotalScore({ erScore, reachScore, consistencyScore, nicheScore, fraudPenalty, reachAvailable }, config.weights);
+  const w = reachAvailable ? config.weights.with_reach : config.weights.without_reach;
 
-// Brand target mapping (starter lists; replace with your own CRM list)
-const BRAND_MAP = {
-  food: {
-    local: ["restaurantes locais","dark kitchens","cafés","eventos gastronômicos","apps de reservas"],
-    ecommerce: ["utensílios de cozinha","assinatura gourmet","boxes de comida"]
-  },
-  beauty: {
-    local: ["clínicas estéticas","salões","dermoclínicas"],
-    ecommerce: ["skincare DTC","makeup","haircare"]
-  },
-  fitness: {
-    local: ["academias","studios de treino","personal training"],
-    ecommerce: ["roupa esportiva","acessórios fitness"]
-  },
-  tech: {
-    local: ["assistência técnica","lojas de acessórios","coworkings"],
-    ecommerce: ["gadgets","apps/SaaS","fintechs"]
-  },
-  family: {
-    local: ["escolas/atividades","lojas infantis","serviços familiares"],
-    ecommerce: ["produtos baby","brinquedos","assinaturas educativas"]
-  },
-  travel: {
-    local: ["agências locais","tours","guias"],
-    ecommerce: ["malas","acessórios viagem","seguros"]
-  },
-  fashion: {
-    local: ["boutiques","barbearias/estilo","fotografia"],
-    ecommerce: ["streetwear","acessórios","calçados"]
-  },
-  general: {
-    local: ["serviços locais","eventos","restaurantes"],
-    ecommerce: ["e-commerce geral","apps","produtos de alta rotatividade"]
-  }
-};
+  const component = (key, label, points, weight, sign = 1) => ({
+    component: key,
+    points,
+    weight,
+    contribution: Number((sign * points * weight).toFixed(2)),
+    explanation: `${label} → ${points} points, weight ${weight.toFixed(2)}`
+  });
+  const components = [
+    component('er', `ER ${pct(inputs.er)}`, erScore, w.er),
+    ...(reachAvailable ? [component('reach', `Reach ${pct(inputs.reachRatio)} of followers`, reachScore, w.reach)] : []),
+    component('consistency', `${inputs.contentsPerWeek.toFixed(1)} posts/week`, consistencyScore, w.consistency),
+    component('niche', `Niche confidence ${inputs.nicheConfidence.toFixed(2)}`, nicheScore, w.niche),
+    component('fraud', inputs.fraudFlags?.length ? `Fraud flags (${inputs.fraudFlags.join(', ')})` : 'No fraud flags', fraudPenalty, w.fraud, -1)
+  ];
 
-export function buildBrandTargets(niche) {
-  const map = BRAND_MAP[niche] || BRAND_MAP.general;
   return {
-    local: map.local,
-    ecommerce: map.ecommerce
+    score_total: total,
+    grade: grade(total, config),
+    er_score: erScore,
+    reach_score: reachScore ?? 0,
+    consistency_score: consistencyScore,
+    niche_score: nicheScore,
+    fraud_penalty: fraudPenalty,
+    components
   };
 }
 
@@ -0,0 +1,152 @@
+import fetch from 'node-fetch';
+import { aggregateDaily, WINDOW_DAYS } from './collector.js';
+
+// TikTok Login Kit + Display API (v2): OAuth, profile stats and the creator's own videos.
+// Access tokens last 24h and are renewed with the refresh token (valid ~365 days, rotated on every refresh).
+// Base URLs are overridable so scripts/fake-providers.js can stand in during tests.
+
+export const TIKTOK_SCOPES = ['user.info.basic', 'user.info.profile', 'user.info.stats', 'video.list'];
+
+const USER_FIELDS = 'open_id,union_id,username,display_name,bio_description,follower_count,following_count,likes_count,video_count,is_verified';
+const VIDEO_FIELDS = 'id,create_time,title,video_description,duration,like_count,comment_count,share_count,view_count';
+
+function apiBase() {
+  return (process.env.TIKTOK_API_URL || 'https://open.tiktokapis.com/v2').replace(/\/$/, '');
+}
+
+function authUrl() {
+  return process.env.TIKTOK_AUTH_URL || 'https://www.tiktok.com/v2/auth/authorize/';
+}
+
+export function tiktokConfigured() {
+  return !!(process.env.TIKTOK_CLIENT_KEY && process.env.TIKTOK_CLIENT_SECRET && process.env.TIKTOK_REDIRECT_URI);
+}
+
+// OAuth errors come as { error, error_description }, API errors as { error: { code, message } } with code 'ok' on success.
+function apiError(r, j, fallback) {
+  const err = new Error(j.error_description || j.error?.message || fallback);
+  err.status = r.status;
+  err.code = typeof j.error === 'string' ? j.error : j.error?.code;
+  return err;
+}
+
+function failed(r, j) {
+  return !r.ok || typeof j.error === 'string' || (!!j.error?.code && j.error.code !== 'ok');
+}
+
+const AUTH_CODES = ['access_token_invalid', 'invalid_grant', 'scope_not_authorized', 'scope_permission_missed', 'invalid_token'];
+
+export function isAuthError(err) {
+  return err?.status === 401 || AUTH_CODES.includes(err?.code);
+}
+
+export function buildAuthUrl({ state }) {
+  const qs = new URLSearchParams({
+    client_key: process.env.TIKTOK_CLIENT_KEY || '',
+    redirect_uri: process.env.TIKTOK_REDIRECT_URI || '',
+    response_type: 'code',
+    scope: TIKTOK_SCOPES.join(','),
+    state
+  });
+  return `${authUrl()}?${qs.toString()}`;
+}
+
+async function tokenRequest(params, fallback) {
+  const r = await fetch(`${apiBase()}/oauth/token/`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      client_key: process.env.TIKTOK_CLIENT_KEY || '',
+      client_secret: process.env.TIKTOK_CLIENT_SECRET || '',
+      ...params
+    }).toString()
+  });
+  const j = await r.json();
+  if (failed(r, j)) throw apiError(r, j, fallback);
+  return j; // { access_token, expires_in, open_id, refresh_token, refresh_expires_in, scope, token_type }
+}
+
+export function exchangeCodeForToken(code) {
+  return tokenRequest({ code, grant_type: 'authorization_code', redirect_uri: process.env.TIKTOK_REDIRECT_URI || '' }, 'Token exchange failed');
+}
+
+export function refreshAccessToken(refreshToken) {
+  return tokenRequest({ grant_type: 'refresh_token', refresh_token: refreshToken }, 'Token refresh failed');
+}
+
+export async function revokeToken(accessToken) {
+  const r = await fetch(`${apiBase()}/oauth/revoke/`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      client_key: process.env.TIKTOK_CLIENT_KEY || '',
+      client_secret: process.env.TIKTOK_CLIENT_SECRET || '',
+      token: accessToken
+    }).toString()
+  });
+  const j = await r.json().catch(() => ({}));
+  if (failed(r, j)) throw apiError(r, j, 'Token revoke failed');
+  return true;
+}
+
+async function apiRequest(method, pathname, accessToken, { params = {}, body } = {}) {
+  const qs = new URLSearchParams(params).toString();
+  const r = await fetch(`${apiBase()}${pathname}${qs ? `?${qs}` : ''}`, {
+    method,
+    headers: { Authorization: `Bearer ${accessToken}`, ...(body ? { 'Content-Type': 'application/json' } : {}) },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const j = await r.json();
+  if (failed(r, j)) throw apiError(r, j, `TikTok request failed: ${pathname}`);
+  return j.data || {};
+}
+
+export async function fetchUser(accessToken) {
+  const data = await apiRequest('GET', '/user/info/', accessToken, { params: { fields: USER_FIELDS } });
+  return data.user || {};
+}
+
+// Videos are listed newest first; pages stop at the collection window.
+export async function fetchRecentVideos(accessToken, { days = WINDOW_DAYS } = {}) {
+  const since = Math.floor((Date.now() - days * 86400000) / 1000);
+  const items = [];
+  let cursor = null;
+  for (let page = 0; page < 10; page++) {
+    const data = await apiRequest('POST', '/video/list/', accessToken, {
+      params: { fields: VIDEO_FIELDS },
+      body: { max_count: 20, ...(cursor ? { cursor } : {}) }
+    });
+    let reachedEnd = false;
+    for (const v of data.videos || []) {
+      if (v.create_time < since) { reachedEnd = true; break; }
+      items.push(v);
+    }
+    cursor = data.cursor;
+    if (reachedEnd || !data.has_more || !cursor) break;
+  }
+  return items;
+}
+
+// Same shape collectInstagram returns. Every TikTok is short-form video, so it counts as a reel; the API has no
+// per-video reach, only views (kept as plays -> views_total).
+export async function collectTikTok(accessToken) {
+  const user = await fetchUser(accessToken);
+  const videos = await fetchRecentVideos(accessToken);
+  const profile = {
+    followers_count: user.follower_count ?? null,
+    follows_count: user.following_count ?? null,
+    media_count: user.video_count ?? null,
+    biography: user.bio_description || null,
+    website: null
+  };
+  const media = videos.map(v => ({
+    id: v.id,
+    caption: [v.title, v.video_description].filter(Boolean).join('\n') || null,
+    media_product_type: 'REELS',
+    timestamp: new Date(v.create_time * 1000).toISOString(),
+    like_count: v.like_count || 0,
+    comments_count: v.comment_count || 0,
+    insights: { shares: v.share_count || 0, plays: v.view_count || 0 }
+  }));
+  return { profile, media, daily: aggregateDaily(media) };
+}
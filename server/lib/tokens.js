@@ -0,0 +1,101 @@
+import { encryptToken, decryptToken } from './crypto.js';
+import { getProvider } from './providers.js';
+
+// Token lifecycle for connected accounts.
+// active -> (refresh fails with auth error) -> needs_reauth, or expired once token_expires_at has passed.
+// For providers with refresh tokens (TikTok, YouTube) token_expires_at is the refresh token's expiry (null = none), i.e. the
+// connection's real lifetime; the short access token expiry and the refresh token live in account_credentials.
+
+// Access tokens expiring within this margin are renewed before use
+const ACCESS_MARGIN_MS = 60 * 1000;
+
+function nowIso() { return new Date().toISOString(); }
+
+export function expiresAtFrom(expiresIn) {
+  return expiresIn ? new Date(Date.now() + expiresIn * 1000).toISOString() : null;
+}
+
+export function isExpired(account, now = Date.now()) {
+  return !!account.token_expires_at && new Date(account.token_expires_at).getTime() <= now;
+}
+
+export function markAccountStatus(db, account_id, status) {
+  db.prepare('UPDATE connected_accounts SET status=? WHERE id=?').run(status, account_id);
+}
+
+// Stores what a code exchange or refresh returned ({ access_token, expires_in, refresh_token?, refresh_expires_in? }).
+// A refresh that doesn't rotate the refresh token keeps the stored one and its expiry.
+export function saveTokens(db, account_id, platform, tokens) {
+  const provider = getProvider(platform);
+  if (!provider.refreshable) {
+    db.prepare('UPDATE connected_accounts SET access_token_enc=?, token_expires_at=? WHERE id=?')
+      .run(encryptToken(tokens.access_token), expiresAtFrom(tokens.expires_in), account_id);
+    return;
+  }
+  const ts = nowIso();
+  db.transaction(() => {
+    if (tokens.refresh_token) {
+      db.prepare('UPDATE connected_accounts SET access_token_enc=?, token_expires_at=? WHERE id=?')
+        .run(encryptToken(tokens.access_token), expiresAtFrom(tokens.refresh_expires_in), account_id);
+    } else {
+      db.prepare('UPDATE connected_accounts SET access_token_enc=? WHERE id=?').run(encryptToken(tokens.access_token), account_id);
+    }
+    db.prepare(`INSERT INTO account_credentials (account_id, refresh_token_enc, access_expires_at, updated_at) VALUES (?, ?, ?, ?)
+                ON CONFLICT(account_id) DO UPDATE SET refresh_token_enc=COALESCE(excluded.refresh_token_enc, refresh_token_enc),
+                  access_expires_at=excluded.access_expires_at, updated_at=excluded.updated_at`)
+      .run(account_id, tokens.refresh_token ? encryptToken(tokens.refresh_token) : null, expiresAtFrom(tokens.expires_in), ts);
+  })();
+}
+
+// Returns { status, expires_at }. Auth failures are recorded on the account; anything else
+// (network, 5xx) is rethrown so the job queue retries it.
+export async function refreshAccountToken(db, account_id) {
+  const account = db.prepare('SELECT id, platform, status, access_token_enc, token_expires_at FROM connected_accounts WHERE id=?').get(account_id);
+  if (!account || account.status !== 'active') return { status: account?.status || 'missing' };
+  const provider = getProvider(account.platform);
+  const credentials = db.prepare('SELECT refresh_token_enc FROM account_credentials WHERE account_id=?').get(account_id);
+
+  try {
+    const tokens = await provider.refresh({
+      access_token: account.access_token_enc ? decryptToken(account.access_token_enc) : null,
+      refresh_token: credentials?.refresh_token_enc ? decryptToken(credentials.refresh_token_enc) : null
+    });
+    saveTokens(db, account_id, account.platform, tokens);
+    const { token_expires_at } = db.prepare('SELECT token_expires_at FROM connected_accounts WHERE id=?').get(account_id);
+    return { status: 'active', expires_at: token_expires_at };
+  } catch (e) {
+    if (isExpired(account)) {
+      markAccountStatus(db, account_id, 'expired');
+      return { status: 'expired', error: e.message };
+    }
+    if (provider.isAuthError(e)) {
+      markAccountStatus(db, account_id, 'needs_reauth');
+      return { status: 'needs_reauth', error: e.message };
+    }
+    throw e;
+  }
+}
+
+// Access token for an API call: { status:'active', access_token } or the refresh outcome when renewal was needed and failed.
+export async function currentAccessToken(db, account_id) {
+  const account = db.prepare('SELECT platform, access_token_enc FROM connected_accounts WHERE id=?').get(account_id);
+  if (getProvider(account.platform).refreshable) {
+    const credentials = db.prepare('SELECT access_expires_at FROM account_credentials WHERE account_id=?').get(account_id);
+    if (!credentials?.access_expires_at || Date.parse(credentials.access_expires_at) - Date.now() < ACCESS_MARGIN_MS) {
+      const r = await refreshAccountToken(db, account_id);
+      if (r.status !== 'active') return r;
+      return { status: 'active', access_token: decryptToken(db.prepare('SELECT access_token_enc FROM connected_accounts WHERE id=?').get(account_id).access_token_enc) };
+    }
+  }
+  return { status: 'active', access_token: decryptToken(account.access_token_enc) };
+}
+
+export function listExpiringAccounts(db, { withinDays = 7 } = {}) {
+  const horizon = new Date(Date.now() + withinDays * 86400000).toISOString();
+  return db.prepare(`SELECT a.id, a.creator_id, a.platform, a.username, a.status, a.token_expires_at, a.last_sync_at,
+                            c.full_name, c.email
+                     FROM connected_accounts a JOIN creators c ON c.id = a.creator_id
+                     WHERE (a.status='active' AND a.token_expires_at IS NOT NULL AND a.token_expires_at < ?)
+                        OR a.status IN ('expired','needs_reauth')
+                     ORDER BY a.token_expires_at`).all(horizon);
+}
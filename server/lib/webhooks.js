@@ -0,0 +1,183 @@
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import { nanoid } from 'nanoid';
+import { z } from 'zod';
+import { encryptToken, decryptToken } from './crypto.js';
+import { enqueueJob } from './jobs.js';
+
+// Outbound webhooks. Each event creates one delivery per subscribed endpoint, sent by a `webhook_delivery` job
+// (retries with the queue's backoff). Bodies are signed with HMAC-SHA256 over "<timestamp>.<body>" using the
+// endpoint secret, which is stored encrypted and shown only when created or rotated.
+// Payloads carry the creator id and pipeline data, never contact details.
+
+export const WEBHOOK_EVENTS = ['QUALIFIED', 'SHARE_ENABLED', 'SHARE_DISABLED', 'DISCONNECT'];
+export const SIGNATURE_HEADER = 'X-Signature';
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+// Receivers should reject signatures older than this
+export const SIGNATURE_TOLERANCE_S = 300;
+
+export const WebhookEndpointSchema = z.object({
+  url: z.string().url().max(500).refine(u => /^https?:\/\//.test(u), 'http(s) only'),
+  events: z.array(z.enum(WEBHOOK_EVENTS)).min(1),
+  description: z.string().max(200).optional().nullable(),
+  active: z.boolean().default(true)
+});
+
+function nowIso() { return new Date().toISOString(); }
+
+function newSecret() { return `whsec_${crypto.randomBytes(24).toString('base64url')}`; }
+
+// Public shape: never includes the secret.
+function parseEndpoint(row) {
+  if (!row) return null;
+  const { secret_enc, ...rest } = row;
+  return { ...rest, events: JSON.parse(row.events), active: !!row.active };
+}
+
+export function listEndpoints(db) {
+  return db.prepare('SELECT * FROM webhook_endpoints ORDER BY created_at').all().map(parseEndpoint);
+}
+
+export function getEndpoint(db, id) {
+  return parseEndpoint(db.prepare('SELECT * FROM webhook_endpoints WHERE id=?').get(id));
+}
+
+// Returns the endpoint plus its secret (the only time it is readable).
+export function createEndpoint(db, data, { created_by }) {
+  const id = nanoid();
+  const secret = newSecret();
+  const ts = nowIso();
+  db.prepare(`INSERT INTO webhook_endpoints (id, url, events, description, secret_enc, active, created_by, created_at, updated_at)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+    .run(id, data.url, JSON.stringify(data.events), data.description ?? null, encryptToken(secret), data.active ? 1 : 0, created_by, ts, ts);
+  return { ...getEndpoint(db, id), secret };
+}
+
+export function updateEndpoint(db, id, patch) {
+  const current = getEndpoint(db, id);
+  if (!current) return null;
+  const e = { ...current, ...patch };
+  db.prepare('UPDATE webhook_endpoints SET url=?, events=?, description=?, active=?, updated_at=? WHERE id=?')
+    .run(e.url, JSON.stringify(e.events), e.description ?? null, e.active ? 1 : 0, nowIso(), id);
+  return getEndpoint(db, id);
+}
+
+export function rotateEndpointSecret(db, id) {
+  if (!getEndpoint(db, id)) return null;
+  const secret = newSecret();
+  db.prepare('UPDATE webhook_endpoints SET secret_enc=?, updated_at=? WHERE id=?').run(encryptToken(secret), nowIso(), id);
+  return { ...getEndpoint(db, id), secret };
+}
+
+// Pending deliveries of a deleted endpoint fail on their next attempt.
+export function deleteEndpoint(db, id) {
+  return db.prepare('DELETE FROM webhook_endpoints WHERE id=?').run(id).changes > 0;
+}
+
+// `t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.body">`
+export function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const mac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${mac}`;
+}
+
+// Receiver-side check (used by the mock server; documented for integrators).
+export function verifySignature(secret, body, header, { toleranceS = SIGNATURE_TOLERANCE_S, now = Date.now() } = {}) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(p => p.split('=')));
+  const t = Number(parts.t);
+  if (!t || !parts.v1 || Math.abs(now / 1000 - t) > toleranceS) return false;
+  const expected = Buffer.from(signPayload(secret, body, t).split('v1=')[1], 'hex');
+  const given = Buffer.from(parts.v1, 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function createDelivery(db, endpoint_id, event, creator_id, data) {
+  const id = nanoid();
+  const ts = nowIso();
+  const payload = { id, event, occurred_at: ts, data: { creator_id, ...data } };
+  db.prepare(`INSERT INTO webhook_deliveries (id, endpoint_id, event, creator_id, payload, status, attempts, created_at, updated_at)
+              VALUES (?, ?, ?, ?, ?, 'pending', 0, ?, ?)`)
+    .run(id, endpoint_id, event, creator_id, JSON.stringify(payload), ts, ts);
+  enqueueJob(db, { type: 'webhook_delivery', payload: { delivery_id: id }, creator_id });
+  return id;
+}
+
+// One delivery + job per active endpoint subscribed to the event. Returns the number queued.
+export function queueWebhookEvent(db, event, { creator_id = null, data = {} } = {}) {
+  const endpoints = db.prepare('SELECT id, events FROM webhook_endpoints WHERE active=1').all()
+    .filter(e => JSON.parse(e.events).includes(event));
+  for (const e of endpoints) createDelivery(db, e.id, event, creator_id, data);
+  return endpoints.length;
+}
+
+// PING delivery to a single endpoint (active or not), to check URL and signature handling.
+export function queueTestDelivery(db, endpoint_id) {
+  if (!getEndpoint(db, endpoint_id)) return null;
+  return createDelivery(db, endpoint_id, 'PING', null, { test: true });
+}
+
+// Job handler body. Non-2xx / network errors throw so the queue retries; the delivery row mirrors the outcome
+// and turns 'failed' on the job's last attempt.
+export async function deliverWebhook(db, delivery_id, job = { attempts: 1, max_attempts: 1 }) {
+  const delivery = db.prepare('SELECT * FROM webhook_deliveries WHERE id=?').get(delivery_id);
+  if (!delivery || delivery.status === 'delivered') return null;
+  const endpoint = db.prepare('SELECT * FROM webhook_endpoints WHERE id=?').get(delivery.endpoint_id);
+  const record = (status, { code = null, error = null } = {}) => {
+    const ts = nowIso();
+    db.prepare(`UPDATE webhook_deliveries SET status=?, attempts=attempts+1, last_status_code=?, last_error=?, delivered_at=?, updated_at=? WHERE id=?`)
+      .run(status, code, error, status === 'delivered' ? ts : null, ts, delivery_id);
+  };
+  if (!endpoint) {
+    record('failed', { error: 'endpoint deleted' });
+    return { status: 'failed' };
+  }
+
+  const body = delivery.payload;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+  let code = null;
+  try {
+    const r = await fetch(endpoint.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'influencer-funnel-webhooks/1',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        [SIGNATURE_HEADER]: signPayload(decryptToken(endpoint.secret_enc), body)
+      },
+      body,
+      signal: controller.signal,
+      redirect: 'manual'
+    });
+    code = r.status;
+    if (r.status < 200 || r.status >= 300) throw new Error(`endpoint responded ${r.status}`);
+  } catch (e) {
+    const error = e.name === 'AbortError' ? `timeout after ${TIMEOUT_MS}ms` : e.message;
+    record(job.attempts >= job.max_attempts ? 'failed' : 'retrying', { code, error: String(error).slice(0, 500) });
+    throw new Error(error);
+  } finally {
+    clearTimeout(timer);
+  }
+  record('delivered', { code });
+  return { status: 'delivered', code };
+}
+
+export function listDeliveries(db, { endpoint_id, status, limit = 100 } = {}) {
+  let q = 'SELECT * FROM webhook_deliveries WHERE 1=1';
+  const params = [];
+  if (endpoint_id) { q += ' AND endpoint_id = ?'; params.push(endpoint_id); }
+  if (status) { q += ' AND status = ?'; params.push(status); }
+  q += ' ORDER BY created_at DESC LIMIT ?';
+  params.push(limit);
+  return db.prepare(q).all(...params).map(d => ({ ...d, payload: JSON.parse(d.payload) }));
+}
+
+// Manual re-send of a failed delivery (same id and payload, new job).
+export function redeliver(db, delivery_id) {
+  const d = db.prepare('SELECT id, creator_id, status FROM webhook_deliveries WHERE id=?').get(delivery_id);
+  if (!d) return null;
+  if (d.status !== 'failed') return { ok: false, reason: `delivery is ${d.status}` };
+  db.prepare("UPDATE webhook_deliveries SET status='pending', updated_at=? WHERE id=?").run(nowIso(), delivery_id);
+  enqueueJob(db, { type: 'webhook_delivery', payload: { delivery_id }, creator_id: d.creator_id });
+  return { ok: true };
+}
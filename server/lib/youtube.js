@@ -0,0 +1,152 @@
+import fetch from 'node-fetch';
+import { aggregateDaily, WINDOW_DAYS } from './collector.js';
+
+// Google OAuth + YouTube Data API v3: the authorized user's own channel and its recent uploads.
+// Access tokens last 1h; access_type=offline returns a refresh token that does not expire while in use.
+// Base URLs are overridable so scripts/fake-providers.js can stand in during tests.
+
+export const YOUTUBE_SCOPES = ['https://www.googleapis.com/auth/youtube.readonly'];
+
+function authUrl() {
+  return process.env.GOOGLE_AUTH_URL || 'https://accounts.google.com/o/oauth2/v2/auth';
+}
+
+function oauthBase() {
+  return (process.env.GOOGLE_OAUTH_URL || 'https://oauth2.googleapis.com').replace(/\/$/, '');
+}
+
+function apiBase() {
+  return (process.env.YOUTUBE_API_URL || 'https://www.googleapis.com/youtube/v3').replace(/\/$/, '');
+}
+
+export function youtubeConfigured() {
+  return !!(process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET && process.env.YOUTUBE_REDIRECT_URI);
+}
+
+// OAuth errors: { error: 'invalid_grant', error_description }; API errors: { error: { code, message, errors:[{ reason }] } }.
+function apiError(r, j, fallback) {
+  const err = new Error(j.error_description || j.error?.message || fallback);
+  err.status = r.status;
+  err.code = typeof j.error === 'string' ? j.error : j.error?.errors?.[0]?.reason;
+  return err;
+}
+
+const AUTH_CODES = ['invalid_grant', 'invalid_token', 'authError', 'insufficientPermissions', 'forbidden'];
+
+export function isAuthError(err) {
+  return err?.status === 401 || AUTH_CODES.includes(err?.code);
+}
+
+// prompt=consent makes Google return a refresh token on reconnects as well.
+export function buildAuthUrl({ state }) {
+  const qs = new URLSearchParams({
+    client_id: process.env.GOOGLE_CLIENT_ID || '',
+    redirect_uri: process.env.YOUTUBE_REDIRECT_URI || '',
+    response_type: 'code',
+    scope: YOUTUBE_SCOPES.join(' '),
+    access_type: 'offline',
+    include_granted_scopes: 'true',
+    prompt: 'consent',
+    state
+  });
+  return `${authUrl()}?${qs.toString()}`;
+}
+
+async function tokenRequest(params, fallback) {
+  const r = await fetch(`${oauthBase()}/token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      client_id: process.env.GOOGLE_CLIENT_ID || '',
+      client_secret: process.env.GOOGLE_CLIENT_SECRET || '',
+      ...params
+    }).toString()
+  });
+  const j = await r.json();
+  if (!r.ok) throw apiError(r, j, fallback);
+  return j; // { access_token, expires_in, refresh_token?, scope, token_type }
+}
+
+export function exchangeCodeForToken(code) {
+  return tokenRequest({ code, grant_type: 'authorization_code', redirect_uri: process.env.YOUTUBE_REDIRECT_URI || '' }, 'Token exchange failed');
+}
+
+export function refreshAccessToken(refreshToken) {
+  return tokenRequest({ grant_type: 'refresh_token', refresh_token: refreshToken }, 'Token refresh failed');
+}
+
+// Revoking either token revokes the whole grant.
+export async function revokeToken(token) {
+  const r = await fetch(`${oauthBase()}/revoke?token=${encodeURIComponent(token)}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+  });
+  if (!r.ok) throw apiError(r, await r.json().catch(() => ({})), 'Token revoke failed');
+  return true;
+}
+
+export async function youtubeGet(pathname, accessToken, params = {}) {
+  const r = await fetch(`${apiBase()}${pathname}?${new URLSearchParams(params).toString()}`, {
+    headers: { Authorization: `Bearer ${accessToken}` }
+  });
+  const j = await r.json();
+  if (!r.ok) throw apiError(r, j, `YouTube request failed: ${pathname}`);
+  return j;
+}
+
+export async function fetchChannel(accessToken) {
+  const j = await youtubeGet('/channels', accessToken, { part: 'snippet,statistics,contentDetails', mine: 'true' });
+  return j.items?.[0] || null;
+}
+
+// Uploads playlist, newest first, then statistics for the videos inside the window (50 ids per call).
+export async function fetchRecentVideos(accessToken, uploadsPlaylistId, { days = WINDOW_DAYS } = {}) {
+  const since = Date.now() - days * 86400000;
+  const ids = [];
+  let pageToken = null;
+  for (let page = 0; page < 10; page++) {
+    const j = await youtubeGet('/playlistItems', accessToken, {
+      part: 'contentDetails', playlistId: uploadsPlaylistId, maxResults: '50', ...(pageToken ? { pageToken } : {})
+    });
+    let reachedEnd = false;
+    for (const item of j.items || []) {
+      if (new Date(item.contentDetails.videoPublishedAt).getTime() < since) { reachedEnd = true; break; }
+      ids.push(item.contentDetails.videoId);
+    }
+    pageToken = j.nextPageToken;
+    if (reachedEnd || !pageToken) break;
+  }
+  const videos = [];
+  for (let i = 0; i < ids.length; i += 50) {
+    const j = await youtubeGet('/videos', accessToken, { part: 'snippet,statistics', id: ids.slice(i, i + 50).join(',') });
+    videos.push(...(j.items || []));
+  }
+  return videos;
+}
+
+// Same shape collectInstagram returns. Subscribers stand in for followers; the Data API has no reach,
+// only views (kept as plays -> views_total). Hidden subscriber counts are stored as unknown.
+export async function collectYouTube(accessToken) {
+  const channel = await fetchChannel(accessToken);
+  if (!channel) throw Object.assign(new Error('No YouTube channel for this login'), { code: 'no_channel' });
+  const stats = channel.statistics || {};
+  const uploads = channel.contentDetails?.relatedPlaylists?.uploads;
+  const videos = uploads ? await fetchRecentVideos(accessToken, uploads) : [];
+  const profile = {
+    followers_count: stats.hiddenSubscriberCount ? null : Number(stats.subscriberCount || 0),
+    follows_count: null,
+    media_count: Number(stats.videoCount || 0),
+    biography: channel.snippet?.description || null,
+    website: null
+  };
+  const media = videos.map(v => ({
+    id: v.id,
+    caption: [v.snippet?.title, v.snippet?.description].filter(Boolean).join('\n') || null,
+    media_product_type: 'VIDEO',
+    timestamp: v.snippet?.publishedAt,
+    like_count: Number(v.statistics?.likeCount || 0),
+    comments_count: Number(v.statistics?.commentCount || 0),
+    insights: { plays: Number(v.statistics?.viewCount || 0) }
+  }));
+  return { profile, media, daily: aggregateDaily(media) };
+}
@@ -0,0 +1,23 @@
+import 'dotenv/config';
+import crypto from 'crypto';
+import { openDb } from '../db/db.js';
+import { ROLES, createAdminUser } from '../lib/admin-auth.js';
+
+// Usage: npm run admin:create -- <email> <role> [name]
+// Prints a generated password once (or uses ADMIN_PASSWORD when set).
+const [email, role = 'owner', ...nameParts] = process.argv.slice(2);
+if (!email || !ROLES.includes(role)) {
+  console.error(`usage: npm run admin:create -- <email> <${ROLES.join('|')}> [name]`);
+  process.exit(1);
+}
+
+const db = openDb();
+const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+try {
+  const id = await createAdminUser(db, { email, role, name: nameParts.join(' ') || null, password });
+  console.log(`admin created: ${id} ${email} (${role})`);
+  if (!process.env.ADMIN_PASSWORD) console.log(`password: ${password}`);
+} catch (e) {
+  console.error(String(e).includes('UNIQUE') ? 'email already exists' : e.message);
+  process.exit(1);
+}
@@ -0,0 +1,234 @@
+import http from 'http';
+
+// Local stand-in for the OAuth servers and APIs of every provider (Meta Graph, TikTok, Google/YouTube), so the whole
+// connect -> collect -> refresh -> revoke flow runs without real apps. Consent screens approve immediately.
+// Usage: npm run mock:providers, then point the server at it (PORT below, default 9930):
+//   META_AUTH_URL=http://localhost:9930/meta/dialog/oauth    META_GRAPH_URL=http://localhost:9930/meta/graph
+//   TIKTOK_AUTH_URL=http://localhost:9930/tiktok/auth        TIKTOK_API_URL=http://localhost:9930/tiktok/v2
+//   GOOGLE_AUTH_URL=http://localhost:9930/google/auth        GOOGLE_OAUTH_URL=http://localhost:9930/google/oauth
+//   YOUTUBE_API_URL=http://localhost:9930/google/youtube/v3
+// plus any non-empty client id/secret and the usual *_REDIRECT_URI values.
+//   FAKE_PROVIDERS_PORT  port (default 9930)
+//   FAKE_USER            id of the account every login returns (default "creator1"); change it to test conflicts
+//   FAKE_ACCESS_TTL      access token lifetime in seconds, for all providers (default: each platform's real one)
+//   FAKE_DENY            1 = consent screens answer error=access_denied
+const PORT = Number(process.env.FAKE_PROVIDERS_PORT || 9930);
+const USER = process.env.FAKE_USER || 'creator1';
+const TTL = { meta: 5184000, tiktok: 86400, google: 3599 };
+
+const codes = new Map(); // code -> { platform, user }
+const tokens = new Map(); // token -> { platform, user, kind: 'access'|'refresh', expires_at, revoked }
+let seq = 1;
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+function issue(platform, user, kind, ttl) {
+  const token = `${platform}-${kind}-${seq++}`;
+  tokens.set(token, { platform, user, kind, expires_at: ttl ? Date.now() + ttl * 1000 : null, revoked: false });
+  return token;
+}
+
+function accessTtl(platform) {
+  return Number(process.env.FAKE_ACCESS_TTL || TTL[platform]);
+}
+
+// The token's record if it is a live access token of this platform, else null.
+function check(platform, token) {
+  const t = tokens.get(token);
+  if (!t || t.platform !== platform || t.kind !== 'access' || t.revoked) return null;
+  if (t.expires_at && t.expires_at < Date.now()) return null;
+  return t;
+}
+
+// Consent screen: straight back to redirect_uri with a one-time code (or the denial).
+function authorize(res, url, platform) {
+  const back = new URL(url.searchParams.get('redirect_uri'));
+  back.searchParams.set('state', url.searchParams.get('state') || '');
+  if (process.env.FAKE_DENY === '1') {
+    back.searchParams.set('error', 'access_denied');
+  } else {
+    const code = `code-${platform}-${seq++}`;
+    codes.set(code, { platform, user: USER });
+    back.searchParams.set('code', code);
+  }
+  console.log(`${platform} consent -> ${back.origin}${back.pathname}`);
+  res.writeHead(302, { Location: back.toString() });
+  res.end();
+}
+
+function useCode(platform, code) {
+  const c = codes.get(code);
+  codes.delete(code);
+  return c && c.platform === platform ? c : null;
+}
+
+const now = Date.now();
+const daysAgo = (n) => new Date(now - n * 86400000);
+const CAPTIONS = ['receita de sushi caseiro #food #cocina', 'review do restaurante novo #foodie', 'jantar em casa: massa fresca #receita'];
+
+// --- Meta Graph (access_token as query string, errors as { error: { code } })
+function meta(req, res, url, p) {
+  const graphError = (code, message, status = 400) => send(res, status, { error: { message, type: 'OAuthException', code } });
+  if (p === '/oauth/access_token') {
+    if (url.searchParams.get('grant_type') === 'fb_exchange_token') {
+      const t = check('meta', url.searchParams.get('fb_exchange_token'));
+      if (!t) return graphError(190, 'Invalid OAuth access token.');
+      return send(res, 200, { access_token: issue('meta', t.user, 'access', accessTtl('meta')), token_type: 'bearer', expires_in: accessTtl('meta') });
+    }
+    const c = useCode('meta', url.searchParams.get('code'));
+    if (!c) return graphError(100, 'Invalid verification code format.');
+    return send(res, 200, { access_token: issue('meta', c.user, 'access', 3600), token_type: 'bearer', expires_in: 3600 });
+  }
+  const t = check('meta', url.searchParams.get('access_token'));
+  if (!t) return graphError(190, 'Error validating access token.', 401);
+  const igId = `ig-${t.user}`;
+  if (p === '/me/permissions' && req.method === 'DELETE') {
+    for (const [k, v] of tokens) if (v.platform === 'meta' && v.user === t.user) tokens.set(k, { ...v, revoked: true });
+    return send(res, 200, { success: true });
+  }
+  if (p === '/me') return send(res, 200, { id: `fb-${t.user}`, name: 'Fake Creator' });
+  if (p === '/me/accounts') return send(res, 200, { data: [{ id: `page-${t.user}`, instagram_business_account: { id: igId, username: `${t.user}.ig` } }] });
+  if (p === `/${igId}`) {
+    return send(res, 200, { id: igId, username: `${t.user}.ig`, followers_count: 10000, follows_count: 300, media_count: 120, biography: 'Chef & foodie. Receitas e reviews de restaurantes', website: 'https://example.com' });
+  }
+  if (p === `/${igId}/media`) {
+    const data = Array.from({ length: 12 }, (_, i) => ({
+      id: `m${i}`, caption: CAPTIONS[i % CAPTIONS.length], media_type: 'IMAGE', media_product_type: i % 3 === 0 ? 'REELS' : 'FEED',
+      timestamp: daysAgo(i * 2).toISOString().replace('Z', '+0000'), like_count: 300 + i, comments_count: 20
+    }));
+    return send(res, 200, { data, paging: {} });
+  }
+  if (p === `/${igId}/insights`) return send(res, 200, { data: [{ name: 'profile_views', period: 'day', values: [{ value: 40, end_time: daysAgo(1).toISOString() }] }] });
+  if (/^\/m\d+\/insights$/.test(p)) {
+    return send(res, 200, { data: [{ name: 'reach', values: [{ value: 2000 }] }, { name: 'saved', values: [{ value: 12 }] }, { name: 'shares', values: [{ value: 5 }] }] });
+  }
+  graphError(100, `Unknown path ${p}`, 404);
+}
+
+// --- TikTok v2 (form-encoded OAuth, Bearer API, errors as { error: { code } } with code 'ok' on success)
+async function tiktok(req, res, url, p) {
+  const ok = { code: 'ok', message: '', log_id: `log${seq++}` };
+  if (p === '/oauth/token/' || p === '/oauth/revoke/') {
+    const form = new URLSearchParams(await readBody(req));
+    if (!form.get('client_key') || !form.get('client_secret')) return send(res, 400, { error: 'invalid_client', error_description: 'client_key/secret required' });
+    if (p === '/oauth/revoke/') {
+      const t = tokens.get(form.get('token'));
+      if (t) for (const [k, v] of tokens) if (v.platform === 'tiktok' && v.user === t.user) tokens.set(k, { ...v, revoked: true });
+      return send(res, 200, {});
+    }
+    let user;
+    if (form.get('grant_type') === 'refresh_token') {
+      const r = tokens.get(form.get('refresh_token'));
+      if (!r || r.platform !== 'tiktok' || r.kind !== 'refresh' || r.revoked || r.expires_at < Date.now()) {
+        return send(res, 400, { error: 'invalid_grant', error_description: 'Refresh token is invalid or expired.' });
+      }
+      tokens.set(form.get('refresh_token'), { ...r, revoked: true }); // rotated
+      user = r.user;
+    } else {
+      const c = useCode('tiktok', form.get('code'));
+      if (!c) return send(res, 400, { error: 'invalid_grant', error_description: 'Authorization code is expired.' });
+      user = c.user;
+    }
+    return send(res, 200, {
+      access_token: issue('tiktok', user, 'access', accessTtl('tiktok')), expires_in: accessTtl('tiktok'), open_id: `tt-${user}`,
+      refresh_token: issue('tiktok', user, 'refresh', 31536000), refresh_expires_in: 31536000,
+      scope: 'user.info.basic,user.info.profile,user.info.stats,video.list', token_type: 'Bearer'
+    });
+  }
+  const t = check('tiktok', (req.headers.authorization || '').replace(/^Bearer /, ''));
+  if (!t) return send(res, 401, { data: {}, error: { code: 'access_token_invalid', message: 'The access token is invalid or not found in the request.' } });
+  if (p === '/user/info/') {
+    return send(res, 200, { data: { user: {
+      open_id: `tt-${t.user}`, union_id: `u-${t.user}`, username: `${t.user}.tt`, display_name: 'Fake Creator', bio_description: 'Receitas rápidas e comida de rua',
+      follower_count: 25000, following_count: 180, likes_count: 410000, video_count: 90, is_verified: false
+    } }, error: ok });
+  }
+  if (p === '/video/list/' && req.method === 'POST') {
+    const { cursor = 0, max_count = 20 } = JSON.parse(await readBody(req) || '{}');
+    const all = Array.from({ length: 30 }, (_, i) => ({
+      id: `v${i}`, create_time: Math.floor(daysAgo(i * 1.5).getTime() / 1000), title: CAPTIONS[i % CAPTIONS.length], video_description: '#fyp #comida',
+      duration: 30, like_count: 1200 + i * 10, comment_count: 40, share_count: 15, view_count: 9000 + i * 100
+    }));
+    const videos = all.slice(cursor, cursor + max_count);
+    return send(res, 200, { data: { videos, cursor: cursor + videos.length, has_more: cursor + videos.length < all.length }, error: ok });
+  }
+  send(res, 404, { data: {}, error: { code: 'not_found', message: `Unknown path ${p}` } });
+}
+
+// --- Google OAuth + YouTube Data v3 (form-encoded OAuth, Bearer API, errors as { error: { code, errors:[{ reason }] } })
+async function google(req, res, url, p) {
+  if (p === '/oauth/token') {
+    const form = new URLSearchParams(await readBody(req));
+    if (form.get('grant_type') === 'refresh_token') {
+      const r = tokens.get(form.get('refresh_token'));
+      if (!r || r.platform !== 'google' || r.kind !== 'refresh' || r.revoked) return send(res, 400, { error: 'invalid_grant', error_description: 'Token has been expired or revoked.' });
+      return send(res, 200, { access_token: issue('google', r.user, 'access', accessTtl('google')), expires_in: accessTtl('google'), scope: 'https://www.googleapis.com/auth/youtube.readonly', token_type: 'Bearer' });
+    }
+    const c = useCode('google', form.get('code'));
+    if (!c) return send(res, 400, { error: 'invalid_grant', error_description: 'Bad Request' });
+    return send(res, 200, {
+      access_token: issue('google', c.user, 'access', accessTtl('google')), expires_in: accessTtl('google'),
+      refresh_token: issue('google', c.user, 'refresh', null), scope: 'https://www.googleapis.com/auth/youtube.readonly', token_type: 'Bearer'
+    });
+  }
+  if (p === '/oauth/revoke' && req.method === 'POST') {
+    const t = tokens.get(url.searchParams.get('token'));
+    if (!t || t.revoked) return send(res, 400, { error: 'invalid_token', error_description: 'Token expired or revoked' });
+    for (const [k, v] of tokens) if (v.platform === 'google' && v.user === t.user) tokens.set(k, { ...v, revoked: true });
+    return send(res, 200, {});
+  }
+  const t = check('google', (req.headers.authorization || '').replace(/^Bearer /, ''));
+  if (!t) return send(res, 401, { error: { code: 401, message: 'Request had invalid authentication credentials.', errors: [{ reason: 'authError' }] } });
+  const channelId = `UC-${t.user}`;
+  if (p === '/youtube/v3/channels') {
+    return send(res, 200, { items: [{
+      id: channelId,
+      snippet: { title: 'Fake Creator', customUrl: `@${t.user}`, description: 'Receitas completas e reviews de restaurantes' },
+      statistics: { subscriberCount: '5000', videoCount: '60', viewCount: '800000', hiddenSubscriberCount: false },
+      contentDetails: { relatedPlaylists: { uploads: `UU-${t.user}` } }
+    }] });
+  }
+  const videos = Array.from({ length: 6 }, (_, i) => ({ id: `yt${i}`, publishedAt: daysAgo(i * 5 + 1).toISOString() }));
+  if (p === '/youtube/v3/playlistItems') {
+    return send(res, 200, { items: videos.map(v => ({ contentDetails: { videoId: v.id, videoPublishedAt: v.publishedAt } })) });
+  }
+  if (p === '/youtube/v3/videos') {
+    const ids = (url.searchParams.get('id') || '').split(',');
+    return send(res, 200, { items: videos.filter(v => ids.includes(v.id)).map((v, i) => ({
+      id: v.id,
+      snippet: { publishedAt: v.publishedAt, title: CAPTIONS[i % CAPTIONS.length], description: 'Receita completa no vídeo' },
+      statistics: { viewCount: String(4000 + i * 250), likeCount: String(300 + i * 5), commentCount: '25' }
+    })) });
+  }
+  send(res, 404, { error: { code: 404, message: `Unknown path ${p}`, errors: [{ reason: 'notFound' }] } });
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const p = url.pathname;
+  try {
+    if (p === '/meta/dialog/oauth') return authorize(res, url, 'meta');
+    if (p === '/tiktok/auth') return authorize(res, url, 'tiktok');
+    if (p === '/google/auth') return authorize(res, url, 'google');
+    if (p.startsWith('/meta/graph/')) return meta(req, res, url, p.slice('/meta/graph'.length));
+    if (p.startsWith('/tiktok/v2/')) return await tiktok(req, res, url, p.slice('/tiktok/v2'.length));
+    if (p.startsWith('/google/')) return await google(req, res, url, p.slice('/google'.length));
+    send(res, 404, { message: 'not found' });
+  } catch (e) {
+    send(res, 500, { message: e.message });
+  }
+});
+
+server.listen(PORT, () => console.log(`fake providers on http://localhost:${PORT}`));
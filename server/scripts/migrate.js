@@ -0,0 +1,30 @@
+import 'dotenv/config';
+import { openDb } from '../db/db.js';
+import { migrateUp, migrationStatus } from '../db/migrate.js';
+
+// Usage: npm run db:migrate (up) | npm run db:status
+// The server also applies pending migrations on boot; `up` lets a deploy migrate before starting it.
+const [command = 'status'] = process.argv.slice(2);
+if (!['up', 'status'].includes(command)) {
+  console.error('usage: node scripts/migrate.js <up|status>');
+  process.exit(1);
+}
+
+const db = openDb({ migrate: false });
+try {
+  if (command === 'up') {
+    const applied = migrateUp(db);
+    if (!applied.length) console.log('nothing to migrate');
+    applied.forEach(m => console.log(`applied ${m.version}_${m.name}`));
+  }
+  const rows = migrationStatus(db);
+  rows.forEach(m => console.log(`${m.version}_${m.name}`.padEnd(40), m.state.padEnd(8), m.applied_at || ''));
+  // changed = file edited after it ran; missing = applied but the file is gone
+  if (rows.some(m => ['changed', 'missing'].includes(m.state))) process.exitCode = 2;
+  else if (command === 'status' && rows.some(m => m.state === 'pending')) process.exitCode = 3;
+} catch (e) {
+  console.error(e.message);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
@@ -0,0 +1,89 @@
+import http from 'http';
+import { verifySignature, SIGNATURE_HEADER } from '../lib/webhooks.js';
+
+// Local stand-in for the CRM API and a webhook receiver, for development and manual tests.
+// Usage: npm run mock:crm   (then CRM_API_URL=http://localhost:9920 and a webhook pointing at /webhooks)
+//   MOCK_CRM_PORT      port (default 9920)
+//   MOCK_CRM_API_KEY   expected Bearer key for /contacts (optional)
+//   MOCK_WEBHOOK_SECRET secret to verify X-Signature on /webhooks (optional; unsigned check otherwise)
+//   MOCK_FAIL          respond 503 to the first N requests of each kind, to exercise retries
+const PORT = Number(process.env.MOCK_CRM_PORT || 9920);
+const failures = { contacts: Number(process.env.MOCK_FAIL || 0), webhooks: Number(process.env.MOCK_FAIL || 0) };
+
+const contacts = new Map(); // remote id -> { id, external_id, properties, updated_at }
+const byExternalId = new Map();
+const webhooks = [];
+let nextId = 1;
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+function upsert(input) {
+  const existing = byExternalId.get(input.id);
+  const contact = existing || { id: String(nextId++), external_id: input.id, properties: {} };
+  // Like most CRMs: null clears a property
+  for (const [k, v] of Object.entries(input.properties || {})) {
+    if (v === null) delete contact.properties[k];
+    else contact.properties[k] = v;
+  }
+  contact.updated_at = new Date().toISOString();
+  contacts.set(contact.id, contact);
+  byExternalId.set(contact.external_id, contact);
+  return contact;
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const body = await readBody(req);
+
+  if (url.pathname === '/webhooks' && req.method === 'POST') {
+    if (failures.webhooks > 0) { failures.webhooks--; return send(res, 503, { message: 'simulated failure' }); }
+    const secret = process.env.MOCK_WEBHOOK_SECRET;
+    const signed = secret ? verifySignature(secret, body, req.headers[SIGNATURE_HEADER.toLowerCase()]) : null;
+    if (secret && !signed) return send(res, 401, { message: 'bad signature' });
+    webhooks.push({ event: req.headers['x-webhook-event'], id: req.headers['x-webhook-id'], signature_valid: signed, body: JSON.parse(body) });
+    console.log(`webhook ${req.headers['x-webhook-event']} ${req.headers['x-webhook-id']} signature=${signed ?? 'unchecked'}`);
+    return send(res, 204);
+  }
+  if (url.pathname === '/webhooks' && req.method === 'GET') return send(res, 200, { results: webhooks });
+
+  if (url.pathname.startsWith('/contacts')) {
+    const key = process.env.MOCK_CRM_API_KEY;
+    if (key && req.headers.authorization !== `Bearer ${key}`) return send(res, 401, { message: 'invalid api key' });
+    if (failures.contacts > 0 && req.method !== 'GET') { failures.contacts--; return send(res, 503, { message: 'simulated failure' }); }
+
+    if (url.pathname === '/contacts/batch/upsert' && req.method === 'POST') {
+      const { inputs } = JSON.parse(body || '{}');
+      if (!Array.isArray(inputs) || inputs.some(i => i.idProperty !== 'external_id' || !i.id)) {
+        return send(res, 400, { message: 'inputs[] with idProperty=external_id and id required' });
+      }
+      const results = inputs.map(upsert);
+      console.log(`upsert ${results.length} contact(s)`);
+      return send(res, 200, { results });
+    }
+    if (url.pathname === '/contacts' && req.method === 'GET') return send(res, 200, { results: [...contacts.values()] });
+    const id = decodeURIComponent(url.pathname.split('/')[2] || '');
+    if (req.method === 'DELETE') {
+      const contact = contacts.get(id);
+      if (!contact) return send(res, 404, { message: 'contact not found' });
+      contacts.delete(id);
+      byExternalId.delete(contact.external_id);
+      console.log(`delete contact ${id}`);
+      return send(res, 204);
+    }
+  }
+  send(res, 404, { message: 'not found' });
+});
+
+server.listen(PORT, () => console.log(`mock CRM on http://localhost:${PORT}`));
@@ -0,0 +1,41 @@
+import 'dotenv/config';
+import { openDb } from '../db/db.js';
+import { currentKeyId } from '../lib/crypto.js';
+import { encryptionStatus, reencryptAll } from '../lib/key-rotation.js';
+
+// Usage: npm run keys:rotate -- [status|run] [--dry-run]
+// Key rotation: add the new key to TOKEN_ENCRYPTION_KEYS (keeping the old one), point TOKEN_ENCRYPTION_KEY_ID at it,
+// restart the server, run this, check `status`, then remove the old key.
+const args = process.argv.slice(2);
+const command = args.find(a => !a.startsWith('--')) || 'status';
+const dryRun = args.includes('--dry-run');
+if (!['status', 'run'].includes(command)) {
+  console.error('usage: npm run keys:rotate -- [status|run] [--dry-run]');
+  process.exit(1);
+}
+
+function printStatus(db) {
+  console.log(`current key: ${currentKeyId()}`);
+  for (const c of encryptionStatus(db)) {
+    const keys = Object.entries(c.by_key).map(([id, n]) => `${id}=${n}`).join(' ') || '-';
+    console.log(`${c.table}.${c.column}`.padEnd(42), String(c.total).padStart(6), ' ', keys);
+  }
+}
+
+const db = openDb();
+try {
+  if (command === 'run') {
+    const result = reencryptAll(db, { dryRun });
+    for (const c of result.columns) {
+      console.log(`${c.table}.${c.column}: ${dryRun ? 'would rotate' : 'rotated'} ${c.rotated}${c.failed.length ? `, failed ${c.failed.length} (${c.failed.join(', ')})` : ''}`);
+    }
+    // Failures = values whose key is no longer configured (or corrupted); they stay as they are
+    if (result.columns.some(c => c.failed.length)) process.exitCode = 2;
+  }
+  printStatus(db);
+} catch (e) {
+  console.error(e.message);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}